@@ -0,0 +1,135 @@
+// middleware/attachments.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { Config } = require('../models');
+
+const MAX_FILES = 5;
+const SNIFF_BYTES = 512;
+
+// Uploads are streamed here rather than held in memory; the route copies the
+// accepted ones into attachment storage and the rest go when the response ends
+const UPLOAD_DIR = process.env.ATTACHMENT_TMP_DIR || path.join(os.tmpdir(), 'helpdesk-uploads');
+
+const startsWith = (head, signature, offset = 0) =>
+  head.subarray(offset, offset + signature.length).equals(Buffer.from(signature));
+
+// The types an attachment may be declared as, the file name extensions that
+// go with each, and a check on the first bytes of the file, so neither the
+// client-declared type nor the name alone decides what gets stored. Plain
+// text has no signature; it only has to be free of NUL bytes.
+const ATTACHMENT_TYPES = {
+  'image/png': {
+    extensions: ['.png'],
+    matches: head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  'image/jpeg': {
+    extensions: ['.jpg', '.jpeg'],
+    matches: head => startsWith(head, [0xff, 0xd8, 0xff])
+  },
+  'image/gif': {
+    extensions: ['.gif'],
+    matches: head => startsWith(head, 'GIF87a') || startsWith(head, 'GIF89a')
+  },
+  'image/webp': {
+    extensions: ['.webp'],
+    matches: head => startsWith(head, 'RIFF') && startsWith(head, 'WEBP', 8)
+  },
+  'application/pdf': {
+    extensions: ['.pdf'],
+    matches: head => startsWith(head, '%PDF-')
+  },
+  'text/plain': {
+    extensions: ['.txt', '.log', '.csv'],
+    matches: head => !head.includes(0)
+  }
+};
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Whether an uploaded file is what it claims to be
+const matchesDeclaredType = async (file) => {
+  const type = ATTACHMENT_TYPES[file.mimetype];
+  if (!type) return false;
+  if (!type.extensions.includes(path.extname(file.originalname).toLowerCase())) return false;
+  return type.matches(await readHead(file.path));
+};
+
+const removeUploads = (files) => Promise.all(
+  (files || []).map(file => fs.promises.rm(file.path, { force: true }).catch(() => {}))
+);
+
+// Parses multipart bodies into req.body and req.files (temporary files on
+// disk until the route hands them to storage). Size and MIME limits come
+// from Config. JSON requests pass through with an empty req.files.
+const acceptAttachments = async (req, res, next) => {
+  req.files = [];
+  if (!req.is('multipart/form-data')) return next();
+
+  try {
+    const config = (await Config.findOne()) || new Config();
+    const maxBytes = config.attachmentMaxBytes;
+    const allowedTypes = config.attachmentAllowedTypes.filter(type => ATTACHMENT_TYPES[type]);
+
+    const upload = multer({
+      storage: multer.diskStorage({ destination: UPLOAD_DIR }),
+      limits: { fileSize: maxBytes, files: MAX_FILES },
+      fileFilter: (req, file, cb) => {
+        if (!allowedTypes.includes(file.mimetype)) {
+          const error = new Error(`File type ${file.mimetype} is not allowed`);
+          error.status = 415;
+          return cb(error);
+        }
+        cb(null, true);
+      }
+    }).array('attachments', MAX_FILES);
+
+    // Multer removes partial uploads itself when it fails
+    res.once('close', () => removeUploads(req.files));
+
+    upload(req, res, async (error) => {
+      if (!error) {
+        try {
+          for (const file of req.files) {
+            if (!(await matchesDeclaredType(file))) {
+              return res.status(415).json({
+                error: `${path.basename(file.originalname)} does not look like ${file.mimetype}`,
+                allowedTypes
+              });
+            }
+          }
+          return next();
+        } catch (sniffError) {
+          return next(sniffError);
+        }
+      }
+
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Attachments must be smaller than ${Math.round(maxBytes / 1024 / 1024 * 10) / 10} MB`,
+          LIMIT_FILE_COUNT: `At most ${MAX_FILES} attachments are allowed`,
+          LIMIT_UNEXPECTED_FILE: `At most ${MAX_FILES} attachments are allowed in the "attachments" field`
+        };
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          error: messages[error.code] || error.message,
+          allowedTypes
+        });
+      }
+
+      res.status(error.status || 400).json({ error: error.message, allowedTypes });
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { acceptAttachments, ATTACHMENT_TYPES, MAX_FILES };
@@ -24,7 +24,30 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'agent', 'user'],
     default: 'user'
-  }
+  },
+  // Ticket categories this agent is best placed to handle
+  skills: [{
+    type: String,
+    enum: ['billing', 'tech', 'shipping', 'other']
+  }],
+  // Only online agents (or those whose out-of-office period has ended)
+  // receive automatically assigned tickets
+  availability: {
+    status: {
+      type: String,
+      enum: ['online', 'away', 'offline', 'out_of_office'],
+      default: 'online'
+    },
+    outOfOfficeUntil: Date,
+    updatedAt: Date
+  },
+  // Open tickets beyond which the agent is skipped (no limit when unset)
+  maxOpenTickets: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  lastAssignedAt: Date
 }, {
   timestamps: true
 });
@@ -65,6 +88,38 @@ const articleSchema = new mongoose.Schema({
 
 articleSchema.index({ title: 'text', body: 'text', tags: 'text' });
 
+// Attachment metadata; the bytes live in attachment storage under storageKey
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storage: {
+    type: String,
+    default: 'local'
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 // Ticket Schema
 const ticketSchema = new mongoose.Schema({
   title: {
@@ -86,6 +141,22 @@ const ticketSchema = new mongoose.Schema({
     enum: ['open', 'triaged', 'waiting_human', 'resolved', 'closed'],
     default: 'open'
   },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  // Who set the priority; predictions never override a user or agent choice
+  prioritySource: {
+    type: String,
+    enum: ['default', 'user', 'agent', 'predicted'],
+    default: 'default'
+  },
+  // Numeric form of priority so lists and queues can sort by it
+  priorityRank: {
+    type: Number,
+    default: 1
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -99,6 +170,44 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AgentSuggestion'
   },
+  attachments: [attachmentSchema],
+  // Typed links to other tickets; every link is stored on both tickets with
+  // the inverse type on the other side (see TICKET_LINK_INVERSES)
+  links: [{
+    type: {
+      type: String,
+      enum: ['duplicate_of', 'duplicated_by', 'related_to', 'parent_of', 'child_of'],
+      required: true
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Open tickets that looked like the same issue when this one was created
+  possibleDuplicates: [{
+    _id: false,
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    score: Number,
+    sameRequester: Boolean
+  }],
+  // Set when this ticket was merged into another one and closed
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
   replies: [{
     author: {
       type: mongoose.Schema.Types.ObjectId,
@@ -113,16 +222,120 @@ const ticketSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Internal notes are only visible to agents and admins
+    visibility: {
+      type: String,
+      enum: ['public', 'internal'],
+      default: 'public'
+    },
+    attachments: [attachmentSchema],
     timestamp: {
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  sla: {
+    firstResponseDueAt: Date,
+    resolutionDueAt: Date,
+    firstRespondedAt: Date,
+    resolvedAt: Date,
+    status: {
+      type: String,
+      enum: ['on_track', 'at_risk', 'breached'],
+      default: 'on_track'
+    },
+    // SLA targets ('first_response', 'resolution') already warned about / missed
+    warnings: [String],
+    breaches: [String],
+    breachedAt: Date,
+    escalatedAt: Date,
+    escalationLevel: {
+      type: Number,
+      default: 0
+    }
+  }
 }, {
   timestamps: true
 });
 
+ticketSchema.index({ 'sla.status': 1, 'sla.resolutionDueAt': 1 });
+ticketSchema.index({ status: 1, priorityRank: -1, createdAt: 1 });
+
+const PRIORITY_RANKS = { low: 0, normal: 1, high: 2, urgent: 3 };
+
+const TICKET_LINK_INVERSES = {
+  duplicate_of: 'duplicated_by',
+  duplicated_by: 'duplicate_of',
+  related_to: 'related_to',
+  parent_of: 'child_of',
+  child_of: 'parent_of'
+};
+
+ticketSchema.pre('save', function(next) {
+  this.priorityRank = PRIORITY_RANKS[this.priority] ?? PRIORITY_RANKS.normal;
+  next();
+});
+
+// Track SLA milestones from the ticket itself so every code path that adds a
+// reply or resolves a ticket is covered
+ticketSchema.pre('save', function(next) {
+  const requesterId = String(this.createdBy?._id || this.createdBy);
+
+  if (!this.sla.firstRespondedAt) {
+    const firstResponse = this.replies.find(
+      reply => reply.visibility !== 'internal' &&
+        String(reply.author?._id || reply.author) !== requesterId
+    );
+    if (firstResponse) {
+      this.sla.firstRespondedAt = firstResponse.timestamp || new Date();
+    }
+  }
+
+  if (this.isModified('status')) {
+    if (['resolved', 'closed'].includes(this.status)) {
+      if (!this.sla.resolvedAt) this.sla.resolvedAt = new Date();
+      if (this.sla.status === 'at_risk') this.sla.status = 'on_track';
+    } else {
+      this.sla.resolvedAt = undefined;
+    }
+  }
+
+  next();
+});
+
 // Agent Suggestion Schema
+const SUGGESTION_CATEGORIES = ['billing', 'tech', 'shipping', 'other'];
+
+// One saved edit of a suggestion; the model's own draft stays in originalDraft
+const suggestionRevisionSchema = new mongoose.Schema({
+  draftReply: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: SUGGESTION_CATEGORIES
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A draft's [n] marker resolved to the retrieved article it cites
+const citationSchema = new mongoose.Schema({
+  marker: Number,
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  },
+  title: String
+}, { _id: false });
+
 const agentSuggestionSchema = new mongoose.Schema({
   ticketId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -131,37 +344,132 @@ const agentSuggestionSchema = new mongoose.Schema({
   },
   predictedCategory: {
     type: String,
-    enum: ['billing', 'tech', 'shipping', 'other'],
+    enum: SUGGESTION_CATEGORIES,
     required: true
   },
   articleIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Article'
   }],
+  // What each [n] marker in the generated draft points at, verified against
+  // the retrieved articles; markers with no article behind them were removed
+  // from the draft and are listed in danglingCitations
+  citations: [citationSchema],
+  danglingCitations: [Number],
+  // Latest draft, including agent edits
   draftReply: {
     type: String,
     required: true
   },
+  // The draft exactly as the model wrote it
+  originalDraft: {
+    type: String,
+    immutable: true
+  },
+  revisions: [suggestionRevisionSchema],
   confidence: {
     type: Number,
     min: 0,
     max: 1,
     required: true
   },
+  // confidence is what the triage decision compared against its threshold:
+  // rawConfidence mapped through the answering provider's fitted
+  // calibration, or rawConfidence unchanged when there is none
+  rawConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  calibration: {
+    calibrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ConfidenceCalibration'
+    },
+    method: String
+  },
   autoClosed: {
     type: Boolean,
     default: false
   },
+  // What the agent settled on: the category they confirmed or corrected and
+  // the first reply they actually sent after this triage
+  finalCategory: {
+    type: String,
+    enum: SUGGESTION_CATEGORIES
+  },
+  finalReply: String,
+  // Word edit distance from originalDraft to finalReply, worked out once
+  // when the reply is recorded so experiment stats never diff the texts
+  finalEditDistance: {
+    words: Number,
+    length: Number
+  },
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  finalizedAt: Date,
+  feedback: {
+    rating: {
+      type: String,
+      enum: ['up', 'down']
+    },
+    reason: String,
+    ratedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ratedAt: Date
+  },
   modelInfo: {
     provider: String,
     model: String,
     promptVersion: String,
-    latencyMs: Number
+    latencyMs: Number,
+    // Template version (<name>@<version>) each task rendered; the top-level
+    // fields above describe the classify call only
+    promptVersions: {
+      classify: String,
+      priority: String,
+      draft: String
+    },
+    // Set when the configured provider failed and the stub answered instead
+    fallbackFrom: String,
+    fallbackReason: String,
+    failurePolicy: String,
+    // Every LLM task that fell back during this triage
+    fallbacks: [new mongoose.Schema({
+      task: String,
+      provider: String,
+      reason: String,
+      policy: String
+    }, { _id: false })],
+    // Experiment variants this ticket was bucketed into, one per task under
+    // experiment, with what that task actually ran on and its latency
+    experiments: [new mongoose.Schema({
+      experiment: String,
+      task: String,
+      variant: String,
+      provider: String,
+      model: String,
+      promptVersion: String,
+      latencyMs: Number
+    }, { _id: false })]
   }
 }, {
   timestamps: true
 });
 
+agentSuggestionSchema.index({ 'modelInfo.experiments.experiment': 1, createdAt: 1 });
+
+agentSuggestionSchema.pre('save', function(next) {
+  if (this.isNew && this.originalDraft === undefined) {
+    this.originalDraft = this.draftReply;
+  }
+  next();
+});
+
 // Audit Log Schema
 const auditLogSchema = new mongoose.Schema({
   ticketId: {
@@ -187,10 +495,30 @@ const auditLogSchema = new mongoose.Schema({
       'DRAFT_GENERATED',
       'AUTO_CLOSED',
       'ASSIGNED_TO_HUMAN',
+      'TICKET_ASSIGNED',
+      'TICKET_MERGED',
+      'TICKET_LINKED',
+      'TICKET_UNLINKED',
+      'DUPLICATE_SUSPECTED',
+      'AGENT_STATUS_CHANGED',
       'REPLY_SENT',
+      'NOTE_ADDED',
       'TICKET_REOPENED',
       'TICKET_CLOSED',
-      'SUGGESTION_EDITED'
+      'SUGGESTION_EDITED',
+      'SUGGESTION_FEEDBACK',
+      'TRIAGE_REQUESTED',
+      'TRIAGE_RESTARTED',
+      'TRIAGE_DEAD_LETTERED',
+      'LLM_FALLBACK',
+      'LLM_OUTPUT_INVALID',
+      'SLA_WARNING',
+      'SLA_BREACHED',
+      'PRIORITY_PREDICTED',
+      'PRIORITY_CHANGED',
+      'CONFIG_UPDATED',
+      'CONFIDENCE_CALIBRATED',
+      'SHADOW_TRIAGED'
     ]
   },
   meta: {
@@ -206,6 +534,76 @@ const auditLogSchema = new mongoose.Schema({
 auditLogSchema.index({ ticketId: 1, timestamp: -1 });
 auditLogSchema.index({ traceId: 1 });
 
+// Provider, model and prompt template serving one LLM task; null falls back
+// to LLM_PROVIDER, the provider's default model and the template named after
+// the task
+const llmRouteSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  promptTemplate: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// Auto-close override for one predicted category; null inherits the global
+// setting
+const categoryAutoCloseSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: null
+  },
+  confidenceThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  }
+}, { _id: false });
+
+// Factors of the auto-close score (see AgentService._scoreAutoClose) and
+// their default weights
+const DEFAULT_AUTO_CLOSE_WEIGHTS = { confidence: 0.5, retrieval: 0.2, citations: 0.2, draftLength: 0.1 };
+const AUTO_CLOSE_FACTORS = Object.keys(DEFAULT_AUTO_CLOSE_WEIGHTS);
+const autoCloseWeightsSchema = new mongoose.Schema(Object.fromEntries(AUTO_CLOSE_FACTORS.map(factor => [
+  factor,
+  { type: Number, min: 0, max: 1, default: DEFAULT_AUTO_CLOSE_WEIGHTS[factor] }
+])), { _id: false });
+
+// Second triage variant run on new tickets next to the live one; it only
+// records what it would have done (see services/shadowService.js). Null
+// route fields and threshold reuse the live settings.
+const shadowConfigSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  variant: {
+    type: String,
+    trim: true,
+    default: 'shadow'
+  },
+  llm: {
+    classify: { type: llmRouteSchema, default: () => ({}) },
+    draft: { type: llmRouteSchema, default: () => ({}) },
+    priority: { type: llmRouteSchema, default: () => ({}) }
+  },
+  confidenceThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  }
+}, { _id: false });
+
 // Config Schema
 const configSchema = new mongoose.Schema({
   autoCloseEnabled: {
@@ -218,14 +616,496 @@ const configSchema = new mongoose.Schema({
     max: 1,
     default: 0.78
   },
+  // Auto-close compares the weighted average of these factors, not the
+  // classification confidence alone, against the threshold
+  autoCloseWeights: {
+    type: autoCloseWeightsSchema,
+    default: () => ({})
+  },
+  // Per-category overrides; the global autoCloseEnabled still has to be on
+  autoCloseByCategory: {
+    billing: { type: categoryAutoCloseSchema, default: () => ({}) },
+    tech: { type: categoryAutoCloseSchema, default: () => ({}) },
+    shipping: { type: categoryAutoCloseSchema, default: () => ({}) },
+    other: { type: categoryAutoCloseSchema, default: () => ({}) }
+  },
+  // Map classification confidence through the fitted ConfidenceCalibration
+  // of the provider that answered before comparing it to a threshold
+  calibrationEnabled: {
+    type: Boolean,
+    default: true
+  },
   slaHours: {
     type: Number,
     default: 24
+  },
+  firstResponseHours: {
+    type: Number,
+    default: 4
+  },
+  // Fraction of an SLA window after which a ticket is flagged at risk
+  slaWarningThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+  // SLA clocks only run during this calendar's business hours (24/7 if unset)
+  businessCalendarId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessCalendar',
+    default: null
+  },
+  // How triage and SLA escalation pick a human agent
+  assignmentStrategy: {
+    type: String,
+    enum: ['round_robin', 'least_open', 'skills'],
+    default: 'least_open'
+  },
+  // Text similarity at which any open ticket is flagged as a likely duplicate
+  duplicateThreshold: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.75
+  },
+  attachmentMaxBytes: {
+    type: Number,
+    min: 1,
+    default: 10 * 1024 * 1024
+  },
+  attachmentAllowedTypes: {
+    type: [String],
+    default: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain']
+  },
+  llm: {
+    classify: { type: llmRouteSchema, default: () => ({}) },
+    draft: { type: llmRouteSchema, default: () => ({}) },
+    priority: { type: llmRouteSchema, default: () => ({}) }
+  },
+  // When a provider errors: fail the triage (it is retried by the job
+  // queue), fall back to the stub and flag it, or fall back and always hand
+  // the ticket to a human
+  llmFailurePolicy: {
+    type: String,
+    enum: ['fail', 'fallback', 'fallback_human'],
+    default: 'fallback_human'
+  },
+  shadow: {
+    type: shadowConfigSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// Business Calendar Schema
+const businessCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Weekly working hours per time zone; the calendar is open whenever any
+  // schedule is open
+  schedules: [{
+    label: {
+      type: String,
+      trim: true
+    },
+    timezone: {
+      type: String,
+      required: true
+    },
+    weeklyHours: [{
+      day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true
+      },
+      start: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        required: true
+      },
+      end: {
+        type: String,
+        match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/,
+        required: true
+      }
+    }]
+  }],
+  // Local dates (YYYY-MM-DD) on which every schedule is closed
+  holidays: [{
+    date: {
+      type: String,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+      required: true
+    },
+    name: String,
+    source: {
+      type: String,
+      enum: ['manual', 'ical'],
+      default: 'manual'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Job Schema (durable background work, e.g. ticket triage)
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  leaseExpiresAt: Date,
+  lockedBy: String,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ 'payload.ticketId': 1, createdAt: -1 });
+
+// Prompt Template Schema. Versions are append-only and their content is
+// immutable once saved; activeVersion picks the one LLM calls use.
+const promptTemplateVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  system: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  template: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  // Placeholder names used by system and template, e.g. ticketText
+  variables: {
+    type: [String],
+    immutable: true
+  },
+  notes: {
+    type: String,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  task: {
+    type: String,
+    enum: ['classify', 'draft', 'priority'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  versions: [promptTemplateVersionSchema],
+  activeVersion: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Trained local ticket classifier (see services/localClassifier.js). Every
+// training run saves a new version; the newest active one serves requests.
+const classifierModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    default: 'ticket-category'
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['multinomial_nb'],
+    required: true
+  },
+  categories: [String],
+  // Feature tokens with their IDF, class priors and per-class feature log
+  // probabilities, all indexed like vocabulary
+  vocabulary: [String],
+  idf: [Number],
+  classLogPriors: [Number],
+  featureLogProbs: [[Number]],
+  calibration: {
+    method: {
+      type: String,
+      enum: ['temperature'],
+      default: 'temperature'
+    },
+    temperature: {
+      type: Number,
+      default: 1
+    }
+  },
+  // Held-out split results, before and after calibration
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+classifierModelSchema.index({ name: 1, version: -1 }, { unique: true });
+
+// Mapping from one provider's raw classification confidence to the observed
+// rate of correct triage (see services/calibrationService.js). Every fit adds
+// a document; the newest one per provider is applied.
+const confidenceCalibrationSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // The model and classify prompt version the outcomes came from; null when
+  // the suggestions did not record one
+  model: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['isotonic', 'platt'],
+    required: true
+  },
+  // isotonic: increasing raw -> calibrated points, interpolated linearly
+  points: [new mongoose.Schema({
+    raw: Number,
+    calibrated: Number
+  }, { _id: false })],
+  // platt: calibrated = 1 / (1 + exp(a * raw + b))
+  platt: {
+    a: Number,
+    b: Number
+  },
+  samples: {
+    type: Number,
+    required: true
+  },
+  positives: Number,
+  // Brier score and expected calibration error on the fitted outcomes
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   }
 }, {
   timestamps: true
 });
 
+confidenceCalibrationSchema.index({ provider: 1, model: 1, promptVersion: 1, createdAt: -1 });
+
+// One arm of an experiment. Null fields keep the task's live routing; a
+// promptVersion without a promptTemplate is a version of the routed template.
+const experimentVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Relative share of tickets bucketed into this variant
+  weight: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 1
+  },
+  promptTemplate: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  promptVersion: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  temperature: {
+    type: Number,
+    min: 0,
+    max: 2,
+    default: null
+  }
+}, { _id: false });
+
+// A/B experiment on one LLM task (see services/experimentService.js). At
+// most one experiment per task runs at a time; tickets are bucketed into
+// its variants by a hash of the ticket id.
+const experimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  task: {
+    type: String,
+    enum: ['classify', 'draft', 'priority'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'stopped'],
+    default: 'draft'
+  },
+  variants: [experimentVariantSchema],
+  startedAt: Date,
+  stoppedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+experimentSchema.index({ status: 1, task: 1 });
+
+// What a shadow triage variant would have done with a ticket. Kept apart
+// from AgentSuggestion so nothing that serves, learns from or reports on
+// live suggestions ever picks it up.
+const shadowSuggestionSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  variant: {
+    type: String,
+    required: true
+  },
+  traceId: String,
+  predictedCategory: {
+    type: String,
+    enum: SUGGESTION_CATEGORIES,
+    required: true
+  },
+  predictedPriority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANKS)
+  },
+  articleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  draftReply: {
+    type: String,
+    required: true
+  },
+  citations: [citationSchema],
+  danglingCitations: [Number],
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  rawConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  decision: {
+    action: {
+      type: String,
+      enum: ['auto_close', 'assign_human'],
+      required: true
+    },
+    score: Number,
+    threshold: Number,
+    autoCloseEnabled: Boolean,
+    forcedHumanReview: Boolean,
+    factors: mongoose.Schema.Types.Mixed
+  },
+  // Provider, model and prompt version per task
+  modelInfo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  fallbacks: [new mongoose.Schema({
+    task: String,
+    provider: String,
+    reason: String,
+    policy: String
+  }, { _id: false })]
+}, {
+  timestamps: true
+});
+
+shadowSuggestionSchema.index({ variant: 1, createdAt: -1 });
+shadowSuggestionSchema.index({ ticketId: 1 });
+
 // Models
 const User = mongoose.model('User', userSchema);
 const Article = mongoose.model('Article', articleSchema);
@@ -233,12 +1113,31 @@ const Ticket = mongoose.model('Ticket', ticketSchema);
 const AgentSuggestion = mongoose.model('AgentSuggestion', agentSuggestionSchema);
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 const Config = mongoose.model('Config', configSchema);
+const Job = mongoose.model('Job', jobSchema);
+const BusinessCalendar = mongoose.model('BusinessCalendar', businessCalendarSchema);
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+const ClassifierModel = mongoose.model('ClassifierModel', classifierModelSchema);
+const ConfidenceCalibration = mongoose.model('ConfidenceCalibration', confidenceCalibrationSchema);
+const ShadowSuggestion = mongoose.model('ShadowSuggestion', shadowSuggestionSchema);
+const Experiment = mongoose.model('Experiment', experimentSchema);
 
 module.exports = {
+  PRIORITY_RANKS,
+  SUGGESTION_CATEGORIES,
+  AUTO_CLOSE_FACTORS,
+  DEFAULT_AUTO_CLOSE_WEIGHTS,
+  TICKET_LINK_INVERSES,
   User,
   Article,
   Ticket,
   AgentSuggestion,
   AuditLog,
-  Config
+  Config,
+  Job,
+  BusinessCalendar,
+  PromptTemplate,
+  ClassifierModel,
+  ConfidenceCalibration,
+  ShadowSuggestion,
+  Experiment
 };
\ No newline at end of file
@@ -1,12 +1,19 @@
 // routes/agent.js
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { AgentSuggestion, Ticket } = require('../models');
+const { body, query, validationResult } = require('express-validator');
+const { AgentSuggestion, Ticket, Job, AuditLog, SUGGESTION_CATEGORIES } = require('../models');
 const { authenticate, authorize } = require('../middleware/auth');
 const AgentService = require('../services/agentService');
+const { JobQueue } = require('../services/jobQueue');
+const { SimilarityService } = require('../services/similarityService');
+const { datasetCursor, toDatasetRecord } = require('../services/feedbackDataset');
+const { ShadowService } = require('../services/shadowService');
 
 const router = express.Router();
 const agentService = new AgentService();
+const jobQueue = new JobQueue();
+const similarityService = new SimilarityService();
+const shadowService = new ShadowService(agentService);
 
 // Trigger triage for a ticket (internal endpoint)
 router.post('/triage',
@@ -95,6 +102,11 @@ router.get('/suggestion/:ticketId',
         return res.status(404).json({ error: 'No suggestion found for this ticket' });
       }
 
+      // Past answers to similar problems, for agents to reuse
+      const similarResolvedTickets = suggestion.ticketId
+        ? await similarityService.findSimilarResolved(suggestion.ticketId)
+        : [];
+
       console.log(JSON.stringify({
         timestamp: new Date().toISOString(),
         level: 'info',
@@ -102,10 +114,11 @@ router.get('/suggestion/:ticketId',
         message: 'Agent suggestion retrieved',
         ticketId,
         suggestionId: suggestion._id,
+        similarResolvedCount: similarResolvedTickets.length,
         requestedBy: req.user._id
       }));
 
-      res.json(suggestion);
+      res.json({ ...suggestion.toJSON(), similarResolvedTickets });
 
     } catch (error) {
       console.error(JSON.stringify({
@@ -122,7 +135,8 @@ router.get('/suggestion/:ticketId',
   }
 );
 
-// Update agent suggestion draft (agents can edit before sending)
+// Update agent suggestion draft (agents can edit before sending). Every edit
+// is kept as a revision; the model's draft stays in originalDraft.
 router.put('/suggestion/:suggestionId',
   authenticate,
   authorize('agent', 'admin'),
@@ -130,7 +144,11 @@ router.put('/suggestion/:suggestionId',
     body('draftReply')
       .trim()
       .isLength({ min: 1, max: 5000 })
-      .withMessage('Draft reply is required and must be less than 5000 characters')
+      .withMessage('Draft reply is required and must be less than 5000 characters'),
+    body('category')
+      .optional()
+      .isIn(SUGGESTION_CATEGORIES)
+      .withMessage('Invalid category')
   ],
   async (req, res) => {
     try {
@@ -143,7 +161,7 @@ router.put('/suggestion/:suggestionId',
       }
 
       const { suggestionId } = req.params;
-      const { draftReply } = req.body;
+      const { draftReply, category } = req.body;
 
       const suggestion = await AgentSuggestion.findById(suggestionId);
       if (!suggestion) {
@@ -157,10 +175,17 @@ router.put('/suggestion/:suggestionId',
 
       const originalDraft = suggestion.draftReply;
       suggestion.draftReply = draftReply;
+      suggestion.revisions.push({ draftReply, category, editedBy: req.user._id });
+
+      // A corrected category applies to the ticket as well
+      const previousCategory = suggestion.finalCategory || suggestion.predictedCategory;
+      if (category) {
+        suggestion.finalCategory = category;
+        await Ticket.updateOne({ _id: suggestion.ticketId }, { category });
+      }
       await suggestion.save();
 
       // Log the edit
-      const { AuditLog } = require('../models');
       await new AuditLog({
         ticketId: suggestion.ticketId,
         traceId: req.traceId,
@@ -169,8 +194,10 @@ router.put('/suggestion/:suggestionId',
         meta: {
           suggestionId: suggestion._id,
           editedBy: req.user._id,
+          revision: suggestion.revisions.length,
           originalLength: originalDraft.length,
-          newLength: draftReply.length
+          newLength: draftReply.length,
+          ...(category && category !== previousCategory && { previousCategory, category })
         }
       }).save();
 
@@ -200,6 +227,151 @@ router.put('/suggestion/:suggestionId',
   }
 );
 
+// Thumbs up/down on a suggestion; a thumbs down needs a reason
+router.post('/suggestion/:suggestionId/feedback',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    body('rating')
+      .isIn(['up', 'down'])
+      .withMessage('Rating must be up or down'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be less than 1000 characters'),
+    body('reason')
+      .if(body('rating').equals('down'))
+      .trim()
+      .notEmpty()
+      .withMessage('A reason is required for a thumbs down')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const suggestion = await AgentSuggestion.findById(req.params.suggestionId);
+      if (!suggestion) {
+        return res.status(404).json({ error: 'Suggestion not found' });
+      }
+
+      const { rating, reason } = req.body;
+      suggestion.feedback = {
+        rating,
+        reason: reason || undefined,
+        ratedBy: req.user._id,
+        ratedAt: new Date()
+      };
+      await suggestion.save();
+
+      await new AuditLog({
+        ticketId: suggestion.ticketId,
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'SUGGESTION_FEEDBACK',
+        meta: {
+          suggestionId: suggestion._id,
+          ratedBy: req.user._id,
+          rating,
+          reason
+        }
+      }).save();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Suggestion feedback recorded',
+        suggestionId: suggestion._id,
+        rating
+      }));
+
+      res.json(suggestion);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Suggestion feedback failed',
+        error: error.message,
+        suggestionId: req.params.suggestionId
+      }));
+
+      res.status(500).json({ error: 'Failed to record feedback' });
+    }
+  }
+);
+
+// Reviewed suggestions as a JSONL dataset (one example per line) for prompt
+// tuning and classifier training
+router.get('/suggestions/export',
+  authenticate,
+  authorize('admin'),
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate(),
+    query('rating').optional().isIn(['up', 'down']).withMessage('Rating must be up or down'),
+    query('all').optional().isBoolean().withMessage('all must be a boolean').toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { from, to, rating, all } = req.query;
+    let exported = 0;
+    try {
+      const cursor = datasetCursor({ from, to, rating, reviewedOnly: !all });
+      res.set({
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="suggestions-${new Date().toISOString().slice(0, 10)}.jsonl"`
+      });
+      for await (const suggestion of cursor) {
+        res.write(`${JSON.stringify(toDatasetRecord(suggestion))}\n`);
+        exported += 1;
+      }
+      res.end();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Suggestion dataset exported',
+        requestedBy: req.user._id,
+        exported
+      }));
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Suggestion export failed',
+        error: error.message,
+        exported
+      }));
+
+      // Headers are gone once the first line is written
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({ error: 'Failed to export suggestions' });
+      }
+    }
+  }
+);
+
 // Retry failed triage
 router.post('/retry/:ticketId',
   authenticate,
@@ -222,12 +394,13 @@ router.post('/retry/:ticketId',
         triggeredBy: req.user._id
       }));
 
-      // Use retry mechanism with exponential backoff
-      const result = await agentService.retryTriage(ticketId, 3);
+      // Queue the retry; the worker applies backoff between attempts
+      const job = await agentService.retryTriage(ticketId, 3);
 
-      res.json({
-        message: 'Triage retry completed successfully',
-        result
+      res.status(202).json({
+        message: 'Triage retry queued',
+        jobId: job._id,
+        status: job.status
       });
 
     } catch (error) {
@@ -241,13 +414,170 @@ router.post('/retry/:ticketId',
       }));
 
       res.status(500).json({ 
-        error: 'Triage retry failed',
+        error: 'Failed to queue triage retry',
         details: error.message 
       });
     }
   }
 );
 
+// List background jobs (dead-letter inspection)
+router.get('/jobs',
+  authenticate,
+  authorize('admin'),
+  [
+    query('status').optional().isIn(['queued', 'running', 'succeeded', 'failed', 'dead']),
+    query('ticketId').optional().isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { status, ticketId, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (ticketId) filter['payload.ticketId'] = ticketId;
+
+      const jobs = await Job.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit));
+
+      res.json({ jobs, count: jobs.length });
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'List jobs failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  }
+);
+
+// Get a single job (e.g. to poll a queued triage)
+router.get('/jobs/:jobId',
+  authenticate,
+  authorize('agent', 'admin'),
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json(job);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Get job failed',
+        error: error.message,
+        jobId: req.params.jobId
+      }));
+
+      res.status(500).json({ error: 'Failed to fetch job' });
+    }
+  }
+);
+
+// Requeue a dead-lettered or failed job
+router.post('/jobs/:jobId/requeue',
+  authenticate,
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const job = await jobQueue.requeue(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'No dead or failed job found with this ID' });
+      }
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Job requeued',
+        jobId: job._id,
+        requeuedBy: req.user._id
+      }));
+
+      res.json(job);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Requeue job failed',
+        error: error.message,
+        jobId: req.params.jobId
+      }));
+
+      res.status(500).json({ error: 'Failed to requeue job' });
+    }
+  }
+);
+
+// Shadow variants compared with live triage and with the agents' final
+// category and reply (admin only)
+router.get('/shadow/report',
+  authenticate,
+  authorize('admin'),
+  [
+    query('variant').optional().isString().trim().notEmpty().withMessage('variant must be a non-empty string'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { variant, from, to } = req.query;
+      const report = await shadowService.report({ variant, from, to });
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Shadow report retrieved',
+        requestedBy: req.user._id,
+        variants: report.variants.length
+      }));
+
+      res.json(report);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Shadow report failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to build shadow report' });
+    }
+  }
+);
+
 // Get triage statistics (admin/agent dashboard)
 router.get('/stats',
   authenticate,
@@ -310,7 +640,9 @@ router.get('/stats',
         confidenceDistribution: stats[0].confidenceDistribution,
         categoryBreakdown: stats[0].categoryBreakdown,
         autoCloseRate: stats[0].total[0]?.count ? 
-          (stats[0].autoClosedTotal[0]?.count || 0) / stats[0].total[0].count : 0
+          (stats[0].autoClosedTotal[0]?.count || 0) / stats[0].total[0].count : 0,
+        // Running and stopped experiments, variant by variant
+        experiments: await agentService.experimentService.stats()
       };
 
       console.log(JSON.stringify({
@@ -361,6 +693,19 @@ router.get('/health',
         health.status = 'degraded';
       }
 
+      // Probe the LLM providers routed to each task
+      try {
+        const { LLMProvider } = require('../services/llmService');
+        health.llm = await new LLMProvider().healthCheck();
+        if (health.llm.status !== 'ok') {
+          health.checks.llmProvider = health.llm.status;
+          health.status = 'degraded';
+        }
+      } catch (error) {
+        health.checks.llmProvider = 'error';
+        health.status = 'degraded';
+      }
+
       // Test KB search
       try {
         const { KBSearchService } = require('../services/llmService');
@@ -1,7 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { Config } = require('../models');
+const { body, query, validationResult } = require('express-validator');
+const {
+  Config,
+  BusinessCalendar,
+  AuditLog,
+  PromptTemplate,
+  Job,
+  Experiment,
+  SUGGESTION_CATEGORIES,
+  AUTO_CLOSE_FACTORS
+} = require('../models');
 const { authenticate, authorize } = require('../middleware/auth');
+const { ATTACHMENT_TYPES } = require('../middleware/attachments');
+const {
+  isValidTimeZone,
+  addBusinessMs,
+  hasOpenHours,
+  parseICalHolidays
+} = require('../services/businessTime');
+const { ASSIGNMENT_STRATEGIES } = require('../services/assignmentService');
+const { JobQueue, JOB_TYPES } = require('../services/jobQueue');
+const { CALIBRATION_METHODS, CalibrationService } = require('../services/calibrationService');
+const { LLM_TASKS, LLM_FAILURE_POLICIES } = require('../services/llmService');
+const { LLM_PROVIDERS, createProvider } = require('../services/llmProviders');
+const {
+  PromptService,
+  TASK_VARIABLES,
+  checkTemplateVariables
+} = require('../services/promptService');
+
+const LLM_TASK_NAMES = Object.keys(LLM_TASKS);
+const LLM_PROVIDER_NAMES = Object.keys(LLM_PROVIDERS);
+
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const llmRoutes = (config) => Object.fromEntries(LLM_TASK_NAMES.map(task => [task, {
+  provider: config.llm?.[task]?.provider ?? null,
+  model: config.llm?.[task]?.model ?? null,
+  promptTemplate: config.llm?.[task]?.promptTemplate ?? null
+}]));
+
+const shadowSettings = (config) => ({
+  enabled: config.shadow?.enabled ?? false,
+  variant: config.shadow?.variant ?? null,
+  llm: llmRoutes(config.shadow || {}),
+  confidenceThreshold: config.shadow?.confidenceThreshold ?? null
+});
+
+const categoryAutoClose = (config) => Object.fromEntries(SUGGESTION_CATEGORIES.map(category => [category, {
+  enabled: config.autoCloseByCategory?.[category]?.enabled ?? null,
+  confidenceThreshold: config.autoCloseByCategory?.[category]?.confidenceThreshold ?? null
+}]));
+
+const autoCloseWeights = (config) => Object.fromEntries(AUTO_CLOSE_FACTORS.map(factor => [
+  factor,
+  config.autoCloseWeights?.[factor]
+]));
 
 const router = express.Router();
 
@@ -56,10 +110,124 @@ router.put('/',
       .optional()
       .isFloat({ min: 0, max: 1 })
       .withMessage('confidenceThreshold must be between 0 and 1'),
+    body('autoCloseByCategory')
+      .optional()
+      .isObject()
+      .custom(value => Object.keys(value).every(category => SUGGESTION_CATEGORIES.includes(category)))
+      .withMessage(`autoCloseByCategory keys must be categories: ${SUGGESTION_CATEGORIES.join(', ')}`),
+    body('autoCloseByCategory.*.enabled')
+      .optional({ nullable: true })
+      .isBoolean()
+      .withMessage('autoCloseByCategory enabled must be boolean or null'),
+    body('autoCloseByCategory.*.confidenceThreshold')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('autoCloseByCategory confidenceThreshold must be between 0 and 1 or null'),
+    body('autoCloseWeights')
+      .optional()
+      .isObject()
+      .custom(value => Object.keys(value).every(factor => AUTO_CLOSE_FACTORS.includes(factor)))
+      .withMessage(`autoCloseWeights keys must be: ${AUTO_CLOSE_FACTORS.join(', ')}`),
+    body('autoCloseWeights.*')
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('autoCloseWeights must be between 0 and 1'),
+    body('calibrationEnabled')
+      .optional()
+      .isBoolean()
+      .withMessage('calibrationEnabled must be boolean'),
     body('slaHours')
       .optional()
       .isInt({ min: 1, max: 168 })
-      .withMessage('slaHours must be between 1 and 168')
+      .withMessage('slaHours must be between 1 and 168'),
+    body('firstResponseHours')
+      .optional()
+      .isFloat({ min: 0.25, max: 168 })
+      .withMessage('firstResponseHours must be between 0.25 and 168'),
+    body('slaWarningThreshold')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('slaWarningThreshold must be between 0 and 1'),
+    body('businessCalendarId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('businessCalendarId must be a valid ID'),
+    body('assignmentStrategy')
+      .optional()
+      .isIn(ASSIGNMENT_STRATEGIES)
+      .withMessage(`assignmentStrategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`),
+    body('duplicateThreshold')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('duplicateThreshold must be between 0 and 1'),
+    body('attachmentMaxBytes')
+      .optional()
+      .isInt({ min: 1024, max: 50 * 1024 * 1024 })
+      .withMessage('attachmentMaxBytes must be between 1 KB and 50 MB'),
+    body('attachmentAllowedTypes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('attachmentAllowedTypes must be a non-empty array'),
+    body('attachmentAllowedTypes.*')
+      .isIn(Object.keys(ATTACHMENT_TYPES))
+      .withMessage(`attachmentAllowedTypes must be among ${Object.keys(ATTACHMENT_TYPES).join(', ')}`),
+    body('llm')
+      .optional()
+      .isObject()
+      .custom(value => Object.keys(value).every(task => LLM_TASK_NAMES.includes(task)))
+      .withMessage(`llm keys must be LLM tasks: ${LLM_TASK_NAMES.join(', ')}`),
+    body('llm.*.provider')
+      .optional({ nullable: true })
+      .isIn(LLM_PROVIDER_NAMES)
+      .withMessage(`llm provider must be one of: ${LLM_PROVIDER_NAMES.join(', ')}`),
+    body('llm.*.model')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('llm model must be a string of at most 100 characters'),
+    body('llm.*.promptTemplate')
+      .optional({ nullable: true })
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('llm promptTemplate must be a prompt template name'),
+    body('llmFailurePolicy')
+      .optional()
+      .isIn(LLM_FAILURE_POLICIES)
+      .withMessage(`llmFailurePolicy must be one of: ${LLM_FAILURE_POLICIES.join(', ')}`),
+    body('shadow')
+      .optional()
+      .isObject()
+      .withMessage('shadow must be an object'),
+    body('shadow.enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('shadow enabled must be boolean'),
+    body('shadow.variant')
+      .optional()
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('shadow variant must be a lowercase label of letters, digits, _ and -'),
+    body('shadow.llm')
+      .optional()
+      .isObject()
+      .custom(value => Object.keys(value).every(task => LLM_TASK_NAMES.includes(task)))
+      .withMessage(`shadow llm keys must be LLM tasks: ${LLM_TASK_NAMES.join(', ')}`),
+    body('shadow.llm.*.provider')
+      .optional({ nullable: true })
+      .isIn(LLM_PROVIDER_NAMES)
+      .withMessage(`shadow llm provider must be one of: ${LLM_PROVIDER_NAMES.join(', ')}`),
+    body('shadow.llm.*.model')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('shadow llm model must be a string of at most 100 characters'),
+    body('shadow.llm.*.promptTemplate')
+      .optional({ nullable: true })
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('shadow llm promptTemplate must be a prompt template name'),
+    body('shadow.confidenceThreshold')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('shadow confidenceThreshold must be between 0 and 1 or null')
   ],
   async (req, res) => {
     try {
@@ -71,7 +239,58 @@ router.put('/',
         });
       }
 
-      const { autoCloseEnabled, confidenceThreshold, slaHours } = req.body;
+      const {
+        autoCloseEnabled,
+        confidenceThreshold,
+        autoCloseByCategory,
+        autoCloseWeights: weights,
+        calibrationEnabled,
+        slaHours,
+        firstResponseHours,
+        slaWarningThreshold,
+        businessCalendarId,
+        assignmentStrategy,
+        duplicateThreshold,
+        attachmentMaxBytes,
+        attachmentAllowedTypes,
+        llm,
+        llmFailurePolicy,
+        shadow
+      } = req.body;
+
+      if (businessCalendarId) {
+        const calendar = await BusinessCalendar.findById(businessCalendarId).select('schedules').lean();
+        if (!calendar) {
+          return res.status(400).json({ error: 'Business calendar not found' });
+        }
+        if (!hasOpenHours(calendar)) {
+          return res.status(400).json({ error: 'Business calendar has no open hours' });
+        }
+      }
+
+      // Live and shadow routes follow the same rules
+      const routes = [...Object.entries(llm || {}), ...Object.entries(shadow?.llm || {})];
+
+      // Providers that are not language models only answer their own tasks
+      for (const [task, route] of routes) {
+        const tasks = route?.provider && createProvider(route.provider).tasks;
+        if (tasks && !tasks.includes(task)) {
+          return res.status(400).json({ error: `Provider ${route.provider} cannot run the ${task} task` });
+        }
+      }
+
+      // A task may only use templates written for it; its own built-in
+      // template is always allowed, even before it has been created
+      for (const [task, route] of routes) {
+        if (!route?.promptTemplate || route.promptTemplate === task) continue;
+        const template = await PromptTemplate.findOne({ name: route.promptTemplate }).select('task');
+        if (!template) {
+          return res.status(400).json({ error: `Prompt template ${route.promptTemplate} not found` });
+        }
+        if (template.task !== task) {
+          return res.status(400).json({ error: `Prompt template ${route.promptTemplate} is for the ${template.task} task` });
+        }
+      }
 
       let config = await Config.findOne();
       if (!config) {
@@ -81,18 +300,74 @@ router.put('/',
       const oldConfig = {
         autoCloseEnabled: config.autoCloseEnabled,
         confidenceThreshold: config.confidenceThreshold,
-        slaHours: config.slaHours
+        autoCloseByCategory: categoryAutoClose(config),
+        autoCloseWeights: autoCloseWeights(config),
+        calibrationEnabled: config.calibrationEnabled,
+        slaHours: config.slaHours,
+        firstResponseHours: config.firstResponseHours,
+        slaWarningThreshold: config.slaWarningThreshold,
+        businessCalendarId: config.businessCalendarId,
+        assignmentStrategy: config.assignmentStrategy,
+        duplicateThreshold: config.duplicateThreshold,
+        attachmentMaxBytes: config.attachmentMaxBytes,
+        attachmentAllowedTypes: [...config.attachmentAllowedTypes],
+        llm: llmRoutes(config),
+        llmFailurePolicy: config.llmFailurePolicy,
+        shadow: shadowSettings(config)
       };
 
       // Update fields
       if (autoCloseEnabled !== undefined) config.autoCloseEnabled = autoCloseEnabled;
       if (confidenceThreshold !== undefined) config.confidenceThreshold = confidenceThreshold;
+      if (autoCloseByCategory !== undefined) {
+        for (const [category, override] of Object.entries(autoCloseByCategory)) {
+          if (override?.enabled !== undefined) {
+            config.set(`autoCloseByCategory.${category}.enabled`, override.enabled);
+          }
+          if (override?.confidenceThreshold !== undefined) {
+            config.set(`autoCloseByCategory.${category}.confidenceThreshold`, override.confidenceThreshold);
+          }
+        }
+      }
+      if (weights !== undefined) {
+        for (const [factor, weight] of Object.entries(weights)) {
+          config.set(`autoCloseWeights.${factor}`, weight);
+        }
+        if (AUTO_CLOSE_FACTORS.every(factor => !config.autoCloseWeights[factor])) {
+          return res.status(400).json({ error: 'At least one autoCloseWeights factor must be above 0' });
+        }
+      }
+      if (calibrationEnabled !== undefined) config.calibrationEnabled = calibrationEnabled;
       if (slaHours !== undefined) config.slaHours = slaHours;
+      if (firstResponseHours !== undefined) config.firstResponseHours = firstResponseHours;
+      if (slaWarningThreshold !== undefined) config.slaWarningThreshold = slaWarningThreshold;
+      if (businessCalendarId !== undefined) config.businessCalendarId = businessCalendarId;
+      if (assignmentStrategy !== undefined) config.assignmentStrategy = assignmentStrategy;
+      if (duplicateThreshold !== undefined) config.duplicateThreshold = duplicateThreshold;
+      if (attachmentMaxBytes !== undefined) config.attachmentMaxBytes = attachmentMaxBytes;
+      if (attachmentAllowedTypes !== undefined) config.attachmentAllowedTypes = attachmentAllowedTypes;
+      if (llm !== undefined) {
+        for (const [task, route] of Object.entries(llm)) {
+          if (route?.provider !== undefined) config.set(`llm.${task}.provider`, route.provider || null);
+          if (route?.model !== undefined) config.set(`llm.${task}.model`, route.model || null);
+          if (route?.promptTemplate !== undefined) config.set(`llm.${task}.promptTemplate`, route.promptTemplate || null);
+        }
+      }
+      if (llmFailurePolicy !== undefined) config.llmFailurePolicy = llmFailurePolicy;
+      if (shadow !== undefined) {
+        if (shadow.enabled !== undefined) config.set('shadow.enabled', shadow.enabled);
+        if (shadow.variant !== undefined) config.set('shadow.variant', shadow.variant);
+        for (const [task, route] of Object.entries(shadow.llm || {})) {
+          if (route?.provider !== undefined) config.set(`shadow.llm.${task}.provider`, route.provider || null);
+          if (route?.model !== undefined) config.set(`shadow.llm.${task}.model`, route.model || null);
+          if (route?.promptTemplate !== undefined) config.set(`shadow.llm.${task}.promptTemplate`, route.promptTemplate || null);
+        }
+        if (shadow.confidenceThreshold !== undefined) config.set('shadow.confidenceThreshold', shadow.confidenceThreshold);
+      }
 
       await config.save();
 
       // Log config change
-      const { AuditLog } = require('../models');
       await new AuditLog({
         traceId: req.traceId,
         actor: 'agent',
@@ -103,7 +378,20 @@ router.put('/',
           newConfig: {
             autoCloseEnabled: config.autoCloseEnabled,
             confidenceThreshold: config.confidenceThreshold,
-            slaHours: config.slaHours
+            autoCloseByCategory: categoryAutoClose(config),
+            autoCloseWeights: autoCloseWeights(config),
+            calibrationEnabled: config.calibrationEnabled,
+            slaHours: config.slaHours,
+            firstResponseHours: config.firstResponseHours,
+            slaWarningThreshold: config.slaWarningThreshold,
+            businessCalendarId: config.businessCalendarId,
+            assignmentStrategy: config.assignmentStrategy,
+            duplicateThreshold: config.duplicateThreshold,
+            attachmentMaxBytes: config.attachmentMaxBytes,
+            attachmentAllowedTypes: config.attachmentAllowedTypes,
+            llm: llmRoutes(config),
+            llmFailurePolicy: config.llmFailurePolicy,
+            shadow: shadowSettings(config)
           }
         }
       }).save();
@@ -132,4 +420,1051 @@ router.put('/',
   }
 );
 
+// Registered LLM providers with their default models, for the admin settings
+router.get('/llm-providers', authenticate, authorize('admin'), (req, res) => {
+  res.json({
+    tasks: LLM_TASK_NAMES,
+    defaultProvider: process.env.STUB_MODE === 'true' ? 'stub' : (process.env.LLM_PROVIDER || 'deepseek'),
+    stubMode: process.env.STUB_MODE === 'true',
+    providers: LLM_PROVIDER_NAMES.map((name) => {
+      const provider = createProvider(name);
+      return {
+        name,
+        defaultModel: provider.defaultModel,
+        tasks: provider.tasks || LLM_TASK_NAMES
+      };
+    })
+  });
+});
+
+// Current confidence calibration per provider and the latest calibration
+// jobs
+router.get('/calibration', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const calibrations = await new CalibrationService().currentCalibrations();
+    const jobs = await Job.find({ type: JOB_TYPES.CALIBRATE })
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .select('status payload result lastError createdAt completedAt')
+      .lean();
+
+    res.json({
+      methods: CALIBRATION_METHODS,
+      calibrations: [...calibrations.values()],
+      jobs
+    });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Get calibration failed',
+      error: error.message
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch calibration' });
+  }
+});
+
+// Queue a calibration job that refits every provider from triage outcomes
+router.post('/calibration',
+  authenticate,
+  authorize('admin'),
+  [
+    body('method')
+      .optional()
+      .isIn(CALIBRATION_METHODS)
+      .withMessage(`method must be one of: ${CALIBRATION_METHODS.join(', ')}`),
+    body('minSamples')
+      .optional()
+      .isInt({ min: 10, max: 100000 })
+      .withMessage('minSamples must be between 10 and 100000')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const job = await new JobQueue().enqueue(JOB_TYPES.CALIBRATE, {
+        traceId: req.traceId,
+        method: req.body.method || 'isotonic',
+        ...(req.body.minSamples && { minSamples: parseInt(req.body.minSamples) }),
+        requestedBy: String(req.user._id)
+      }, { maxAttempts: 1 });
+
+      res.status(202).json({
+        message: 'Calibration queued',
+        jobId: job._id,
+        status: job.status
+      });
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Calibration request failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to queue calibration' });
+    }
+  }
+);
+
+const promptService = new PromptService();
+
+const promptVersionValidation = [
+  body('system')
+    .isString()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('system is required and must be at most 5000 characters'),
+  body('template')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('template is required and must be at most 20000 characters'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('notes must be at most 500 characters')
+];
+
+const logPromptChange = (req, change, template, meta = {}) => new AuditLog({
+  traceId: req.traceId,
+  actor: 'agent',
+  action: 'CONFIG_UPDATED',
+  meta: {
+    updatedBy: req.user._id,
+    type: 'prompt_template',
+    change,
+    templateId: template._id,
+    name: template.name,
+    activeVersion: template.activeVersion,
+    ...meta
+  }
+}).save();
+
+// Templates in use by Config routing (live or shadow), by an experiment
+// that has not been stopped, or built-in task templates, cannot be deleted
+const promptTemplateInUse = async (name) => {
+  if (LLM_TASK_NAMES.includes(name)) return true;
+  const routed = await Config.exists({
+    $or: LLM_TASK_NAMES.flatMap(task => [
+      { [`llm.${task}.promptTemplate`]: name },
+      { [`shadow.llm.${task}.promptTemplate`]: name }
+    ])
+  });
+  return Boolean(routed || await Experiment.exists({
+    status: { $ne: 'stopped' },
+    'variants.promptTemplate': name
+  }));
+};
+
+// List prompt templates (admin only). Built-in task templates are created
+// on first listing so they can be edited before any ticket is triaged.
+router.get('/prompts', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    for (const task of LLM_TASK_NAMES) {
+      await promptService.getTemplate(task);
+    }
+
+    const templates = await PromptTemplate.find().sort({ task: 1, name: 1 });
+    res.json({
+      taskVariables: TASK_VARIABLES,
+      templates: templates.map(template => ({
+        _id: template._id,
+        name: template.name,
+        task: template.task,
+        description: template.description,
+        activeVersion: template.activeVersion,
+        latestVersion: Math.max(...template.versions.map(version => version.version)),
+        updatedAt: template.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'List prompt templates failed',
+      error: error.message
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+// Get a prompt template with all versions (admin only)
+router.get('/prompts/:name', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const template = await promptService.getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    res.json(template);
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Get prompt template failed',
+      error: error.message,
+      name: req.params.name
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch prompt template' });
+  }
+});
+
+// Create a prompt template with its first version (admin only)
+router.post('/prompts',
+  authenticate,
+  authorize('admin'),
+  [
+    body('name')
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('name must be lowercase letters, digits, _ or - (max 64)'),
+    body('task')
+      .isIn(LLM_TASK_NAMES)
+      .withMessage(`task must be one of: ${LLM_TASK_NAMES.join(', ')}`),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters'),
+    ...promptVersionValidation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { name, task, description, system, template: text, notes } = req.body;
+
+      const problems = checkTemplateVariables(task, system, text);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid template variables', details: problems });
+      }
+
+      if (await PromptTemplate.exists({ name }) || (LLM_TASK_NAMES.includes(name) && name !== task)) {
+        return res.status(409).json({ error: 'A prompt template with this name already exists' });
+      }
+
+      const template = new PromptTemplate({ name, task, description, activeVersion: 1, versions: [] });
+      await promptService.addVersion(template, { system, template: text, notes, activate: true }, req.user._id);
+
+      await logPromptChange(req, 'created', template);
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Prompt template created',
+        name,
+        task,
+        createdBy: req.user._id
+      }));
+
+      res.status(201).json(template);
+
+    } catch (error) {
+      // Another request created the same name between the check and the save
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A prompt template with this name already exists' });
+      }
+
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Create prompt template failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to create prompt template' });
+    }
+  }
+);
+
+// Add a new immutable version to a template (admin only)
+router.post('/prompts/:name/versions',
+  authenticate,
+  authorize('admin'),
+  [
+    ...promptVersionValidation,
+    body('activate')
+      .optional()
+      .isBoolean()
+      .withMessage('activate must be boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const template = await promptService.getTemplate(req.params.name);
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      const { system, template: text, notes, activate } = req.body;
+      const problems = checkTemplateVariables(template.task, system, text);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid template variables', details: problems });
+      }
+
+      const updated = await promptService.addVersion(template, { system, template: text, notes, activate }, req.user._id);
+
+      const version = updated.versions[updated.versions.length - 1].version;
+      await logPromptChange(req, 'version_added', updated, { version });
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Prompt template version added',
+        name: updated.name,
+        version,
+        activated: Boolean(activate)
+      }));
+
+      res.status(201).json(updated);
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Add prompt version failed',
+        error: error.message,
+        name: req.params.name
+      }));
+
+      res.status(500).json({ error: 'Failed to add prompt version' });
+    }
+  }
+);
+
+// Update description or switch the active version (admin only). Version
+// content itself never changes.
+router.put('/prompts/:name',
+  authenticate,
+  authorize('admin'),
+  [
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters'),
+    body('activeVersion')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('activeVersion must be a version number')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const template = await promptService.getTemplate(req.params.name);
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      const { description, activeVersion } = req.body;
+      const previousVersion = template.activeVersion;
+
+      if (activeVersion !== undefined) {
+        if (!template.versions.some(version => version.version === activeVersion)) {
+          return res.status(400).json({ error: `Version ${activeVersion} does not exist` });
+        }
+        template.activeVersion = activeVersion;
+      }
+      if (description !== undefined) template.description = description;
+
+      await template.save();
+      await logPromptChange(req, 'updated', template, { previousVersion });
+
+      res.json(template);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update prompt template failed',
+        error: error.message,
+        name: req.params.name
+      }));
+
+      res.status(500).json({ error: 'Failed to update prompt template' });
+    }
+  }
+);
+
+// Delete a prompt template that nothing routes to (admin only)
+router.delete('/prompts/:name', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const template = await PromptTemplate.findOne({ name: req.params.name });
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    if (await promptTemplateInUse(template.name)) {
+      return res.status(400).json({ error: 'Prompt template is in use by the LLM configuration' });
+    }
+
+    await PromptTemplate.findByIdAndDelete(template._id);
+    await logPromptChange(req, 'deleted', template);
+
+    res.json({ message: 'Prompt template deleted successfully' });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Delete prompt template failed',
+      error: error.message,
+      name: req.params.name
+    }));
+
+    res.status(500).json({ error: 'Failed to delete prompt template' });
+  }
+});
+
+// Render a template version with sample variables, without calling a model
+// (admin only). Defaults to the active version.
+router.post('/prompts/:name/render',
+  authenticate,
+  authorize('admin'),
+  [
+    body('version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('version must be a version number')
+      .toInt(),
+    body('variables')
+      .optional()
+      .isObject()
+      .withMessage('variables must be an object')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const rendered = await promptService.render(
+        req.params.name,
+        req.body.variables || {},
+        { version: req.body.version }
+      );
+
+      res.json(rendered);
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Render prompt template failed',
+        error: error.message,
+        name: req.params.name
+      }));
+
+      res.status(500).json({ error: 'Failed to render prompt template' });
+    }
+  }
+);
+
+const logExperimentChange = (req, change, experiment, meta = {}) => new AuditLog({
+  traceId: req.traceId,
+  actor: 'agent',
+  action: 'CONFIG_UPDATED',
+  meta: {
+    updatedBy: req.user._id,
+    type: 'experiment',
+    change,
+    experimentId: experiment._id,
+    name: experiment.name,
+    task: experiment.task,
+    status: experiment.status,
+    ...meta
+  }
+}).save();
+
+// List experiments (admin only); results are in GET /api/agent/stats
+router.get('/experiments', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const experiments = await Experiment.find().sort({ createdAt: -1 }).lean();
+    res.json({ experiments });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'List experiments failed',
+      error: error.message
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch experiments' });
+  }
+});
+
+// Create an experiment in draft status (admin only). Each variant may pin a
+// prompt template and version, a model and a temperature for the task;
+// fields left null keep the live routing.
+router.post('/experiments',
+  authenticate,
+  authorize('admin'),
+  [
+    body('name')
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('name must be lowercase letters, digits, _ or - (max 64)'),
+    body('task')
+      .isIn(LLM_TASK_NAMES)
+      .withMessage(`task must be one of: ${LLM_TASK_NAMES.join(', ')}`),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters'),
+    body('variants')
+      .isArray({ min: 2, max: 10 })
+      .withMessage('variants must be an array of 2 to 10 variants'),
+    body('variants.*.name')
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('variant name must be lowercase letters, digits, _ or - (max 64)'),
+    body('variants.*.weight')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('variant weight must be an integer between 1 and 100')
+      .toInt(),
+    body('variants.*.promptTemplate')
+      .optional({ nullable: true })
+      .matches(PROMPT_NAME_PATTERN)
+      .withMessage('variant promptTemplate must be a prompt template name'),
+    body('variants.*.promptVersion')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('variant promptVersion must be a version number or null')
+      .toInt(),
+    body('variants.*.model')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('variant model must be a string of at most 100 characters'),
+    body('variants.*.temperature')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 2 })
+      .withMessage('variant temperature must be between 0 and 2 or null')
+      .toFloat()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { name, task, description, variants } = req.body;
+
+      if (new Set(variants.map(variant => variant.name)).size !== variants.length) {
+        return res.status(400).json({ error: 'Variant names must be unique' });
+      }
+
+      // A version without a template is a version of the template the task
+      // is routed to
+      const config = await Config.findOne();
+      const routedTemplate = config?.llm?.[task]?.promptTemplate || task;
+      for (const variant of variants) {
+        if (!variant.promptTemplate && !variant.promptVersion) continue;
+        const templateName = variant.promptTemplate || routedTemplate;
+        const template = await promptService.getTemplate(templateName);
+        if (!template) {
+          return res.status(400).json({ error: `Prompt template ${templateName} not found` });
+        }
+        if (template.task !== task) {
+          return res.status(400).json({ error: `Prompt template ${templateName} is for the ${template.task} task` });
+        }
+        if (variant.promptVersion && !template.versions.some(version => version.version === variant.promptVersion)) {
+          return res.status(400).json({ error: `Prompt template ${templateName} has no version ${variant.promptVersion}` });
+        }
+      }
+
+      if (await Experiment.exists({ name })) {
+        return res.status(409).json({ error: 'An experiment with this name already exists' });
+      }
+
+      const experiment = await Experiment.create({
+        name,
+        task,
+        description,
+        variants: variants.map(variant => ({
+          name: variant.name,
+          weight: variant.weight,
+          promptTemplate: variant.promptTemplate || null,
+          promptVersion: variant.promptVersion || null,
+          model: variant.model || null,
+          temperature: variant.temperature ?? null
+        })),
+        createdBy: req.user._id
+      });
+
+      await logExperimentChange(req, 'created', experiment, { variants: experiment.variants });
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Experiment created',
+        name,
+        task,
+        variants: experiment.variants.length,
+        createdBy: req.user._id
+      }));
+
+      res.status(201).json(experiment);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Create experiment failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to create experiment' });
+    }
+  }
+);
+
+// Start or stop an experiment, or edit its description (admin only).
+// Experiments go draft -> running -> stopped; variants never change once
+// created so the breakdown always describes what ran.
+router.put('/experiments/:name',
+  authenticate,
+  authorize('admin'),
+  [
+    body('status')
+      .optional()
+      .isIn(['running', 'stopped'])
+      .withMessage('status must be running or stopped'),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const experiment = await Experiment.findOne({ name: req.params.name });
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      const { status, description } = req.body;
+      const previousStatus = experiment.status;
+
+      if (status && status !== previousStatus) {
+        if (status === 'running') {
+          if (previousStatus !== 'draft') {
+            return res.status(400).json({ error: 'A stopped experiment cannot be restarted' });
+          }
+          // Two experiments on one task would fight over its route
+          const running = await Experiment.findOne({ task: experiment.task, status: 'running' }).select('name');
+          if (running) {
+            return res.status(400).json({
+              error: `Experiment ${running.name} is already running on the ${experiment.task} task`
+            });
+          }
+          experiment.startedAt = new Date();
+        } else {
+          if (previousStatus !== 'running') {
+            return res.status(400).json({ error: 'Only a running experiment can be stopped' });
+          }
+          experiment.stoppedAt = new Date();
+        }
+        experiment.status = status;
+      }
+      if (description !== undefined) experiment.description = description;
+
+      await experiment.save();
+      await logExperimentChange(req, 'updated', experiment, { previousStatus });
+
+      res.json(experiment);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update experiment failed',
+        error: error.message,
+        name: req.params.name
+      }));
+
+      res.status(500).json({ error: 'Failed to update experiment' });
+    }
+  }
+);
+
+// Business calendar validation shared by create and update
+const calendarValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  (optional ? body('schedules').optional() : body('schedules'))
+    .isArray({ min: 1 })
+    .withMessage('At least one schedule is required')
+    .bail()
+    .custom(schedules => hasOpenHours({ schedules }))
+    .withMessage('At least one schedule must have open hours'),
+  body('schedules.*.timezone')
+    .custom(value => typeof value === 'string' && isValidTimeZone(value))
+    .withMessage('Invalid IANA time zone'),
+  body('schedules.*.weeklyHours')
+    .isArray()
+    .withMessage('weeklyHours must be an array'),
+  body('schedules.*.weeklyHours.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('day must be 0 (Sunday) to 6 (Saturday)'),
+  body('schedules.*.weeklyHours.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('start must be HH:mm'),
+  body('schedules.*.weeklyHours.*.end')
+    .matches(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/)
+    .withMessage('end must be HH:mm'),
+  body('schedules.*.weeklyHours.*')
+    .custom(hours => typeof hours?.start !== 'string' || typeof hours?.end !== 'string' || hours.end > hours.start)
+    .withMessage('end must be after start'),
+  body('holidays')
+    .optional()
+    .isArray()
+    .withMessage('holidays must be an array'),
+  body('holidays.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Holiday date must be YYYY-MM-DD')
+];
+
+const logCalendarChange = (req, change, calendar) => new AuditLog({
+  traceId: req.traceId,
+  actor: 'agent',
+  action: 'CONFIG_UPDATED',
+  meta: {
+    updatedBy: req.user._id,
+    type: 'business_calendar',
+    change,
+    calendarId: calendar._id,
+    name: calendar.name
+  }
+}).save();
+
+// List business calendars
+router.get('/calendars', authenticate, authorize('agent', 'admin'), async (req, res) => {
+  try {
+    const calendars = await BusinessCalendar.find().sort({ name: 1 });
+    res.json({ calendars });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'List calendars failed',
+      error: error.message
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch business calendars' });
+  }
+});
+
+// Create business calendar (admin only)
+router.post('/calendars',
+  authenticate,
+  authorize('admin'),
+  calendarValidation(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { name, schedules, holidays } = req.body;
+
+      if (await BusinessCalendar.exists({ name })) {
+        return res.status(409).json({ error: 'A calendar with this name already exists' });
+      }
+
+      const calendar = new BusinessCalendar({ name, schedules, holidays: holidays || [] });
+      await calendar.save();
+
+      await logCalendarChange(req, 'created', calendar);
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Business calendar created',
+        calendarId: calendar._id,
+        createdBy: req.user._id
+      }));
+
+      res.status(201).json(calendar);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Create calendar failed',
+        error: error.message
+      }));
+
+      res.status(500).json({ error: 'Failed to create business calendar' });
+    }
+  }
+);
+
+// Update business calendar (admin only)
+router.put('/calendars/:id',
+  authenticate,
+  authorize('admin'),
+  calendarValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const calendar = await BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({ error: 'Business calendar not found' });
+      }
+
+      const { name, schedules, holidays } = req.body;
+      if (name !== undefined) calendar.name = name;
+      if (schedules !== undefined) calendar.schedules = schedules;
+      if (holidays !== undefined) calendar.holidays = holidays;
+
+      await calendar.save();
+      await logCalendarChange(req, 'updated', calendar);
+
+      res.json(calendar);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update calendar failed',
+        error: error.message,
+        calendarId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to update business calendar' });
+    }
+  }
+);
+
+// Delete business calendar (admin only)
+router.delete('/calendars/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Business calendar not found' });
+    }
+
+    if (await Config.exists({ businessCalendarId: calendar._id })) {
+      return res.status(400).json({ error: 'Calendar is in use by the SLA configuration' });
+    }
+
+    await BusinessCalendar.findByIdAndDelete(calendar._id);
+    await logCalendarChange(req, 'deleted', calendar);
+
+    res.json({ message: 'Business calendar deleted successfully' });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Delete calendar failed',
+      error: error.message,
+      calendarId: req.params.id
+    }));
+
+    res.status(500).json({ error: 'Failed to delete business calendar' });
+  }
+});
+
+// Import holidays from an iCalendar file (admin only). Accepts a raw
+// text/calendar body or JSON { ics }.
+router.post('/calendars/:id/holidays/import',
+  authenticate,
+  authorize('admin'),
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+      if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+        return res.status(400).json({ error: 'An iCalendar (.ics) body is required' });
+      }
+
+      const calendar = await BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({ error: 'Business calendar not found' });
+      }
+
+      const existingDates = new Set(calendar.holidays.map(holiday => holiday.date));
+      const imported = parseICalHolidays(ics).filter(holiday => {
+        if (existingDates.has(holiday.date)) return false;
+        existingDates.add(holiday.date);
+        return true;
+      });
+
+      calendar.holidays = [
+        ...calendar.holidays.map(holiday => holiday.toObject()),
+        ...imported.map(holiday => ({ ...holiday, source: 'ical' }))
+      ].sort((a, b) => a.date.localeCompare(b.date));
+      await calendar.save();
+
+      await logCalendarChange(req, 'holidays_imported', calendar);
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Holidays imported',
+        calendarId: calendar._id,
+        importedCount: imported.length
+      }));
+
+      res.json({ importedCount: imported.length, calendar });
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Holiday import failed',
+        error: error.message,
+        calendarId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to import holidays' });
+    }
+  }
+);
+
+// Preview a due date computed with a calendar
+router.get('/calendars/:id/due',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    query('start').optional().isISO8601(),
+    query('hours').isFloat({ min: 0, max: 2000 }).withMessage('hours is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const calendar = await BusinessCalendar.findById(req.params.id).lean();
+      if (!calendar) {
+        return res.status(404).json({ error: 'Business calendar not found' });
+      }
+
+      const start = req.query.start ? new Date(req.query.start) : new Date();
+      const hours = parseFloat(req.query.hours);
+      const dueAt = addBusinessMs(calendar, start, hours * 60 * 60 * 1000);
+
+      res.json({ start, hours, dueAt });
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Calendar due date preview failed',
+        error: error.message,
+        calendarId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to compute due date' });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
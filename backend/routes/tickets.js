@@ -1,13 +1,104 @@
 // routes/tickets.js
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Ticket, AgentSuggestion, User } = require('../models');
+const { Ticket, AgentSuggestion, User, TICKET_LINK_INVERSES } = require('../models');
 const { authenticate, authorize } = require('../middleware/auth');
+const { acceptAttachments } = require('../middleware/attachments');
+const { createStorage } = require('../services/attachmentStorage');
+const { SimilarityService } = require('../services/similarityService');
 const AgentService = require('../services/agentService');
+const { SlaService } = require('../services/slaService');
+const { editDistance } = require('../services/experimentService');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
 
 const router = express.Router();
 const agentService = new AgentService();
+const slaService = new SlaService();
+const attachmentStorage = createStorage();
+const similarityService = new SimilarityService();
+
+// Requesters never see internal notes, nor links and duplicate flags (which
+// may point at other customers' tickets)
+const forViewer = (ticket, user) => {
+  if (user.role !== 'user') return ticket;
+  const data = ticket.toObject();
+  data.replies = data.replies.filter(reply => reply.visibility !== 'internal');
+  delete data.links;
+  delete data.possibleDuplicates;
+  return data;
+};
+
+// Writes uploaded files to attachment storage and returns the metadata to
+// embed in the ticket or reply
+const storeAttachments = async (files, ticketId, userId) => {
+  const attachments = [];
+  try {
+    for (const file of files) {
+      const storageKey = await attachmentStorage.save(fs.createReadStream(file.path), {
+        ticketId,
+        mimeType: file.mimetype
+      });
+      attachments.push({
+        filename: path.basename(file.originalname).replace(/[\x00-\x1f"\\]/g, '_').slice(0, 255),
+        mimeType: file.mimetype,
+        size: file.size,
+        storage: attachmentStorage.name,
+        storageKey,
+        uploadedBy: userId
+      });
+    }
+  } catch (error) {
+    await discardAttachments(attachments);
+    throw error;
+  }
+  return attachments;
+};
+
+// Loads the ticket being replied to and checks the requester may reply
+// before any upload is read, so strangers cannot make the server take files
+const loadReplyTicket = async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (req.user.role === 'user') {
+      if (ticket.createdBy.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (ticket.status === 'closed') {
+        return res.status(400).json({ error: 'Closed tickets must be reopened before replying' });
+      }
+    }
+
+    req.ticket = ticket;
+    next();
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Reply failed',
+      error: error.message,
+      ticketId: req.params.id
+    }));
+
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+};
+
+// Best-effort cleanup when the ticket or reply could not be saved
+const discardAttachments = async (attachments) => {
+  for (const attachment of attachments) {
+    await attachmentStorage.remove(attachment.storageKey).catch(() => {});
+  }
+};
 
 // Get tickets with filtering
 router.get('/',
@@ -15,7 +106,10 @@ router.get('/',
   [
     query('status').optional().isIn(['open', 'triaged', 'waiting_human', 'resolved', 'closed']),
     query('category').optional().isIn(['billing', 'tech', 'shipping', 'other']),
+    query('priority').optional().isIn(['low', 'normal', 'high', 'urgent']),
     query('my').optional().isBoolean(),
+    query('sla').optional().isIn(['breached', 'at_risk']),
+    query('sort').optional().isIn(['newest', 'due', 'priority']),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 50 })
   ],
@@ -29,7 +123,7 @@ router.get('/',
         });
       }
 
-      const { status, category, my, page = 1, limit = 20 } = req.query;
+      const { status, category, priority, my, sla, sort, page = 1, limit = 20 } = req.query;
       let filter = {};
 
       // Role-based filtering
@@ -46,6 +140,23 @@ router.get('/',
       // Status and category filters
       if (status) filter.status = status;
       if (category) filter.category = category;
+      if (priority) filter.priority = priority;
+      if (sla) filter['sla.status'] = sla;
+
+      // SLA views default to the most urgent deadline first; an agent's own
+      // queue defaults to highest priority first, oldest first within a priority
+      let sortBy = sort;
+      if (!sortBy) {
+        if (sla) sortBy = 'due';
+        else if (my === 'true' && req.user.role === 'agent') sortBy = 'priority';
+        else sortBy = 'newest';
+      }
+      const sortOrders = {
+        newest: { createdAt: -1 },
+        due: { 'sla.resolutionDueAt': 1, createdAt: 1 },
+        priority: { priorityRank: -1, createdAt: 1 }
+      };
+      const sortOrder = sortOrders[sortBy];
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -53,7 +164,7 @@ router.get('/',
         .populate('createdBy', 'name email')
         .populate('assignee', 'name email')
         .populate('agentSuggestionId')
-        .sort({ createdAt: -1 })
+        .sort(sortOrder)
         .skip(skip)
         .limit(parseInt(limit));
 
@@ -70,7 +181,7 @@ router.get('/',
       }));
 
       res.json({
-        tickets,
+        tickets: tickets.map(ticket => forViewer(ticket, req.user)),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -100,7 +211,10 @@ router.get('/:id', authenticate, async (req, res) => {
       .populate('createdBy', 'name email')
       .populate('assignee', 'name email')
       .populate('agentSuggestionId')
-      .populate('replies.author', 'name email');
+      .populate('replies.author', 'name email')
+      .populate('links.ticket', 'title status')
+      .populate('mergedInto', 'title status')
+      .populate('possibleDuplicates.ticket', 'title status');
 
     if (!ticket) {
       return res.status(404).json({ error: 'Ticket not found' });
@@ -111,7 +225,7 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json(ticket);
+    res.json(forViewer(ticket, req.user));
 
   } catch (error) {
     console.error(JSON.stringify({
@@ -127,9 +241,10 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// Create ticket
+// Create ticket (JSON, or multipart with up to five `attachments` files)
 router.post('/',
   authenticate,
+  acceptAttachments,
   [
     body('title')
       .trim()
@@ -142,9 +257,14 @@ router.post('/',
     body('category')
       .optional()
       .isIn(['billing', 'tech', 'shipping', 'other'])
-      .withMessage('Invalid category')
+      .withMessage('Invalid category'),
+    body('priority')
+      .optional({ checkFalsy: true })
+      .isIn(['low', 'normal', 'high', 'urgent'])
+      .withMessage('Invalid priority')
   ],
   async (req, res) => {
+    let attachments = [];
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -154,17 +274,35 @@ router.post('/',
         });
       }
 
-      const { title, description, category } = req.body;
+      const { title, description, category, priority } = req.body;
       const traceId = crypto.randomUUID();
 
       const ticket = new Ticket({
         title,
         description,
         category: category || 'other',
+        priority: priority || 'normal',
+        prioritySource: priority ? 'user' : 'default',
         createdBy: req.user._id,
         status: 'open'
       });
 
+      attachments = await storeAttachments(req.files, ticket._id, req.user._id);
+      ticket.attachments = attachments;
+
+      // A broken business calendar must not block ticket intake; the SLA
+      // scheduler fills the due dates in once the calendar is fixed
+      try {
+        await slaService.applyDueDates(ticket);
+      } catch (error) {
+        console.error(JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          traceId,
+          message: 'SLA due dates could not be computed',
+          error: error.message
+        }));
+      }
       await ticket.save();
 
       // Log ticket creation
@@ -177,7 +315,12 @@ router.post('/',
         meta: {
           title: ticket.title,
           category: ticket.category,
-          createdBy: req.user._id
+          priority: ticket.priority,
+          prioritySource: ticket.prioritySource,
+          createdBy: req.user._id,
+          attachmentCount: attachments.length,
+          firstResponseDueAt: ticket.sla.firstResponseDueAt,
+          resolutionDueAt: ticket.sla.resolutionDueAt
         }
       }).save();
 
@@ -191,32 +334,36 @@ router.post('/',
         title: ticket.title
       }));
 
-      // Trigger async triage (don't wait for completion)
-      setImmediate(async () => {
-        try {
-          await agentService.triageTicket(ticket._id, traceId);
-        } catch (error) {
-          console.error(JSON.stringify({
-            timestamp: new Date().toISOString(),
-            level: 'error',
-            traceId,
-            message: 'Auto-triage failed',
-            ticketId: ticket._id,
-            error: error.message
-          }));
-        }
-      });
+      // Duplicate detection is advisory; never fail ticket creation over it
+      try {
+        await similarityService.flagPossibleDuplicates(ticket, traceId);
+      } catch (error) {
+        console.error(JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          traceId,
+          message: 'Duplicate detection failed',
+          error: error.message,
+          ticketId: ticket._id
+        }));
+      }
+
+      // Queue triage on the durable job queue (don't wait for completion)
+      const job = await agentService.enqueueTriage(ticket._id, traceId);
 
       // Return created ticket
       const populatedTicket = await Ticket.findById(ticket._id)
         .populate('createdBy', 'name email');
 
       res.status(201).json({
-        ticket: populatedTicket,
-        traceId
+        ticket: forViewer(populatedTicket, req.user),
+        traceId,
+        jobId: job._id
       });
 
     } catch (error) {
+      await discardAttachments(attachments);
+
       console.error(JSON.stringify({
         timestamp: new Date().toISOString(),
         level: 'error',
@@ -230,10 +377,12 @@ router.post('/',
   }
 );
 
-// Reply to ticket (agents only)
+// Reply to ticket (agents, or the customer who opened it)
 router.post('/:id/reply',
   authenticate,
-  authorize('agent', 'admin'),
+  authorize('agent', 'admin', 'user'),
+  loadReplyTicket,
+  acceptAttachments,
   [
     body('content')
       .trim()
@@ -245,6 +394,7 @@ router.post('/:id/reply',
       .withMessage('Invalid status')
   ],
   async (req, res) => {
+    let attachments = [];
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -255,10 +405,12 @@ router.post('/:id/reply',
       }
 
       const { content, status } = req.body;
-      const ticket = await Ticket.findById(req.params.id);
+      const { ticket } = req;
 
-      if (!ticket) {
-        return res.status(404).json({ error: 'Ticket not found' });
+      attachments = await storeAttachments(req.files, ticket._id, req.user._id);
+
+      if (req.user.role === 'user') {
+        return await handleCustomerReply(req, res, ticket, content, attachments);
       }
 
       // Add reply
@@ -266,6 +418,7 @@ router.post('/:id/reply',
         author: req.user._id,
         content,
         isAgentGenerated: false,
+        attachments,
         timestamp: new Date()
       });
 
@@ -280,6 +433,7 @@ router.post('/:id/reply',
       }
 
       await ticket.save();
+      await recordFinalReply(ticket, content, req.user._id);
 
       // Log the reply
       const { AuditLog } = require('../models');
@@ -291,6 +445,7 @@ router.post('/:id/reply',
         meta: {
           agentId: req.user._id,
           contentLength: content.length,
+          attachmentCount: attachments.length,
           newStatus: ticket.status
         }
       }).save();
@@ -314,6 +469,8 @@ router.post('/:id/reply',
       res.json(updatedTicket);
 
     } catch (error) {
+      await discardAttachments(attachments);
+
       console.error(JSON.stringify({
         timestamp: new Date().toISOString(),
         level: 'error',
@@ -328,6 +485,536 @@ router.post('/:id/reply',
   }
 );
 
+// The first agent reply after triage is what the suggestion turned into; it
+// is kept on the suggestion as the training target for the feedback export
+async function recordFinalReply(ticket, content, agentId) {
+  if (!ticket.agentSuggestionId) return;
+
+  const suggestion = await AgentSuggestion.findById(ticket.agentSuggestionId);
+  if (!suggestion || suggestion.finalReply) return;
+
+  suggestion.finalReply = content;
+  suggestion.finalEditDistance = editDistance(suggestion.originalDraft ?? suggestion.draftReply, content);
+  suggestion.finalCategory = suggestion.finalCategory || ticket.category;
+  suggestion.finalizedBy = agentId;
+  suggestion.finalizedAt = new Date();
+  await suggestion.save();
+}
+
+// Customer replies reopen the conversation and send the ticket back through
+// triage with the full thread, so answers to clarifying questions are picked up.
+// loadReplyTicket has already checked ownership and that the ticket is open.
+async function handleCustomerReply(req, res, ticket, content, attachments) {
+  const { AuditLog } = require('../models');
+  const previousStatus = ticket.status;
+
+  ticket.replies.push({
+    author: req.user._id,
+    content,
+    isAgentGenerated: false,
+    attachments,
+    timestamp: new Date()
+  });
+
+  // Resolved or escalated tickets go back to open until triage decides again
+  if (['resolved', 'waiting_human'].includes(previousStatus)) {
+    ticket.status = 'open';
+  }
+
+  await ticket.save();
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId: req.traceId,
+    actor: 'user',
+    action: 'REPLY_SENT',
+    meta: {
+      userId: req.user._id,
+      contentLength: content.length,
+      attachmentCount: attachments.length,
+      previousStatus,
+      newStatus: ticket.status
+    }
+  }).save();
+
+  if (previousStatus === 'resolved') {
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId: req.traceId,
+      actor: 'user',
+      action: 'TICKET_REOPENED',
+      meta: {
+        reopenedBy: req.user._id,
+        previousStatus,
+        reason: 'customer_reply'
+      }
+    }).save();
+  }
+
+  await new AuditLog({
+    ticketId: ticket._id,
+    traceId: req.traceId,
+    actor: 'user',
+    action: 'TRIAGE_REQUESTED',
+    meta: {
+      trigger: 'customer_reply',
+      replyCount: ticket.replies.length
+    }
+  }).save();
+
+  console.log(JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: 'info',
+    traceId: req.traceId,
+    message: 'Customer reply received',
+    ticketId: ticket._id,
+    userId: req.user._id,
+    previousStatus,
+    newStatus: ticket.status
+  }));
+
+  // Re-run triage with the updated conversation (don't wait for completion)
+  await agentService.enqueueTriage(ticket._id, req.traceId, { trigger: 'customer_reply' });
+
+  const updatedTicket = await Ticket.findById(ticket._id)
+    .populate('createdBy', 'name email')
+    .populate('assignee', 'name email')
+    .populate('replies.author', 'name email');
+
+  return res.json(forViewer(updatedTicket, req.user));
+}
+
+// Download an attachment; same access rule as GET /:id, and requesters
+// cannot reach files on internal notes
+router.get('/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (req.user.role === 'user' && ticket.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const visibleReplies = req.user.role === 'user'
+      ? ticket.replies.filter(reply => reply.visibility !== 'internal')
+      : ticket.replies;
+    const attachment = [ticket.attachments, ...visibleReplies.map(reply => reply.attachments)]
+      .map(list => list.id(req.params.attachmentId))
+      .find(Boolean);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = createStorage(attachment.storage).createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Attachment read failed',
+        error: error.message,
+        ticketId: ticket._id,
+        attachmentId: attachment._id
+      }));
+
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'Attachment not found' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+      });
+      stream.pipe(res);
+    });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Attachment download failed',
+      error: error.message,
+      ticketId: req.params.id
+    }));
+
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Add internal note (agents/admins only). Notes are hidden from the
+// requester, don't change the ticket status and don't count as a response.
+router.post('/:id/notes',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Note content is required and must be less than 5000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { content } = req.body;
+      const ticket = await Ticket.findById(req.params.id);
+
+      if (!ticket) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+
+      ticket.replies.push({
+        author: req.user._id,
+        content,
+        visibility: 'internal',
+        isAgentGenerated: false,
+        timestamp: new Date()
+      });
+      await ticket.save();
+
+      const { AuditLog } = require('../models');
+      await new AuditLog({
+        ticketId: ticket._id,
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'NOTE_ADDED',
+        meta: {
+          agentId: req.user._id,
+          contentLength: content.length
+        }
+      }).save();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Internal note added',
+        ticketId: ticket._id,
+        agentId: req.user._id
+      }));
+
+      const updatedTicket = await Ticket.findById(ticket._id)
+        .populate('createdBy', 'name email')
+        .populate('assignee', 'name email')
+        .populate('replies.author', 'name email');
+
+      res.status(201).json(updatedTicket);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Add note failed',
+        error: error.message,
+        ticketId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to add note' });
+    }
+  }
+);
+
+// Merge a duplicate into another ticket (agents/admins only). The source's
+// description, replies and attachments are folded into the target, and the
+// source is closed with a pointer to the target.
+router.post('/:id/merge',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    body('targetTicketId')
+      .isMongoId()
+      .withMessage('Valid target ticket ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { targetTicketId } = req.body;
+      if (targetTicketId === req.params.id) {
+        return res.status(400).json({ error: 'A ticket cannot be merged into itself' });
+      }
+
+      const [source, target] = await Promise.all([
+        Ticket.findById(req.params.id),
+        Ticket.findById(targetTicketId)
+      ]);
+
+      if (!source || !target) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+
+      const populateTarget = () => Ticket.findById(target._id)
+        .populate('createdBy', 'name email')
+        .populate('assignee', 'name email')
+        .populate('replies.author', 'name email')
+        .populate('links.ticket', 'title status');
+
+      // Repeating a merge that went through is a no-op
+      if (source.mergedInto?.toString() === target._id.toString()) {
+        return res.json(await populateTarget());
+      }
+
+      if (source.mergedInto) {
+        return res.status(400).json({ error: 'Ticket has already been merged' });
+      }
+
+      if (target.mergedInto || target.status === 'closed') {
+        return res.status(400).json({ error: 'Target ticket is closed or merged' });
+      }
+
+      // Replies are visible to the target's requester, so only merge
+      // tickets opened by the same person
+      if (source.createdBy.toString() !== target.createdBy.toString()) {
+        return res.status(400).json({ error: 'Only tickets from the same requester can be merged' });
+      }
+
+      const movedReplies = source.replies.map(reply => {
+        const { _id, ...fields } = reply.toObject();
+        return fields;
+      });
+
+      // There are no transactions here, so the merge is made safe to retry
+      // instead: the copied replies and the duplicated_by link land in one
+      // save of the target, and a target that already has the link is not
+      // copied into again when an earlier attempt failed to close the source.
+      // Sorting rewrites the whole replies array, so a concurrent merge of
+      // the same source fails the version check rather than copying twice.
+      const alreadyCopied = target.links.some(link =>
+        link.type === 'duplicated_by' && link.ticket.toString() === source._id.toString());
+      if (!alreadyCopied) {
+        target.replies.push(
+          {
+            author: source.createdBy,
+            content: `[Merged from "${source.title}"]\n\n${source.description}`,
+            attachments: source.attachments.map(attachment => attachment.toObject()),
+            timestamp: source.createdAt
+          },
+          ...movedReplies
+        );
+        target.replies.sort((a, b) => a.timestamp - b.timestamp);
+        target.links.push({ type: 'duplicated_by', ticket: source._id, createdBy: req.user._id });
+        await target.save();
+      }
+
+      source.replies.push({
+        author: req.user._id,
+        content: `This ticket was merged into "${target.title}". Follow-ups continue there.`,
+        timestamp: new Date()
+      });
+      source.links.push({ type: 'duplicate_of', ticket: target._id, createdBy: req.user._id });
+      source.mergedInto = target._id;
+      source.status = 'closed';
+      await source.save();
+
+      const meta = {
+        mergedBy: req.user._id,
+        sourceTicketId: source._id,
+        targetTicketId: target._id,
+        movedReplies: movedReplies.length,
+        movedAttachments: source.attachments.length +
+          movedReplies.reduce((total, reply) => total + (reply.attachments?.length || 0), 0)
+      };
+
+      const { AuditLog } = require('../models');
+      await AuditLog.insertMany([source._id, target._id].map(ticketId => ({
+        ticketId,
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'TICKET_MERGED',
+        meta
+      })));
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Tickets merged',
+        ...meta
+      }));
+
+      res.json(await populateTarget());
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Merge failed',
+        error: error.message,
+        ticketId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to merge tickets' });
+    }
+  }
+);
+
+// Link two tickets (agents/admins only); the inverse link is added to the
+// other ticket
+router.post('/:id/links',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    body('ticketId')
+      .isMongoId()
+      .withMessage('Valid ticket ID required'),
+    body('type')
+      .isIn(Object.keys(TICKET_LINK_INVERSES))
+      .withMessage(`type must be one of: ${Object.keys(TICKET_LINK_INVERSES).join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { ticketId, type } = req.body;
+      if (ticketId === req.params.id) {
+        return res.status(400).json({ error: 'A ticket cannot be linked to itself' });
+      }
+
+      const [ticket, other] = await Promise.all([
+        Ticket.findById(req.params.id),
+        Ticket.findById(ticketId)
+      ]);
+
+      if (!ticket || !other) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+
+      if (ticket.links.some(link => link.ticket.toString() === ticketId)) {
+        return res.status(409).json({ error: 'Tickets are already linked' });
+      }
+
+      ticket.links.push({ type, ticket: other._id, createdBy: req.user._id });
+      other.links.push({ type: TICKET_LINK_INVERSES[type], ticket: ticket._id, createdBy: req.user._id });
+      await Promise.all([ticket.save(), other.save()]);
+
+      const { AuditLog } = require('../models');
+      await new AuditLog({
+        ticketId: ticket._id,
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'TICKET_LINKED',
+        meta: {
+          linkedBy: req.user._id,
+          type,
+          linkedTicketId: other._id
+        }
+      }).save();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Tickets linked',
+        ticketId: ticket._id,
+        linkedTicketId: other._id,
+        type
+      }));
+
+      const updatedTicket = await Ticket.findById(ticket._id)
+        .populate('links.ticket', 'title status');
+
+      res.status(201).json({ links: updatedTicket.links });
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Link failed',
+        error: error.message,
+        ticketId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to link tickets' });
+    }
+  }
+);
+
+// Remove a link from both tickets (agents/admins only)
+router.delete('/:id/links/:linkId', authenticate, authorize('agent', 'admin'), async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? ticket.links.id(req.params.linkId)
+      : null;
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await Promise.all([
+      Ticket.updateOne({ _id: ticket._id }, { $pull: { links: { _id: link._id } } }),
+      Ticket.updateOne(
+        { _id: link.ticket },
+        { $pull: { links: { ticket: ticket._id, type: TICKET_LINK_INVERSES[link.type] } } }
+      )
+    ]);
+
+    const { AuditLog } = require('../models');
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId: req.traceId,
+      actor: 'agent',
+      action: 'TICKET_UNLINKED',
+      meta: {
+        unlinkedBy: req.user._id,
+        type: link.type,
+        linkedTicketId: link.ticket
+      }
+    }).save();
+
+    res.json({ message: 'Link removed' });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'Unlink failed',
+      error: error.message,
+      ticketId: req.params.id
+    }));
+
+    res.status(500).json({ error: 'Failed to remove link' });
+  }
+});
+
 // Assign ticket (agents/admins only)
 router.post('/:id/assign',
   authenticate,
@@ -411,6 +1098,82 @@ router.post('/:id/assign',
   }
 );
 
+// Override ticket priority (agents/admins only)
+router.post('/:id/priority',
+  authenticate,
+  authorize('agent', 'admin'),
+  [
+    body('priority')
+      .isIn(['low', 'normal', 'high', 'urgent'])
+      .withMessage('Priority must be low, normal, high or urgent')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const ticket = await Ticket.findById(req.params.id);
+      if (!ticket) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+
+      const oldPriority = ticket.priority;
+      const oldSource = ticket.prioritySource;
+      ticket.priority = req.body.priority;
+      ticket.prioritySource = 'agent';
+      await ticket.save();
+
+      const { AuditLog } = require('../models');
+      await new AuditLog({
+        ticketId: ticket._id,
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'PRIORITY_CHANGED',
+        meta: {
+          changedBy: req.user._id,
+          oldPriority,
+          oldSource,
+          newPriority: ticket.priority
+        }
+      }).save();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Ticket priority changed',
+        ticketId: ticket._id,
+        changedBy: req.user._id,
+        oldPriority,
+        newPriority: ticket.priority
+      }));
+
+      const updatedTicket = await Ticket.findById(ticket._id)
+        .populate('createdBy', 'name email')
+        .populate('assignee', 'name email');
+
+      res.json(updatedTicket);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Priority change failed',
+        error: error.message,
+        ticketId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to change priority' });
+    }
+  }
+);
+
 // Reopen ticket
 router.post('/:id/reopen',
   authenticate,
@@ -462,7 +1225,7 @@ router.post('/:id/reopen',
         .populate('createdBy', 'name email')
         .populate('assignee', 'name email');
 
-      res.json(updatedTicket);
+      res.json(forViewer(updatedTicket, req.user));
 
     } catch (error) {
       console.error(JSON.stringify({
@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { User, AuditLog } = require('../models');
+const { authenticate, authorize } = require('../middleware/auth');
+const { AssignmentService, isAvailable } = require('../services/assignmentService');
+
+const router = express.Router();
+const assignmentService = new AssignmentService();
+
+const availabilityValidation = [
+  body('status')
+    .isIn(['online', 'away', 'offline', 'out_of_office'])
+    .withMessage('status must be online, away, offline or out_of_office'),
+  body('outOfOfficeUntil')
+    .if(body('status').equals('out_of_office'))
+    .isISO8601()
+    .withMessage('outOfOfficeUntil is required when out of office')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('outOfOfficeUntil must be in the future')
+];
+
+const formatAgent = (agent) => ({
+  _id: agent._id,
+  name: agent.name,
+  email: agent.email,
+  skills: agent.skills,
+  availability: agent.availability,
+  maxOpenTickets: agent.maxOpenTickets
+});
+
+// Sets an agent's status; going out of office hands their waiting tickets
+// to other agents
+const updateAvailability = async (req, res, agent) => {
+  const { status, outOfOfficeUntil } = req.body;
+  const oldAvailability = agent.availability?.toObject?.() || {};
+
+  agent.availability = {
+    status,
+    outOfOfficeUntil: status === 'out_of_office' ? new Date(outOfOfficeUntil) : undefined,
+    updatedAt: new Date()
+  };
+  await agent.save();
+
+  await new AuditLog({
+    traceId: req.traceId,
+    actor: 'agent',
+    action: 'AGENT_STATUS_CHANGED',
+    meta: {
+      agentId: agent._id,
+      updatedBy: req.user._id,
+      oldStatus: oldAvailability.status,
+      newStatus: status,
+      outOfOfficeUntil: agent.availability.outOfOfficeUntil
+    }
+  }).save();
+
+  const redistribution = status === 'out_of_office'
+    ? await assignmentService.redistributeTickets(agent._id, req.traceId, 'out_of_office')
+    : null;
+
+  console.log(JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: 'info',
+    traceId: req.traceId,
+    message: 'Agent availability updated',
+    agentId: agent._id,
+    status,
+    updatedBy: req.user._id
+  }));
+
+  res.json({ ...formatAgent(agent), redistribution });
+};
+
+// List agents with their assignment settings and current load
+router.get('/agents', authenticate, authorize('agent', 'admin'), async (req, res) => {
+  try {
+    const agents = await User.find({ role: 'agent', email: { $ne: 'system@helpdesk.local' } })
+      .select('name email skills availability maxOpenTickets lastAssignedAt')
+      .sort({ name: 1 })
+      .lean();
+
+    const countByAgent = await assignmentService.countOpenTickets(agents.map(agent => agent._id));
+
+    res.json({
+      agents: agents.map(agent => ({
+        ...agent,
+        openTickets: countByAgent.get(String(agent._id)) || 0,
+        assignable: isAvailable(agent)
+      }))
+    });
+
+  } catch (error) {
+    console.error(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'error',
+      traceId: req.traceId,
+      message: 'List agents failed',
+      error: error.message
+    }));
+
+    res.status(500).json({ error: 'Failed to fetch agents' });
+  }
+});
+
+// Current user's availability
+router.get('/me/availability', authenticate, authorize('agent', 'admin'), (req, res) => {
+  res.json(formatAgent(req.user));
+});
+
+// Set own availability
+router.put('/me/availability',
+  authenticate,
+  authorize('agent', 'admin'),
+  availabilityValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const agent = await User.findById(req.user._id);
+      await updateAvailability(req, res, agent);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update availability failed',
+        error: error.message,
+        userId: req.user._id
+      }));
+
+      res.status(500).json({ error: 'Failed to update availability' });
+    }
+  }
+);
+
+// Set an agent's availability on their behalf (admin only)
+router.put('/:id/availability',
+  authenticate,
+  authorize('admin'),
+  availabilityValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const agent = await User.findById(req.params.id);
+      if (!agent || agent.role !== 'agent') {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      await updateAvailability(req, res, agent);
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update availability failed',
+        error: error.message,
+        agentId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to update availability' });
+    }
+  }
+);
+
+// Update an agent's skills and open-ticket limit (admin only)
+router.put('/:id/assignment',
+  authenticate,
+  authorize('admin'),
+  [
+    body('skills')
+      .optional()
+      .isArray()
+      .withMessage('skills must be an array'),
+    body('skills.*')
+      .isIn(['billing', 'tech', 'shipping', 'other'])
+      .withMessage('Invalid skill'),
+    body('maxOpenTickets')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('maxOpenTickets must be between 1 and 1000')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const agent = await User.findById(req.params.id);
+      if (!agent || agent.role !== 'agent') {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const { skills, maxOpenTickets } = req.body;
+      const oldSettings = { skills: [...agent.skills], maxOpenTickets: agent.maxOpenTickets };
+
+      if (skills !== undefined) agent.skills = [...new Set(skills)];
+      if (maxOpenTickets !== undefined) agent.maxOpenTickets = maxOpenTickets;
+      await agent.save();
+
+      await new AuditLog({
+        traceId: req.traceId,
+        actor: 'agent',
+        action: 'CONFIG_UPDATED',
+        meta: {
+          updatedBy: req.user._id,
+          type: 'agent_assignment',
+          agentId: agent._id,
+          oldSettings,
+          newSettings: { skills: agent.skills, maxOpenTickets: agent.maxOpenTickets }
+        }
+      }).save();
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: req.traceId,
+        message: 'Agent assignment settings updated',
+        agentId: agent._id,
+        updatedBy: req.user._id
+      }));
+
+      res.json(formatAgent(agent));
+
+    } catch (error) {
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        traceId: req.traceId,
+        message: 'Update agent assignment failed',
+        error: error.message,
+        agentId: req.params.id
+      }));
+
+      res.status(500).json({ error: 'Failed to update agent' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+// scripts/eval.js
+// Offline evaluation of the triage pipeline. Replays a labeled dataset
+// (eval/dataset.json by default) through AgentService in a separate
+// "<db>_eval" database, then prints category accuracy, the confusion matrix,
+// retrieval recall@k, auto-close precision and latency. The production
+// database is only read: its Config, prompt templates, active local
+// classifier and confidence calibrations are copied so the run uses the live
+// thresholds, routes and prompts.
+//
+//   npm run eval -- [--dataset file] [--provider stub|recorded|local_classifier|<provider>]
+//                   [--record] [--recordings file] [--threshold 0.8]
+//                   [--prompt classify=name@version] [--json file] [--verbose]
+//
+// --provider recorded replays answers saved in --recordings; any other
+// provider combined with --record calls that provider and saves its answers.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Config, PromptTemplate, ClassifierModel, ConfidenceCalibration } = require('../models');
+const { LLM_TASKS } = require('../services/llmService');
+const { LLM_PROVIDERS, EVAL_PROVIDERS, createProvider } = require('../services/llmProviders');
+const { PromptService } = require('../services/promptService');
+
+const { values: args } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: path.join(__dirname, '../eval/dataset.json') },
+    provider: { type: 'string', default: 'stub' },
+    record: { type: 'boolean', default: false },
+    recordings: { type: 'string', default: path.join(__dirname, '../eval/recordings.json') },
+    threshold: { type: 'string' },
+    prompt: { type: 'string', multiple: true, default: [] },
+    json: { type: 'string' },
+    verbose: { type: 'boolean', default: false }
+  }
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const fail = (message) => {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+};
+
+// "classify=classify-short@2" -> { task, name, version }
+const parsePromptOverride = (value) => {
+  const match = value.match(/^(\w+)=([a-z0-9][a-z0-9_-]*)(?:@(\d+))?$/);
+  if (!match || !LLM_TASKS[match[1]]) {
+    fail(`Invalid --prompt "${value}"; expected <task>=<template>[@version] with task one of ${Object.keys(LLM_TASKS).join(', ')}`);
+  }
+  return { task: match[1], name: match[2], version: match[3] ? parseInt(match[3]) : null };
+};
+
+// Routes every task to the evaluated provider. Must run before any
+// LLMProvider is constructed, since it reads these at construction.
+const configureProvider = () => {
+  const providers = { ...LLM_PROVIDERS, ...EVAL_PROVIDERS };
+  if (!providers[args.provider]) {
+    fail(`Unknown provider "${args.provider}"; expected one of ${Object.keys(providers).join(', ')}`);
+  }
+  if (args.record && (['stub', 'recorded'].includes(args.provider) || createProvider(args.provider).tasks)) {
+    fail('--record needs a real provider to record from, e.g. --provider deepseek --record');
+  }
+
+  const provider = args.record ? 'recorded' : args.provider;
+  process.env.STUB_MODE = provider === 'stub' ? 'true' : 'false';
+  if (!createProvider(provider).tasks) {
+    process.env.LLM_PROVIDER = provider;
+  }
+  process.env.LLM_RECORDINGS_FILE = path.resolve(args.recordings);
+  if (args.record) {
+    process.env.LLM_RECORD_UPSTREAM = args.provider;
+  } else {
+    delete process.env.LLM_RECORD_UPSTREAM;
+  }
+  if (provider === 'recorded' && !args.record && !fs.existsSync(process.env.LLM_RECORDINGS_FILE)) {
+    fail(`Recordings file not found: ${process.env.LLM_RECORDINGS_FILE}`);
+  }
+  return provider;
+};
+
+// Live Config and prompt templates; the evaluation still runs when the
+// production database is unreachable, with default settings
+const readProductionSettings = async (uri) => {
+  try {
+    const connection = await mongoose.createConnection(uri, { serverSelectionTimeoutMS: 5000 }).asPromise();
+    try {
+      return {
+        dbName: connection.name,
+        config: await connection.collection(Config.collection.collectionName).findOne(),
+        templates: await connection.collection(PromptTemplate.collection.collectionName).find().toArray(),
+        classifiers: await connection.collection(ClassifierModel.collection.collectionName)
+          .find({ active: true }).toArray(),
+        calibrations: await connection.collection(ConfidenceCalibration.collection.collectionName)
+          .aggregate([
+            { $sort: { createdAt: -1 } },
+            { $group: { _id: '$provider', calibration: { $first: '$$ROOT' } } },
+            { $replaceRoot: { newRoot: '$calibration' } }
+          ]).toArray()
+      };
+    } finally {
+      await connection.close();
+    }
+  } catch (error) {
+    process.stderr.write(`Could not read production settings (${error.message}); using defaults\n`);
+    return { dbName: null, config: null, templates: [], classifiers: [], calibrations: [] };
+  }
+};
+
+const prepareEvalDatabase = async (settings, provider, promptOverrides) => {
+  await mongoose.connection.dropDatabase();
+
+  if (settings.templates.length > 0) {
+    await PromptTemplate.collection.insertMany(settings.templates);
+  }
+  if (settings.classifiers.length > 0) {
+    await ClassifierModel.collection.insertMany(settings.classifiers);
+  }
+  if (settings.calibrations.length > 0) {
+    await ConfidenceCalibration.collection.insertMany(settings.calibrations);
+  }
+
+  const { _id, ...config } = settings.config || {};
+  // Tasks a non-LLM provider cannot answer keep their production route
+  const tasks = createProvider(provider).tasks || Object.keys(LLM_TASKS);
+  const llm = {};
+  for (const task of Object.keys(LLM_TASKS)) {
+    llm[task] = {
+      ...config.llm?.[task],
+      provider: tasks.includes(task) ? provider : (config.llm?.[task]?.provider || 'stub')
+    };
+  }
+  for (const override of promptOverrides) {
+    llm[override.task].promptTemplate = override.name;
+  }
+
+  await Config.create({
+    ...config,
+    llm,
+    // Auto-close is always on so its precision can be measured
+    autoCloseEnabled: true,
+    ...(args.threshold !== undefined && { confidenceThreshold: parseFloat(args.threshold) })
+  });
+
+  for (const override of promptOverrides) {
+    const template = await new PromptService().getTemplate(override.name);
+    if (!template || template.task !== override.task) {
+      fail(`Prompt template "${override.name}" does not exist for task ${override.task}`);
+    }
+    if (override.version !== null) {
+      if (!template.versions.some(version => version.version === override.version)) {
+        fail(`Prompt template "${override.name}" has no version ${override.version}`);
+      }
+      template.activeVersion = override.version;
+      await template.save();
+    }
+  }
+
+  return Config.findOne();
+};
+
+const pct = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const ms = (value) => (value === null || value === undefined ? 'n/a' : `${Math.round(value)}ms`);
+
+const printReport = (metrics) => {
+  let source = '';
+  if (args.record) source = ` (recording to ${process.env.LLM_RECORDINGS_FILE})`;
+  if (args.provider === 'recorded') source = ` (replaying ${process.env.LLM_RECORDINGS_FILE})`;
+
+  print();
+  print(`Provider: ${args.provider}${source}`);
+  print(`Tickets: ${metrics.tickets}  errors: ${metrics.errors}  with stub fallbacks: ${metrics.fallbacks}`);
+  print();
+  print(`Category accuracy: ${pct(metrics.category.accuracy)}`);
+  print();
+
+  const categories = Object.keys(metrics.category.confusionMatrix);
+  const width = Math.max(...categories.map(category => category.length)) + 2;
+  print(`Confusion matrix (rows: expected, columns: predicted)`);
+  print(`${''.padEnd(width)}${categories.map(category => category.padStart(width)).join('')}`);
+  for (const expected of categories) {
+    const row = categories.map(predicted => String(metrics.category.confusionMatrix[expected][predicted]).padStart(width));
+    print(`${expected.padEnd(width)}${row.join('')}`);
+  }
+  print();
+
+  const recall = Object.entries(metrics.retrieval.recall)
+    .map(([k, value]) => `recall${k} ${pct(value)}`)
+    .join('  ');
+  print(`Retrieval (${metrics.retrieval.ticketsWithIdealArticles} tickets with ideal articles): ${recall}`);
+  print(`Auto-close at threshold ${metrics.autoClose.threshold}: ${metrics.autoClose.autoClosed} tickets ` +
+    `(${pct(metrics.autoClose.rate)}), precision ${pct(metrics.autoClose.precision)}`);
+  print();
+
+  const triage = metrics.latency.triage;
+  print(`Triage latency: mean ${ms(triage.meanMs)}  p50 ${ms(triage.p50Ms)}  p95 ${ms(triage.p95Ms)}  max ${ms(triage.maxMs)}`);
+  for (const [task, latency] of Object.entries(metrics.latency.tasks)) {
+    print(`  ${task.padEnd(10)} mean ${ms(latency.meanMs)}  p95 ${ms(latency.p95Ms)}`);
+  }
+};
+
+async function runEvaluation() {
+  const dataset = JSON.parse(fs.readFileSync(path.resolve(args.dataset), 'utf8'));
+  const promptOverrides = args.prompt.map(parsePromptOverride);
+  const provider = configureProvider();
+
+  const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/helpdesk';
+  const settings = await readProductionSettings(uri);
+  const evalDbName = process.env.EVAL_DB_NAME || `${settings.dbName || 'helpdesk'}_eval`;
+  if (evalDbName === settings.dbName) {
+    fail(`Refusing to evaluate in the production database "${evalDbName}"`);
+  }
+
+  // The pipeline logs every step; keep the report readable unless asked
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+
+  await mongoose.connect(uri, { dbName: evalDbName });
+  try {
+    const config = await prepareEvalDatabase(settings, provider, promptOverrides);
+
+    // Required after the environment is configured
+    const { EvaluationService } = require('../services/evaluationService');
+    const { results, metrics } = await new EvaluationService().run(dataset, {
+      threshold: config.confidenceThreshold,
+      onResult: (result) => {
+        const outcome = result.error
+          ? `error: ${result.error}`
+          : `${result.predictedCategory} (${result.confidence})${result.autoClosed ? ' auto-closed' : ''}`;
+        print(`${result.predictedCategory === result.expectedCategory ? '✓' : '✗'} ${result.id}: ${outcome}`);
+      }
+    });
+
+    printReport(metrics);
+
+    if (args.json) {
+      fs.writeFileSync(path.resolve(args.json), JSON.stringify({
+        provider: args.provider,
+        dataset: path.resolve(args.dataset),
+        database: evalDbName,
+        metrics,
+        results
+      }, null, 2));
+      print(`\nResults written to ${path.resolve(args.json)}`);
+    }
+
+    process.exitCode = metrics.errors > 0 ? 1 : 0;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the evaluation if called directly
+if (require.main === module) {
+  runEvaluation().catch((error) => {
+    process.stderr.write(`Evaluation failed: ${error.message}\n`);
+    process.exit(1);
+  });
+}
@@ -16,7 +16,8 @@ const seedData = {
       name: 'Support Agent',
       email: 'agent@helpdesk.local',
       passwordHash: 'agent123',
-      role: 'agent'
+      role: 'agent',
+      skills: ['billing', 'tech', 'shipping', 'other']
     },
     {
       name: 'Regular User',
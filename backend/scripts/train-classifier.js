@@ -0,0 +1,105 @@
+// scripts/train-classifier.js
+// Trains the local ticket category classifier on resolved and closed
+// tickets, calibrates its confidence on half of a held-out split, measures
+// it on the other half and saves it as the next ClassifierModel version.
+// Route classify to it with the local_classifier provider in the admin
+// settings.
+//
+//   npm run train-classifier -- [--holdout 0.2] [--min-examples 20]
+//                               [--max-features 5000] [--no-activate] [--dry-run]
+//
+// --no-activate saves the model without serving it; --dry-run only prints
+// the held-out metrics.
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { ClassifierModel } = require('../models');
+const {
+  CLASSIFIER_NAME,
+  collectTrainingExamples,
+  trainClassifier,
+  saveClassifier
+} = require('../services/localClassifier');
+
+const { values: args } = parseArgs({
+  options: {
+    holdout: { type: 'string', default: '0.2' },
+    'min-examples': { type: 'string', default: '20' },
+    'max-features': { type: 'string', default: '5000' },
+    'no-activate': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const fail = (message) => {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+};
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+const parseOptions = () => {
+  const holdoutFraction = parseFloat(args.holdout);
+  const minExamples = parseInt(args['min-examples']);
+  const maxFeatures = parseInt(args['max-features']);
+  if (!(holdoutFraction > 0 && holdoutFraction < 1)) {
+    fail('--holdout must be a fraction between 0 and 1');
+  }
+  if (!(minExamples > 0) || !(maxFeatures > 0)) {
+    fail('--min-examples and --max-features must be positive integers');
+  }
+  return { holdoutFraction, minExamples, maxFeatures };
+};
+
+const printReport = (artifact) => {
+  const { metrics } = artifact;
+  const { uncalibrated, calibrated } = metrics.holdout;
+  print(`Examples: ${metrics.examples} (train ${metrics.trainSize}, held out ${metrics.holdoutSize}: ` +
+    `calibration ${metrics.calibrationSize}, test ${metrics.testSize})`);
+  print(`Classes: ${Object.entries(metrics.classCounts).map(([category, count]) => `${category} ${count}`).join(', ')}`);
+  print(`Vocabulary: ${metrics.vocabularySize} tokens`);
+  print();
+  print(`Test accuracy: ${pct(calibrated.accuracy)}`);
+  print(`Calibration temperature: ${artifact.calibration.temperature}`);
+  print(`  expected calibration error ${pct(uncalibrated.ece)} -> ${pct(calibrated.ece)}`);
+  print(`  negative log likelihood    ${uncalibrated.nll} -> ${calibrated.nll}`);
+};
+
+async function train() {
+  const options = parseOptions();
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/helpdesk');
+  try {
+    const examples = await collectTrainingExamples();
+    const artifact = trainClassifier(examples, options);
+    printReport(artifact);
+
+    if (args['dry-run']) {
+      print('\nDry run; nothing saved');
+      return;
+    }
+
+    const activate = !args['no-activate'];
+    const saved = await saveClassifier(artifact, { activate });
+    if (activate) {
+      // Only the newest version serves; older ones stay for rollback
+      await ClassifierModel.updateMany(
+        { name: CLASSIFIER_NAME, version: { $ne: saved.version } },
+        { active: false }
+      );
+    }
+    print(`\nSaved ${CLASSIFIER_NAME}@${saved.version}${activate ? ' (active)' : ' (inactive)'}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Train if called directly
+if (require.main === module) {
+  train().catch((error) => {
+    process.stderr.write(`Training failed: ${error.message}\n`);
+    process.exit(1);
+  });
+}
@@ -12,10 +12,21 @@ const ticketRoutes = require("./routes/tickets");
 const agentRoutes = require("./routes/agent");
 const configRoutes = require("./routes/config");
 const { auditRouter } = require("./routes/audit");
+const userRoutes = require("./routes/users");
+const AgentService = require("./services/agentService");
+const { JobWorker, createDefaultHandlers } = require("./services/jobWorker");
+const { SlaScheduler } = require("./services/slaService");
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Background jobs and the SLA scheduler run in this process unless a separate `node worker.js`
+// is deployed (WORKER_MODE=external)
+const runWorkerInProcess =
+  process.env.WORKER_MODE !== "external" && process.env.NODE_ENV !== "test";
+let jobWorker = null;
+let slaScheduler = null;
+
 app.use(helmet());
 app.use(
   cors({
@@ -112,6 +123,7 @@ app.use("/api/tickets", generalLimiter, ticketRoutes);
 app.use("/api/agent", generalLimiter, agentRoutes);
 app.use("/api/config", generalLimiter, configRoutes);
 app.use("/api/audit", generalLimiter, auditRouter);
+app.use("/api/users", generalLimiter, userRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -154,6 +166,15 @@ mongoose
         service: "helpdesk-api",
       })
     );
+
+    if (runWorkerInProcess) {
+      jobWorker = new JobWorker({
+        handlers: createDefaultHandlers(new AgentService()),
+      });
+      jobWorker.start();
+      slaScheduler = new SlaScheduler();
+      slaScheduler.start();
+    }
   })
   .catch((err) => {
     console.error(
@@ -171,6 +192,12 @@ mongoose
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received. Shutting down gracefully...");
+  if (jobWorker) {
+    await jobWorker.stop();
+  }
+  if (slaScheduler) {
+    await slaScheduler.stop();
+  }
   await mongoose.connection.close();
   process.exit(0);
 });
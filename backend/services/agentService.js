@@ -6,17 +6,91 @@ const {
   AuditLog,
   Config,
   User,
+  AUTO_CLOSE_FACTORS,
+  DEFAULT_AUTO_CLOSE_WEIGHTS,
 } = require("../models");
+const { JobQueue, JOB_TYPES } = require("./jobQueue");
+const { AssignmentService, isAvailable } = require("./assignmentService");
+const { CalibrationService } = require("./calibrationService");
+const { ExperimentService } = require("./experimentService");
+const { verifyCitations } = require("./citations");
+const mongoose = require("mongoose");
 const crypto = require("crypto");
 
+const PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// Auto-close score inputs. MongoDB text scores are unbounded; a top article
+// at RETRIEVAL_FULL_SCORE or above counts as a full match. Drafts outside
+// the sane length range lose credit in proportion to how far outside they are.
+const RETRIEVAL_FULL_SCORE = 1.5;
+const DRAFT_LENGTH_RANGE = { min: 80, max: 2000 };
+
 class AgentService {
   constructor() {
     this.llmProvider = new LLMProvider();
     this.kbSearch = new KBSearchService();
+    this.jobQueue = new JobQueue();
+    this.assignmentService = new AssignmentService();
+    this.calibrationService = new CalibrationService();
+    this.experimentService = new ExperimentService();
+  }
+
+  // Queue triage on the durable job queue; a worker picks it up. New
+  // tickets also get a shadow triage job while a shadow variant is enabled.
+  async enqueueTriage(ticketId, traceId = null, options = {}) {
+    const trace = traceId || crypto.randomUUID();
+    const trigger = options.trigger || "ticket_created";
+    const job = await this.jobQueue.enqueue(
+      JOB_TYPES.TRIAGE,
+      {
+        ticketId: String(ticketId),
+        traceId: trace,
+        trigger,
+      },
+      { maxAttempts: options.maxAttempts || 3 }
+    );
+
+    if (trigger === "ticket_created") {
+      await this._enqueueShadowTriage(ticketId, trace);
+    }
+    return job;
+  }
+
+  // Never lets a shadow problem get in the way of live triage
+  async _enqueueShadowTriage(ticketId, traceId) {
+    try {
+      const config = await Config.findOne();
+      if (!config?.shadow?.enabled) return null;
+
+      return await this.jobQueue.enqueue(
+        JOB_TYPES.SHADOW_TRIAGE,
+        {
+          ticketId: String(ticketId),
+          traceId: `${traceId}:shadow`,
+          variant: config.shadow.variant,
+          // The shadow sees the ticket as it was now, not after live triage
+          asOf: new Date().toISOString(),
+        },
+        { maxAttempts: 2 }
+      );
+    } catch (error) {
+      console.error(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: "error",
+          traceId,
+          message: "Failed to queue shadow triage",
+          ticketId,
+          error: error.message,
+        })
+      );
+      return null;
+    }
   }
 
-  async triageTicket(ticketId, traceId = null) {
+  async triageTicket(ticketId, traceId = null, options = {}) {
     const trace = traceId || crypto.randomUUID();
+    const trigger = options.trigger || "ticket_created";
     let ticket = null;
 
     try {
@@ -34,17 +108,32 @@ class AgentService {
           message: "Starting ticket triage",
           ticketId: ticket._id,
           title: ticket.title,
+          trigger,
         })
       );
 
-      // Step 1: Plan
-      const plan = this._createTriagePlan(ticket);
-      await this._logAudit(ticket._id, trace, "system", "TICKET_CREATED", {
-        plan,
-      });
+      // Step 1: Plan; a ticket is only created once, later runs restart triage
+      const plan = this._createTriagePlan(ticket, trigger);
+      await this._logAudit(
+        ticket._id,
+        trace,
+        "system",
+        trigger === "ticket_created" ? "TICKET_CREATED" : "TRIAGE_RESTARTED",
+        { plan },
+      );
+
+      // Tasks under a running experiment use the ticket's variant
+      const experiments = await this.experimentService.assign(ticket._id);
+      const llm =
+        Object.keys(experiments.assignments).length > 0
+          ? new LLMProvider({ routes: experiments.routes })
+          : this.llmProvider;
 
       // Step 2: Classify
-      const classification = await this._classifyTicket(ticket, trace);
+      const classification = await this._classifyTicket(ticket, trace, llm);
+
+      // Step 2b: Predict priority
+      const priority = await this._predictPriority(ticket, trace, llm);
 
       // Step 3: Retrieve KB articles
       const articles = await this._retrieveKBArticles(
@@ -54,14 +143,22 @@ class AgentService {
       );
 
       // Step 4: Draft reply
-      const draft = await this._draftReply(ticket, articles, trace);
+      const draft = await this._draftReply(ticket, articles, trace, llm);
 
       // Step 5: Make decision
       const decision = await this._makeTriageDecision(
         ticket,
         classification,
         draft,
-        trace
+        trace,
+        this._collectFallbacks({ classify: classification, priority, draft }),
+        articles,
+        this._collectExperiments(experiments.assignments, {
+          classify: classification,
+          priority,
+          draft,
+        }),
+        this._collectPromptVersions({ classify: classification, priority, draft })
       );
 
       // Step 6: Execute decision
@@ -96,10 +193,12 @@ class AgentService {
     }
   }
 
-  _createTriagePlan(ticket) {
+  _createTriagePlan(ticket, trigger = "ticket_created") {
     return {
+      trigger,
       steps: [
         "classify_category",
+        "predict_priority",
         "retrieve_kb_articles",
         "draft_reply",
         "compute_confidence",
@@ -110,11 +209,54 @@ class AgentService {
         title: ticket.title,
         category: ticket.category,
         status: ticket.status,
+        replyCount: ticket.replies.length,
       },
     };
   }
 
-  async _classifyTicket(ticket, traceId) {
+  // Builds the text the LLM sees: title, description and the public
+  // conversation so far, so follow-up replies are triaged in context.
+  // Internal notes are only added for tasks whose output the customer never
+  // sees (classification, priority), never for drafting replies.
+  _getTicketText(ticket, options = {}) {
+    const requesterId = String(ticket.createdBy?._id || ticket.createdBy);
+    const conversation = [];
+    const notes = [];
+
+    for (const reply of ticket.replies) {
+      if (reply.visibility === "internal") {
+        notes.push(`- ${reply.content}`);
+        continue;
+      }
+      const speaker =
+        String(reply.author?._id || reply.author) === requesterId
+          ? "Customer"
+          : "Support";
+      conversation.push(`${speaker}: ${reply.content}`);
+    }
+
+    let text = `${ticket.title}\n${ticket.description}`;
+    if (conversation.length > 0) {
+      text += `\n\nConversation:\n${conversation.join("\n")}`;
+    }
+    if (options.includeInternal && notes.length > 0) {
+      text += `\n\nInternal notes (not visible to the customer):\n${notes.join("\n")}`;
+    }
+    return text;
+  }
+
+  // Latest customer message, used to focus KB search on follow-up replies
+  _getLatestCustomerMessage(ticket) {
+    const requesterId = String(ticket.createdBy?._id || ticket.createdBy);
+    const customerReplies = ticket.replies.filter(
+      (reply) => String(reply.author?._id || reply.author) === requesterId
+    );
+    return customerReplies.length > 0
+      ? customerReplies[customerReplies.length - 1].content
+      : ticket.description;
+  }
+
+  async _classifyTicket(ticket, traceId, llm = this.llmProvider) {
     console.log(
       JSON.stringify({
         timestamp: new Date().toISOString(),
@@ -125,8 +267,14 @@ class AgentService {
       })
     );
 
-    const ticketText = `${ticket.title}\n${ticket.description}`;
-    const classification = await this.llmProvider.classify(ticketText);
+    const ticketText = this._getTicketText(ticket, { includeInternal: true });
+    const classification = await this._callLLM(
+      ticket._id,
+      traceId,
+      "classify",
+      () => llm.classify(ticketText)
+    );
+    await this._calibrateClassification(classification);
 
     // Update ticket category if confidence is high enough
     if (classification.confidence > 0.7) {
@@ -138,6 +286,8 @@ class AgentService {
       originalCategory: ticket.category,
       predictedCategory: classification.predictedCategory,
       confidence: classification.confidence,
+      rawConfidence: classification.rawConfidence,
+      calibration: classification.calibration,
       modelInfo: classification.modelInfo,
     });
 
@@ -150,12 +300,73 @@ class AgentService {
         ticketId: ticket._id,
         predictedCategory: classification.predictedCategory,
         confidence: classification.confidence,
+        rawConfidence: classification.rawConfidence,
       })
     );
 
     return classification;
   }
 
+  // Replaces the provider's confidence with its calibrated value, keeping
+  // the original as rawConfidence. Without a fitted calibration for the
+  // provider, model and prompt version that answered (or with calibration
+  // turned off) both are equal.
+  async _calibrateClassification(classification) {
+    const config = await Config.findOne();
+    const rawConfidence = classification.confidence;
+    const calibrated =
+      config?.calibrationEnabled === false
+        ? { confidence: rawConfidence, rawConfidence, calibration: null }
+        : await this.calibrationService.calibrateConfidence(
+            classification.modelInfo,
+            rawConfidence
+          );
+
+    classification.confidence = calibrated.confidence;
+    classification.rawConfidence = calibrated.rawConfidence;
+    classification.calibration = calibrated.calibration;
+    return classification;
+  }
+
+  async _predictPriority(ticket, traceId, llm = this.llmProvider) {
+    const ticketText = this._getTicketText(ticket, { includeInternal: true });
+    const prediction = await this._callLLM(
+      ticket._id,
+      traceId,
+      "priority",
+      () => llm.predictPriority(ticketText)
+    );
+    const previousPriority = ticket.priority;
+
+    // Only fill in priorities nobody chose explicitly
+    const applied =
+      PRIORITIES.includes(prediction.priority) &&
+      ["default", "predicted"].includes(ticket.prioritySource);
+    if (applied) {
+      ticket.priority = prediction.priority;
+      ticket.prioritySource = "predicted";
+      await ticket.save();
+    }
+
+    await this._logAudit(ticket._id, traceId, "system", "PRIORITY_PREDICTED", {
+      predictedPriority: prediction.priority,
+      confidence: prediction.confidence,
+      previousPriority,
+      prioritySource: ticket.prioritySource,
+      applied,
+      modelInfo: prediction.modelInfo,
+    });
+
+    return prediction;
+  }
+
+  _getKBSearchQuery(ticket) {
+    return `${ticket.title} ${this._getLatestCustomerMessage(ticket)}`.substring(
+      0,
+      200
+    );
+  }
+
   async _retrieveKBArticles(ticket, classification, traceId) {
     console.log(
       JSON.stringify({
@@ -167,10 +378,7 @@ class AgentService {
       })
     );
 
-    const searchQuery = `${ticket.title} ${ticket.description}`.substring(
-      0,
-      200
-    );
+    const searchQuery = this._getKBSearchQuery(ticket);
     const articles = await this.kbSearch.search(
       searchQuery,
       classification.predictedCategory,
@@ -198,7 +406,7 @@ class AgentService {
     return articles;
   }
 
-  async _draftReply(ticket, articles, traceId) {
+  async _draftReply(ticket, articles, traceId, llm = this.llmProvider) {
     console.log(
       JSON.stringify({
         timestamp: new Date().toISOString(),
@@ -209,17 +417,45 @@ class AgentService {
       })
     );
 
-    const ticketText = `${ticket.title}\n${ticket.description}`;
-    const draft = await this.llmProvider.draft(ticketText, articles);
+    const ticketText = this._getTicketText(ticket);
+    const generated = await this._callLLM(ticket._id, traceId, "draft", () =>
+      llm.draft(ticketText, articles)
+    );
+
+    // Resolve [n] markers to the retrieved articles; markers that point at
+    // nothing are dropped from the draft and kept as danglingCitations
+    const verified = verifyCitations(generated.draftReply, articles);
+    const draft = {
+      ...generated,
+      draftReply: verified.draftReply,
+      verifiedCitations: verified.citations,
+      danglingCitations: verified.dangling,
+    };
 
     // STORE THE ACTUAL DRAFT CONTENT
     await this._logAudit(ticket._id, traceId, "system", "DRAFT_GENERATED", {
       draftReply: draft.draftReply, // This is crucial
       draftLength: draft.draftReply.length,
       citationsCount: draft.citations.length,
+      verifiedCitations: draft.verifiedCitations,
+      danglingCitations: draft.danglingCitations,
       modelInfo: draft.modelInfo,
     });
 
+    if (draft.danglingCitations.length > 0) {
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: "warn",
+          traceId,
+          message: "Removed citations with no retrieved article",
+          ticketId: ticket._id,
+          markers: draft.danglingCitations,
+          articlesFound: articles.length,
+        })
+      );
+    }
+
     console.log(
       JSON.stringify({
         timestamp: new Date().toISOString(),
@@ -235,24 +471,64 @@ class AgentService {
     return draft;
   }
 
-  async _makeTriageDecision(ticket, classification, draft, traceId) {
+  async _makeTriageDecision(
+    ticket,
+    classification,
+    draft,
+    traceId,
+    fallbacks = [],
+    articles = [],
+    experiments = [],
+    promptVersions = {}
+  ) {
     const config = (await Config.findOne()) || {
       autoCloseEnabled: process.env.AUTO_CLOSE_ENABLED === "true",
       confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.78,
     };
+    const policy = this._autoClosePolicy(
+      config,
+      classification.predictedCategory
+    );
+    const score = this._scoreAutoClose(
+      classification,
+      articles,
+      draft,
+      config.autoCloseWeights
+    );
 
+    // Stub answers standing in for a failed provider never auto-close under
+    // the fallback_human policy, whatever confidence the stub reports
+    const forcedHumanReview = fallbacks.some(
+      (fallback) => fallback.policy === "fallback_human"
+    );
     const shouldAutoClose =
-      config.autoCloseEnabled &&
-      classification.confidence >= config.confidenceThreshold;
+      !forcedHumanReview &&
+      policy.autoCloseEnabled &&
+      score.score >= policy.threshold;
+
+    let reasoning = shouldAutoClose
+      ? "High auto-close score, auto-closing with AI response"
+      : "Low auto-close score or auto-close disabled, assigning to human";
+    if (forcedHumanReview) {
+      reasoning = "LLM provider failed and the stub answered, assigning to human";
+    }
 
     const decision = {
       action: shouldAutoClose ? "auto_close" : "assign_human",
       confidence: classification.confidence,
-      threshold: config.confidenceThreshold,
-      autoCloseEnabled: config.autoCloseEnabled,
-      reasoning: shouldAutoClose
-        ? "High confidence classification, auto-closing with AI response"
-        : "Low confidence or auto-close disabled, assigning to human",
+      rawConfidence: classification.rawConfidence,
+      calibration: classification.calibration,
+      score: score.score,
+      factors: score.factors,
+      threshold: policy.threshold,
+      autoCloseEnabled: policy.autoCloseEnabled,
+      category: classification.predictedCategory,
+      policySource: policy.source,
+      forcedHumanReview,
+      fallbacks,
+      experiments,
+      promptVersions,
+      reasoning,
     };
 
     await this._logAudit(
@@ -272,12 +548,91 @@ class AgentService {
         ticketId: ticket._id,
         action: decision.action,
         confidence: classification.confidence,
+        score: score.score,
       })
     );
 
     return decision;
   }
 
+  // Weighted average of the auto-close factors, each in [0, 1]:
+  //   confidence  - calibrated classification confidence
+  //   retrieval   - text score of the best KB article (0 when none matched)
+  //   citations   - share of the draft's distinct [n] markers that resolved
+  //                 to a retrieved article (0 when it cites nothing)
+  //   draftLength - 1 inside DRAFT_LENGTH_RANGE, less the further outside
+  // Weights come from Config.autoCloseWeights; every factor's value, weight
+  // and contribution goes into the decision audit.
+  _scoreAutoClose(classification, articles, draft, weights = {}) {
+    const topScore = Math.max(0, ...articles.map((article) => article.score || 0));
+    // Dangling markers are already gone from the draft; count them here
+    const { citations: verified, dangling } = draft.verifiedCitations
+      ? { citations: draft.verifiedCitations, dangling: draft.danglingCitations }
+      : verifyCitations(draft.draftReply || "", articles);
+    const markerCount = verified.length + dangling.length;
+    const length = (draft.draftReply || "").trim().length;
+    let lengthValue = 1;
+    if (length < DRAFT_LENGTH_RANGE.min) {
+      lengthValue = length / DRAFT_LENGTH_RANGE.min;
+    } else if (length > DRAFT_LENGTH_RANGE.max) {
+      lengthValue = DRAFT_LENGTH_RANGE.max / length;
+    }
+
+    const values = {
+      confidence: classification.confidence,
+      retrieval: Math.min(1, topScore / RETRIEVAL_FULL_SCORE),
+      citations: markerCount > 0 ? verified.length / markerCount : 0,
+      draftLength: lengthValue,
+    };
+    const details = {
+      retrieval: { articlesFound: articles.length, topScore },
+      citations: { markers: markerCount, valid: verified.length },
+      draftLength: { length, ...DRAFT_LENGTH_RANGE },
+    };
+
+    const weightOf = (factor) =>
+      weights?.[factor] ?? DEFAULT_AUTO_CLOSE_WEIGHTS[factor];
+    const totalWeight = AUTO_CLOSE_FACTORS.reduce(
+      (sum, factor) => sum + weightOf(factor),
+      0
+    );
+
+    // Contributions are normalized by the total weight and add up to score
+    const factors = {};
+    let score = 0;
+    for (const factor of AUTO_CLOSE_FACTORS) {
+      const value = Number(values[factor].toFixed(4));
+      const contribution =
+        totalWeight > 0 ? (value * weightOf(factor)) / totalWeight : 0;
+      factors[factor] = {
+        value,
+        weight: weightOf(factor),
+        contribution: Number(contribution.toFixed(4)),
+        ...details[factor],
+      };
+      score += contribution;
+    }
+
+    return { score: Number(score.toFixed(4)), factors };
+  }
+
+  // Auto-close switch and threshold for a predicted category: its override
+  // in Config.autoCloseByCategory where set, the global settings otherwise.
+  // The global switch turns auto-close off for every category.
+  _autoClosePolicy(config, category) {
+    const override = config.autoCloseByCategory?.[category] || {};
+    const hasOverride =
+      (override.enabled ?? null) !== null ||
+      (override.confidenceThreshold ?? null) !== null;
+
+    return {
+      autoCloseEnabled:
+        Boolean(config.autoCloseEnabled) && override.enabled !== false,
+      threshold: override.confidenceThreshold ?? config.confidenceThreshold,
+      source: hasOverride ? "category" : "global",
+    };
+  }
+
   async _executeDecision(ticket, decision, traceId) {
     try {
       console.log(
@@ -369,11 +724,21 @@ class AgentService {
           classification?.predictedCategory || ticket.category || "other",
         articleIds: articleIds,
         draftReply: actualDraft, // Use the actual AI-generated content
+        citations: draftLog?.meta.verifiedCitations || [],
+        danglingCitations: draftLog?.meta.danglingCitations || [],
         confidence: classification?.confidence || 0.5,
+        rawConfidence:
+          classification?.rawConfidence ?? classification?.confidence ?? 0.5,
+        calibration: classification?.calibration || undefined,
         autoClosed: decision.action === "auto_close",
-        modelInfo: classification?.modelInfo || {
-          provider: "stub",
-          model: "fallback",
+        modelInfo: {
+          ...(classification?.modelInfo || {
+            provider: "stub",
+            model: "fallback",
+          }),
+          promptVersions: decision.promptVersions || {},
+          fallbacks: decision.fallbacks || [],
+          experiments: decision.experiments || [],
         },
       };
 
@@ -423,6 +788,7 @@ class AgentService {
         await this._logAudit(ticket._id, traceId, "system", "AUTO_CLOSED", {
           suggestionId: suggestion._id,
           confidence: classification?.confidence || 0.5,
+          score: decision.score,
           replyLength: suggestion.draftReply.length,
         });
 
@@ -440,8 +806,23 @@ class AgentService {
         // Assign to human
         ticket.status = "waiting_human";
 
-        // Find an available agent
-        const agent = await User.findOne({ role: "agent" });
+        // Keep the current assignee on re-triage while they are available,
+        // otherwise let the configured assignment strategy pick one
+        const currentAssignee = ticket.assignee
+          ? await User.findById(ticket.assignee)
+          : null;
+        let assignment;
+        if (currentAssignee && isAvailable(currentAssignee)) {
+          assignment = { agent: currentAssignee, strategy: "existing_assignee" };
+        } else {
+          assignment = await this.assignmentService.selectAgent(ticket, {
+            exclude: [currentAssignee?._id],
+          });
+          if (!assignment.agent && currentAssignee) {
+            assignment = { agent: currentAssignee, strategy: "existing_assignee" };
+          }
+        }
+        const agent = assignment.agent;
         if (agent) {
           ticket.assignee = agent._id;
         }
@@ -455,6 +836,10 @@ class AgentService {
             suggestionId: suggestion._id,
             assigneeId: agent?._id,
             confidence: classification?.confidence || 0.5,
+            strategy: assignment.strategy,
+            reason: assignment.reason,
+            openTickets: assignment.openTickets,
+            forcedHumanReview: decision.forcedHumanReview,
           }
         );
 
@@ -466,6 +851,7 @@ class AgentService {
             message: "Ticket assigned to human",
             ticketId: ticket._id,
             assigneeId: agent?._id,
+            strategy: assignment.strategy,
           })
         );
       }
@@ -499,6 +885,126 @@ class AgentService {
     }
   }
 
+  // Tasks answered by the stub because their provider failed
+  _collectFallbacks(results) {
+    return Object.entries(results)
+      .filter(([, result]) => result?.modelInfo?.fallbackFrom)
+      .map(([task, result]) => ({
+        task,
+        provider: result.modelInfo.fallbackFrom,
+        reason: result.modelInfo.fallbackReason,
+        policy: result.modelInfo.failurePolicy,
+      }));
+  }
+
+  // The template version each task rendered, so a suggestion points at the
+  // exact prompts behind its category, priority and draft
+  _collectPromptVersions(results) {
+    return Object.fromEntries(
+      Object.entries(results).map(([task, result]) => [
+        task,
+        result?.modelInfo?.promptVersion || null,
+      ])
+    );
+  }
+
+  // Experiment variants the ticket was bucketed into, with the provider,
+  // model and prompt version the task resolved to (a stub fallback shows
+  // here, not the variant's settings) and its latency
+  _collectExperiments(assignments, results) {
+    return Object.entries(assignments).map(([task, assignment]) => {
+      const modelInfo = results[task]?.modelInfo || {};
+      return {
+        experiment: assignment.experiment,
+        task,
+        variant: assignment.variant,
+        provider: modelInfo.provider || null,
+        model: modelInfo.model || null,
+        promptVersion: modelInfo.promptVersion || null,
+        latencyMs: modelInfo.latencyMs ?? null,
+      };
+    });
+  }
+
+  // Runs one LLM task and audits what its result alone does not show:
+  // answers rejected by the output schema and stub fallbacks
+  async _callLLM(ticketId, traceId, task, call) {
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      await this._logValidationFailures(
+        ticketId,
+        traceId,
+        task,
+        error.validationFailures
+      );
+      throw error;
+    }
+
+    await this._logValidationFailures(
+      ticketId,
+      traceId,
+      task,
+      result.validationFailures
+    );
+    await this._logFallback(ticketId, traceId, task, result);
+    return result;
+  }
+
+  async _logValidationFailures(ticketId, traceId, task, failures = []) {
+    for (const failure of failures) {
+      await this._logAudit(ticketId, traceId, "system", "LLM_OUTPUT_INVALID", {
+        task,
+        attempt: failure.attempt,
+        provider: failure.provider,
+        model: failure.model,
+        errors: failure.errors,
+        outcome: failure.outcome,
+        content: failure.content,
+      });
+
+      console.log(
+        JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: "warn",
+          traceId,
+          message: "LLM output failed validation",
+          ticketId,
+          task,
+          attempt: failure.attempt,
+          outcome: failure.outcome,
+          errors: failure.errors,
+        })
+      );
+    }
+  }
+
+  async _logFallback(ticketId, traceId, task, result) {
+    const modelInfo = result.modelInfo || {};
+    if (!modelInfo.fallbackFrom) return;
+
+    await this._logAudit(ticketId, traceId, "system", "LLM_FALLBACK", {
+      task,
+      provider: modelInfo.fallbackFrom,
+      reason: modelInfo.fallbackReason,
+      policy: modelInfo.failurePolicy,
+    });
+
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: "warn",
+        traceId,
+        message: "LLM fallback used",
+        ticketId,
+        task,
+        provider: modelInfo.fallbackFrom,
+        policy: modelInfo.failurePolicy,
+      })
+    );
+  }
+
   async _getClassificationFromLogs(ticketId, traceId) {
     const log = await AuditLog.findOne({
       ticketId,
@@ -576,43 +1082,35 @@ class AgentService {
     await auditLog.save();
   }
 
-  // Retry mechanism for failed triages
+  // Retry a failed triage by queueing it; backoff between attempts is
+  // handled by the job queue instead of blocking the caller
   async retryTriage(ticketId, maxRetries = 3) {
-    let attempt = 0;
-    let lastError;
-
-    while (attempt < maxRetries) {
-      try {
-        attempt++;
-        const traceId = crypto.randomUUID();
-
-        console.log(
-          JSON.stringify({
-            timestamp: new Date().toISOString(),
-            level: "info",
-            traceId,
-            message: "Retrying triage",
-            ticketId,
-            attempt,
-            maxRetries,
-          })
-        );
-
-        return await this.triageTicket(ticketId, traceId);
-      } catch (error) {
-        lastError = error;
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+      throw new Error("Ticket not found");
+    }
 
-        if (attempt < maxRetries) {
-          // Exponential backoff
-          const delay = Math.pow(2, attempt) * 1000;
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        }
-      }
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      throw new Error("Ticket not found");
     }
 
-    throw new Error(
-      `Triage failed after ${maxRetries} attempts: ${lastError.message}`
+    const traceId = crypto.randomUUID();
+
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: "info",
+        traceId,
+        message: "Queueing triage retry",
+        ticketId,
+        maxRetries,
+      })
     );
+
+    return this.enqueueTriage(ticket._id, traceId, {
+      trigger: "retry",
+      maxAttempts: maxRetries,
+    });
   }
 }
 
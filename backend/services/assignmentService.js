@@ -0,0 +1,175 @@
+// services/assignmentService.js
+// Picks the human agent for a ticket. Strategies share one candidate pool
+// (available agents under their open-ticket limit, minus the system user and
+// any excluded ids) and differ only in how they rank it.
+const { Ticket, User, Config, AuditLog } = require('../models');
+
+const OPEN_STATUSES = ['open', 'triaged', 'waiting_human'];
+const SYSTEM_EMAIL = 'system@helpdesk.local';
+const DEFAULT_STRATEGY = 'least_open';
+
+// An out-of-office agent becomes available again once the date has passed
+const isAvailable = (agent, now = new Date()) => {
+  const { status = 'online', outOfOfficeUntil } = agent.availability || {};
+  if (status === 'online') return true;
+  return status === 'out_of_office' && !!outOfOfficeUntil && outOfOfficeUntil <= now;
+};
+
+const availableFilter = (now = new Date()) => ({
+  $or: [
+    { 'availability.status': { $in: ['online', null] } },
+    { 'availability.status': 'out_of_office', 'availability.outOfOfficeUntil': { $lte: now } }
+  ]
+});
+
+const byLastAssigned = (a, b) =>
+  (a.lastAssignedAt?.getTime() || 0) - (b.lastAssignedAt?.getTime() || 0);
+
+const byOpenCount = (a, b) =>
+  a.openTickets - b.openTickets || byLastAssigned(a, b);
+
+// Each strategy receives the ticket and candidates (with `openTickets`
+// attached) and returns { agent, reason }
+const STRATEGIES = {
+  // Whoever has gone longest without a new ticket
+  round_robin: (ticket, candidates) => ({
+    agent: [...candidates].sort(byLastAssigned)[0],
+    reason: 'least_recently_assigned'
+  }),
+
+  least_open: (ticket, candidates) => ({
+    agent: [...candidates].sort(byOpenCount)[0],
+    reason: 'fewest_open_tickets'
+  }),
+
+  // Agents skilled in the ticket's category, least loaded first; everyone
+  // is eligible when nobody has the skill
+  skills: (ticket, candidates) => {
+    const skilled = candidates.filter(agent => (agent.skills || []).includes(ticket.category));
+    if (skilled.length === 0) {
+      return {
+        agent: [...candidates].sort(byOpenCount)[0],
+        reason: 'no_skill_match'
+      };
+    }
+    return {
+      agent: [...skilled].sort(byOpenCount)[0],
+      reason: 'skill_match'
+    };
+  }
+};
+
+class AssignmentService {
+  async getStrategy() {
+    const config = await Config.findOne();
+    const strategy = config?.assignmentStrategy;
+    return STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY;
+  }
+
+  async countOpenTickets(agentIds) {
+    const counts = await Ticket.aggregate([
+      { $match: { assignee: { $in: agentIds }, status: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$assignee', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(entry => [String(entry._id), entry.count]));
+  }
+
+  async getCandidates(exclude = []) {
+    const agents = await User.find({
+      role: 'agent',
+      email: { $ne: SYSTEM_EMAIL },
+      _id: { $nin: exclude.filter(Boolean) },
+      ...availableFilter()
+    }).lean();
+
+    if (agents.length === 0) return [];
+
+    const countByAgent = await this.countOpenTickets(agents.map(agent => agent._id));
+
+    return agents
+      .map(agent => ({
+        ...agent,
+        openTickets: countByAgent.get(String(agent._id)) || 0
+      }))
+      .filter(agent => !agent.maxOpenTickets || agent.openTickets < agent.maxOpenTickets);
+  }
+
+  // Returns { agent, strategy, reason, openTickets }; agent is null when no
+  // one is available. Records the assignment time for round-robin.
+  async selectAgent(ticket, options = {}) {
+    const strategy = STRATEGIES[options.strategy] ? options.strategy : await this.getStrategy();
+    const candidates = await this.getCandidates(options.exclude || []);
+
+    if (candidates.length === 0) {
+      return { agent: null, strategy, reason: 'no_available_agents' };
+    }
+
+    const { agent, reason } = STRATEGIES[strategy](ticket, candidates);
+    await User.updateOne({ _id: agent._id }, { $set: { lastAssignedAt: new Date() } });
+
+    return {
+      agent,
+      strategy,
+      reason,
+      openTickets: agent.openTickets
+    };
+  }
+
+  // Moves an agent's waiting_human tickets to other agents, most urgent
+  // first, logging TICKET_ASSIGNED for each move. Tickets stay put when
+  // nobody else can take them.
+  async redistributeTickets(agentId, traceId, reason) {
+    const tickets = await Ticket.find({ assignee: agentId, status: 'waiting_human' })
+      .sort({ priorityRank: -1, createdAt: 1 });
+
+    const summary = { moved: 0, unassigned: 0 };
+
+    for (const ticket of tickets) {
+      const assignment = await this.selectAgent(ticket, { exclude: [agentId] });
+      if (!assignment.agent) {
+        summary.unassigned++;
+        continue;
+      }
+
+      // Skip tickets that were picked up or reassigned meanwhile
+      const result = await Ticket.updateOne(
+        { _id: ticket._id, assignee: agentId, status: 'waiting_human' },
+        { $set: { assignee: assignment.agent._id } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await new AuditLog({
+        ticketId: ticket._id,
+        traceId,
+        actor: 'system',
+        action: 'TICKET_ASSIGNED',
+        meta: {
+          reason,
+          oldAssigneeId: agentId,
+          newAssigneeId: assignment.agent._id,
+          strategy: assignment.strategy
+        }
+      }).save();
+
+      summary.moved++;
+    }
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      traceId,
+      message: 'Tickets redistributed',
+      agentId,
+      reason,
+      ...summary
+    }));
+
+    return summary;
+  }
+}
+
+module.exports = {
+  AssignmentService,
+  ASSIGNMENT_STRATEGIES: Object.keys(STRATEGIES),
+  isAvailable
+};
@@ -0,0 +1,69 @@
+// services/attachmentStorage.js
+// Where attachment bytes live. Every backend implements
+//   save(stream, { ticketId, mimeType }) -> storageKey
+//   createReadStream(storageKey)
+//   remove(storageKey)
+// so tickets only ever store the opaque storage key.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+class LocalFileStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(
+      options.rootDir || process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads')
+    );
+  }
+
+  // Keys are generated here, never derived from user-supplied file names
+  _resolve(storageKey) {
+    const filePath = path.resolve(this.rootDir, storageKey);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(stream, { ticketId }) {
+    const storageKey = path.posix.join(String(ticketId), crypto.randomUUID());
+    const filePath = this._resolve(storageKey);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(filePath, { flags: 'wx' }));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return storageKey;
+  }
+
+  createReadStream(storageKey) {
+    return fs.createReadStream(this._resolve(storageKey));
+  }
+
+  async remove(storageKey) {
+    await fs.promises.rm(this._resolve(storageKey), { force: true });
+  }
+}
+
+const STORAGE_BACKENDS = {
+  local: LocalFileStorage
+};
+
+const createStorage = (name = process.env.ATTACHMENT_STORAGE || 'local', options = {}) => {
+  const Backend = STORAGE_BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown attachment storage backend: ${name}`);
+  }
+  return new Backend(options);
+};
+
+module.exports = {
+  LocalFileStorage,
+  STORAGE_BACKENDS,
+  createStorage
+};
@@ -0,0 +1,232 @@
+// services/businessTime.js
+// Business-hours arithmetic over a calendar of weekly schedules (each in its
+// own time zone) and holidays. A calendar is open whenever any of its
+// schedules is open. Passing no calendar means plain wall-clock time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEARCH_DAYS = 400;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of `timeZone` from UTC at the given instant, in ms
+const getOffsetMs = (timeZone, date) => {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  const asUtc = Date.UTC(
+    parseInt(parts.year),
+    parseInt(parts.month) - 1,
+    parseInt(parts.day),
+    parseInt(parts.hour),
+    parseInt(parts.minute),
+    parseInt(parts.second)
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Local calendar date (YYYY-MM-DD) of an instant in a time zone
+const getLocalDate = (timeZone, date) => {
+  const local = new Date(date.getTime() + getOffsetMs(timeZone, date));
+  return local.toISOString().substring(0, 10);
+};
+
+// Converts a local wall-clock time ('YYYY-MM-DD', 'HH:mm') into a UTC Date
+const zonedTimeToUtc = (localDate, time, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Re-check the offset at the candidate instant to handle DST transitions
+  let utc = guess - getOffsetMs(timeZone, new Date(guess));
+  utc = guess - getOffsetMs(timeZone, new Date(utc));
+  return new Date(utc);
+};
+
+const addDays = (localDate, days) =>
+  new Date(Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+
+const weekdayOf = (localDate) => new Date(`${localDate}T00:00:00Z`).getUTCDay();
+
+// Open intervals of a calendar overlapping [from, to), merged and sorted
+const getOpenIntervals = (calendar, from, to) => {
+  const holidays = new Set((calendar.holidays || []).map(holiday => holiday.date));
+  const intervals = [];
+
+  for (const schedule of calendar.schedules || []) {
+    // Start a day early so shifts that began yesterday (overnight) are included
+    let localDate = addDays(getLocalDate(schedule.timezone, from), -1);
+    const lastDate = addDays(getLocalDate(schedule.timezone, to), 1);
+
+    while (localDate <= lastDate) {
+      if (!holidays.has(localDate)) {
+        const weekday = weekdayOf(localDate);
+
+        for (const hours of schedule.weeklyHours || []) {
+          if (hours.day !== weekday) continue;
+
+          const start = zonedTimeToUtc(localDate, hours.start, schedule.timezone);
+          const endDate = hours.end <= hours.start ? addDays(localDate, 1) : localDate;
+          const end = hours.end === '24:00'
+            ? zonedTimeToUtc(addDays(localDate, 1), '00:00', schedule.timezone)
+            : zonedTimeToUtc(endDate, hours.end, schedule.timezone);
+
+          const clippedStart = Math.max(start.getTime(), from.getTime());
+          const clippedEnd = Math.min(end.getTime(), to.getTime());
+          if (clippedEnd > clippedStart) {
+            intervals.push([clippedStart, clippedEnd]);
+          }
+        }
+      }
+      localDate = addDays(localDate, 1);
+    }
+  }
+
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+};
+
+// Business time elapsed between two instants, in ms
+const businessMsBetween = (calendar, start, end) => {
+  const from = new Date(start);
+  const to = new Date(end);
+  if (to <= from) return 0;
+  if (!calendar) return to - from;
+
+  return getOpenIntervals(calendar, from, to)
+    .reduce((total, [intervalStart, intervalEnd]) => total + (intervalEnd - intervalStart), 0);
+};
+
+// Instant at which `durationMs` of business time has passed after `start`
+const addBusinessMs = (calendar, start, durationMs) => {
+  const from = new Date(start);
+  if (!calendar) return new Date(from.getTime() + durationMs);
+
+  let remaining = durationMs;
+  let windowStart = from;
+
+  for (let searched = 0; searched < MAX_SEARCH_DAYS; searched += 7) {
+    const windowEnd = new Date(windowStart.getTime() + 7 * DAY_MS);
+
+    for (const [intervalStart, intervalEnd] of getOpenIntervals(calendar, windowStart, windowEnd)) {
+      const length = intervalEnd - intervalStart;
+      if (remaining <= length) {
+        return new Date(intervalStart + remaining);
+      }
+      remaining -= length;
+    }
+
+    windowStart = windowEnd;
+  }
+
+  throw new Error(`Business calendar has no open hours within ${MAX_SEARCH_DAYS} days`);
+};
+
+// Whether any schedule has a weekly interval that ends after it starts;
+// without one, addBusinessMs can never find the time it is asked for
+const hasOpenHours = (calendar) => (calendar?.schedules || []).some(schedule =>
+  (schedule.weeklyHours || []).some(hours => hours.end > hours.start));
+
+const isOpen = (calendar, at) => {
+  if (!calendar) return true;
+  const instant = new Date(at);
+  return getOpenIntervals(calendar, instant, new Date(instant.getTime() + 1)).length > 0;
+};
+
+// Extracts all-day holidays from an iCalendar (RFC 5545) file. Timed events
+// are imported for the date they start on; recurrence rules are not expanded.
+const parseICalHolidays = (text) => {
+  const lines = String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '') // unfold continuation lines
+    .split('\n');
+
+  const holidays = [];
+  let event = null;
+
+  const toDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const name = event.summary || 'Holiday';
+        // DTEND is exclusive for all-day events
+        const end = event.end && event.end > event.start ? event.end : addDays(event.start, 1);
+        let date = event.start;
+        for (let i = 0; date < end && i < 31; i++) {
+          holidays.push({ date, name });
+          date = addDays(date, 1);
+        }
+      }
+      event = null;
+      continue;
+    }
+
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.substring(0, separator).split(';')[0].toUpperCase();
+    const value = line.substring(separator + 1);
+
+    if (key === 'DTSTART') event.start = toDate(value);
+    if (key === 'DTEND') event.end = toDate(value);
+    if (key === 'SUMMARY') event.summary = value.replace(/\\([,;\\])/g, '$1').trim();
+  }
+
+  return holidays;
+};
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getOpenIntervals,
+  businessMsBetween,
+  addBusinessMs,
+  hasOpenHours,
+  isOpen,
+  parseICalHolidays
+};
@@ -0,0 +1,297 @@
+// services/calibrationService.js
+// Confidence calibration for triage. Providers report confidence on their
+// own scale (the stub never exceeds 0.9, LLMs are rarely right 95% of the
+// times they say 0.95), so thresholds mean different things per provider.
+// A model or prompt change moves that scale too, so a calibration job fits,
+// per provider, model and classify prompt version, a mapping from raw
+// confidence to the observed rate of good triage outcomes:
+//   - a human confirmed or corrected the category: correct iff unchanged
+//   - auto-closed without review: good unless the ticket was reopened
+//     within reopenWindowDays; still inside that window, no outcome yet
+// Triage applies the newest mapping fitted for exactly the provider, model
+// and prompt version that answered, and keeps the raw confidence otherwise.
+const {
+  AgentSuggestion,
+  AuditLog,
+  ConfidenceCalibration
+} = require('../models');
+
+const CALIBRATION_METHODS = ['isotonic', 'platt'];
+const DEFAULT_OPTIONS = {
+  method: 'isotonic',
+  minSamples: 30,
+  lookbackDays: 90,
+  reopenWindowDays: 7
+};
+const CALIBRATION_BINS = 10;
+// How long loaded calibrations serve before the cache checks for new fits
+const CACHE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// What a calibration is fitted for and looked up by
+const calibrationKey = ({ provider, model, promptVersion }) =>
+  JSON.stringify([provider, model || null, promptVersion || null]);
+
+// Pool adjacent violators over outcomes sorted by raw confidence. Returns
+// increasing { raw, calibrated } points, one per pooled block, with raw the
+// block's mean confidence.
+const fitIsotonic = (samples) => {
+  const sorted = [...samples].sort((a, b) => a.raw - b.raw);
+  const blocks = [];
+  for (const sample of sorted) {
+    blocks.push({ weight: 1, rawSum: sample.raw, labelSum: sample.label });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.labelSum / previous.weight < last.labelSum / last.weight) break;
+      blocks.pop();
+      previous.weight += last.weight;
+      previous.rawSum += last.rawSum;
+      previous.labelSum += last.labelSum;
+    }
+  }
+  return blocks.map(block => ({
+    raw: Number((block.rawSum / block.weight).toFixed(4)),
+    calibrated: Number((block.labelSum / block.weight).toFixed(4))
+  }));
+};
+
+// Platt scaling, calibrated = 1 / (1 + exp(a * raw + b)), fitted by Newton's
+// method on Platt's smoothed targets so a clean run cannot push it to 0 or 1
+const fitPlatt = (samples) => {
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+  const highTarget = (positives + 1) / (positives + 2);
+  const lowTarget = 1 / (negatives + 2);
+  const targets = samples.map(sample => (sample.label === 1 ? highTarget : lowTarget));
+
+  let a = 0;
+  let b = Math.log((negatives + 1) / (positives + 1));
+  for (let iteration = 0; iteration < 100; iteration++) {
+    // Gradient and Hessian of the log loss in (a, b), lightly regularized
+    let gradA = 0, gradB = 0, hAA = 1e-6, hAB = 0, hBB = 1e-6;
+    samples.forEach((sample, index) => {
+      const p = 1 / (1 + Math.exp(a * sample.raw + b));
+      const difference = targets[index] - p;
+      const weight = p * (1 - p);
+      gradA += sample.raw * difference;
+      gradB += difference;
+      hAA += sample.raw * sample.raw * weight;
+      hAB += sample.raw * weight;
+      hBB += weight;
+    });
+    const determinant = hAA * hBB - hAB * hAB;
+    const stepA = (hBB * gradA - hAB * gradB) / determinant;
+    const stepB = (hAA * gradB - hAB * gradA) / determinant;
+    a -= stepA;
+    b -= stepB;
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+  }
+  return { a: Number(a.toFixed(6)), b: Number(b.toFixed(6)) };
+};
+
+// Maps a raw confidence through a fitted calibration
+const applyCalibration = (calibration, raw) => {
+  if (calibration.method === 'platt') {
+    return clamp(1 / (1 + Math.exp(calibration.platt.a * raw + calibration.platt.b)));
+  }
+
+  const points = calibration.points;
+  if (raw <= points[0].raw) return points[0].calibrated;
+  const last = points[points.length - 1];
+  if (raw >= last.raw) return last.calibrated;
+  const upper = points.findIndex(point => point.raw >= raw);
+  const lower = points[upper - 1];
+  const span = points[upper].raw - lower.raw;
+  return lower.calibrated + (points[upper].calibrated - lower.calibrated) * ((raw - lower.raw) / span);
+};
+
+// Brier score and expected calibration error of predictions against labels
+const calibrationMetrics = (samples, predict) => {
+  const bins = Array.from({ length: CALIBRATION_BINS }, () => ({ count: 0, confidence: 0, positives: 0 }));
+  let brier = 0;
+  for (const sample of samples) {
+    const predicted = predict(sample.raw);
+    brier += (predicted - sample.label) ** 2;
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(predicted * CALIBRATION_BINS))];
+    bin.count += 1;
+    bin.confidence += predicted;
+    bin.positives += sample.label;
+  }
+  const ece = bins.reduce((sum, bin) => sum + Math.abs(bin.positives - bin.confidence) / samples.length, 0);
+  return {
+    brier: Number((brier / samples.length).toFixed(4)),
+    ece: Number(ece.toFixed(4))
+  };
+};
+
+// Fits one group's outcomes; returns the ConfidenceCalibration fields
+const fitCalibration = (samples, method = DEFAULT_OPTIONS.method) => {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method: ${method}`);
+  }
+  const calibration = method === 'platt'
+    ? { method, platt: fitPlatt(samples) }
+    : { method, points: fitIsotonic(samples) };
+
+  return {
+    ...calibration,
+    samples: samples.length,
+    positives: samples.filter(sample => sample.label === 1).length,
+    metrics: {
+      raw: calibrationMetrics(samples, raw => raw),
+      calibrated: calibrationMetrics(samples, raw => applyCalibration(calibration, raw))
+    }
+  };
+};
+
+let cache = null;
+
+class CalibrationService {
+  // Labeled outcomes per provider, model and prompt version:
+  // [{ provider, model, promptVersion, samples: [{ raw, label }] }]
+  async collectOutcomes(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const now = options.now || new Date();
+    const since = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+    const reopenWindowMs = settings.reopenWindowDays * DAY_MS;
+
+    const suggestions = await AgentSuggestion.find({
+      createdAt: { $gte: since },
+      'modelInfo.provider': { $exists: true },
+      $or: [{ finalCategory: { $exists: true } }, { autoClosed: true }]
+    })
+      .select('ticketId predictedCategory confidence rawConfidence autoClosed finalCategory ' +
+        'modelInfo.provider modelInfo.model modelInfo.promptVersion createdAt')
+      .lean();
+
+    const autoClosedTickets = suggestions.filter(suggestion => suggestion.autoClosed).map(suggestion => suggestion.ticketId);
+    const reopens = await AuditLog.find({
+      ticketId: { $in: autoClosedTickets },
+      action: 'TICKET_REOPENED',
+      timestamp: { $gte: since }
+    })
+      .select('ticketId timestamp')
+      .lean();
+    const reopenTimes = new Map();
+    for (const reopen of reopens) {
+      const key = String(reopen.ticketId);
+      if (!reopenTimes.has(key)) reopenTimes.set(key, []);
+      reopenTimes.get(key).push(reopen.timestamp.getTime());
+    }
+
+    const outcomes = new Map();
+    for (const suggestion of suggestions) {
+      let label = null;
+      if (suggestion.finalCategory) {
+        label = suggestion.finalCategory === suggestion.predictedCategory ? 1 : 0;
+      } else {
+        const createdAt = suggestion.createdAt.getTime();
+        const reopened = (reopenTimes.get(String(suggestion.ticketId)) || [])
+          .some(time => time >= createdAt && time <= createdAt + reopenWindowMs);
+        if (reopened) {
+          label = 0;
+        } else if (now.getTime() - createdAt >= reopenWindowMs) {
+          label = 1;
+        }
+      }
+      if (label === null) continue;
+
+      // Suggestions from before calibration only stored the raw value
+      const raw = suggestion.rawConfidence ?? suggestion.confidence;
+      const group = {
+        provider: suggestion.modelInfo.provider,
+        model: suggestion.modelInfo.model || null,
+        promptVersion: suggestion.modelInfo.promptVersion || null
+      };
+      const key = calibrationKey(group);
+      if (!outcomes.has(key)) outcomes.set(key, { ...group, samples: [] });
+      outcomes.get(key).samples.push({ raw, label });
+    }
+    return [...outcomes.values()];
+  }
+
+  // Fits and saves a calibration for every provider, model and prompt
+  // version with enough outcomes. Returns what was fitted and what was skipped.
+  async calibrate(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const outcomes = await this.collectOutcomes(settings);
+
+    const fitted = [];
+    const skipped = [];
+    for (const { samples, ...group } of outcomes) {
+      if (samples.length < settings.minSamples) {
+        skipped.push({ ...group, samples: samples.length, reason: `fewer than ${settings.minSamples} outcomes` });
+        continue;
+      }
+      const calibration = await ConfidenceCalibration.create({
+        ...group,
+        ...fitCalibration(samples, settings.method)
+      });
+      fitted.push({
+        ...group,
+        calibrationId: calibration._id,
+        method: calibration.method,
+        samples: calibration.samples,
+        metrics: calibration.metrics
+      });
+    }
+
+    resetCalibrationCache();
+    return { method: settings.method, fitted, skipped };
+  }
+
+  // Newest calibration per provider, model and prompt version, by calibrationKey
+  async currentCalibrations() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_MS) {
+      return cache.calibrations;
+    }
+    const latest = await ConfidenceCalibration.aggregate([
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: {
+            provider: '$provider',
+            model: { $ifNull: ['$model', null] },
+            promptVersion: { $ifNull: ['$promptVersion', null] }
+          },
+          calibration: { $first: '$$ROOT' }
+        }
+      }
+    ]);
+    const calibrations = new Map(latest.map(entry => [calibrationKey(entry.calibration), entry.calibration]));
+    cache = { calibrations, loadedAt: Date.now() };
+    return calibrations;
+  }
+
+  // { confidence, rawConfidence, calibration } for a classification answered
+  // by modelInfo's provider, model and prompt version; confidence is raw when
+  // nothing was fitted for exactly those
+  async calibrateConfidence(modelInfo, rawConfidence) {
+    const calibration = (await this.currentCalibrations()).get(calibrationKey(modelInfo || {}));
+    if (!calibration) {
+      return { confidence: rawConfidence, rawConfidence, calibration: null };
+    }
+    return {
+      confidence: Number(applyCalibration(calibration, rawConfidence).toFixed(4)),
+      rawConfidence,
+      calibration: { calibrationId: calibration._id, method: calibration.method }
+    };
+  }
+}
+
+// Drops cached calibrations; used by tests and after fitting
+const resetCalibrationCache = () => {
+  cache = null;
+};
+
+module.exports = {
+  CALIBRATION_METHODS,
+  CalibrationService,
+  calibrationKey,
+  fitCalibration,
+  applyCalibration,
+  resetCalibrationCache
+};
@@ -0,0 +1,61 @@
+// services/citations.js
+// Checks the citations in a generated draft against the KB articles the
+// model was given. The draft prompt numbers articles [1]..[n] in retrieval
+// order and asks for a `citations` list of the titles used, so:
+//   - a marker [k] resolves to the k-th retrieved article
+//   - markers with no article behind them are removed from the draft and
+//     reported as dangling
+//   - a listed title that matches no retrieved article means the model cited
+//     something it was never shown; the draft is rejected (see LLMProvider)
+
+const CITATION_MARKER = /\[(\d+)\]/g;
+
+const normalizeTitle = (title) => String(title || '')
+  .replace(/\s*\[\d+\]\s*/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+// Marker numbers in the order they appear, repeats included
+const parseCitationMarkers = (text) =>
+  [...String(text || '').matchAll(CITATION_MARKER)].map(match => parseInt(match[1]));
+
+// Errors for a draft whose citation list names articles outside the
+// retrieved set, worded for the repair prompt
+const citationErrors = (draft, articles) => {
+  const known = new Set(articles.map(article => normalizeTitle(article.title)));
+  return (draft.citations || [])
+    .filter(title => !known.has(normalizeTitle(title)))
+    .map(title => `citations lists "${title}", which is not one of the provided articles; cite only the numbered articles given`);
+};
+
+// Resolves a draft's markers to the retrieved articles. Returns the draft
+// with dangling markers removed, the verified mapping (one entry per
+// distinct marker, in order of first use) and the dangling marker numbers.
+const verifyCitations = (draftReply, articles) => {
+  const citations = [];
+  const dangling = [];
+  for (const marker of parseCitationMarkers(draftReply)) {
+    const article = articles[marker - 1];
+    if (marker >= 1 && article) {
+      if (!citations.some(citation => citation.marker === marker)) {
+        citations.push({ marker, articleId: article.id, title: article.title });
+      }
+    } else if (!dangling.includes(marker)) {
+      dangling.push(marker);
+    }
+  }
+
+  const cleaned = dangling.length === 0
+    ? draftReply
+    : draftReply.replace(/[ \t]*\[(\d+)\]/g, (match, marker) =>
+      (dangling.includes(parseInt(marker)) ? '' : match));
+
+  return { draftReply: cleaned, citations, dangling };
+};
+
+module.exports = {
+  parseCitationMarkers,
+  citationErrors,
+  verifyCitations
+};
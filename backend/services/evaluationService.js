@@ -0,0 +1,209 @@
+// services/evaluationService.js
+// Offline evaluation of the triage pipeline. Replays a labeled dataset of
+// tickets through AgentService and scores the outcome. It writes tickets,
+// articles and audit logs to whatever database mongoose is connected to, so
+// callers (scripts/eval.js) must connect to a throwaway database first.
+const { Article, Ticket, AgentSuggestion, AuditLog, User } = require('../models');
+const { LLM_TASKS } = require('./llmService');
+const AgentService = require('./agentService');
+
+const CATEGORIES = LLM_TASKS.classify.outputSchema.properties.predictedCategory.enum;
+const RECALL_AT = [1, 3];
+
+// Audit events whose modelInfo.latencyMs is the time spent on each task
+const TASK_LATENCY_ACTIONS = {
+  classify: 'AGENT_CLASSIFIED',
+  priority: 'PRIORITY_PREDICTED',
+  draft: 'DRAFT_GENERATED'
+};
+
+const round = (value, digits = 3) => (value === null ? null : Number(value.toFixed(digits)));
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+// Throws on datasets the run could not score meaningfully
+const validateDataset = (dataset) => {
+  const problems = [];
+  if (!Array.isArray(dataset?.tickets) || dataset.tickets.length === 0) {
+    problems.push('dataset.tickets must be a non-empty array');
+  }
+  const titles = new Set((dataset?.articles || []).map(article => article.title));
+  (dataset?.tickets || []).forEach((ticket, index) => {
+    const label = ticket.id || `tickets[${index}]`;
+    if (!ticket.title || !ticket.description) {
+      problems.push(`${label}: title and description are required`);
+    }
+    if (!CATEGORIES.includes(ticket.expectedCategory)) {
+      problems.push(`${label}: expectedCategory must be one of ${CATEGORIES.join(', ')}`);
+    }
+    for (const title of ticket.idealArticles || []) {
+      if (!titles.has(title)) problems.push(`${label}: unknown ideal article "${title}"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid evaluation dataset:\n- ${problems.join('\n- ')}`);
+    error.problems = problems;
+    throw error;
+  }
+};
+
+// Scores per-ticket results. threshold is only reported; auto-close
+// decisions come from the pipeline itself.
+const computeMetrics = (results, options = {}) => {
+  const scored = results.filter(result => !result.error);
+  const correct = scored.filter(result => result.predictedCategory === result.expectedCategory);
+
+  const confusionMatrix = {};
+  for (const expected of CATEGORIES) {
+    confusionMatrix[expected] = Object.fromEntries(CATEGORIES.map(predicted => [predicted, 0]));
+  }
+  for (const result of scored) {
+    confusionMatrix[result.expectedCategory][result.predictedCategory] += 1;
+  }
+
+  const withIdealArticles = scored.filter(result => result.idealArticles.length > 0);
+  const recall = {};
+  for (const k of RECALL_AT) {
+    recall[`@${k}`] = round(mean(withIdealArticles.map(result => {
+      const topK = result.retrievedArticles.slice(0, k);
+      return result.idealArticles.filter(title => topK.includes(title)).length / result.idealArticles.length;
+    })));
+  }
+
+  const autoClosed = scored.filter(result => result.autoClosed);
+  const autoClosedCorrect = autoClosed.filter(result => result.predictedCategory === result.expectedCategory);
+
+  const triageLatencies = scored.map(result => result.latencyMs);
+  const taskLatency = {};
+  for (const task of Object.keys(TASK_LATENCY_ACTIONS)) {
+    const latencies = scored.map(result => result.taskLatencyMs[task]).filter(Number.isFinite);
+    taskLatency[task] = { meanMs: round(mean(latencies), 1), p95Ms: percentile(latencies, 95) };
+  }
+
+  return {
+    tickets: results.length,
+    errors: results.length - scored.length,
+    fallbacks: scored.filter(result => result.fallbacks.length > 0).length,
+    category: {
+      accuracy: scored.length > 0 ? round(correct.length / scored.length) : null,
+      confusionMatrix
+    },
+    retrieval: {
+      ticketsWithIdealArticles: withIdealArticles.length,
+      recall
+    },
+    autoClose: {
+      threshold: options.threshold ?? null,
+      autoClosed: autoClosed.length,
+      rate: scored.length > 0 ? round(autoClosed.length / scored.length) : null,
+      precision: autoClosed.length > 0 ? round(autoClosedCorrect.length / autoClosed.length) : null
+    },
+    latency: {
+      triage: {
+        meanMs: round(mean(triageLatencies), 1),
+        p50Ms: percentile(triageLatencies, 50),
+        p95Ms: percentile(triageLatencies, 95),
+        maxMs: triageLatencies.length > 0 ? Math.max(...triageLatencies) : null
+      },
+      tasks: taskLatency
+    }
+  };
+};
+
+class EvaluationService {
+  constructor() {
+    this.agentService = new AgentService();
+  }
+
+  // Loads the dataset's articles and replays every ticket through triage.
+  // Returns per-ticket results plus the metrics computed over them.
+  async run(dataset, options = {}) {
+    validateDataset(dataset);
+
+    const articles = await Article.create((dataset.articles || []).map(article => ({
+      status: 'published',
+      ...article
+    })));
+    // Text search needs the index in place before the first query
+    await Article.syncIndexes();
+    const titlesById = new Map(articles.map(article => [String(article._id), article.title]));
+
+    const customer = await User.create({
+      name: 'Evaluation Customer',
+      email: 'eval-customer@helpdesk.local',
+      passwordHash: 'evaluation-only',
+      role: 'user'
+    });
+
+    const results = [];
+    for (const [index, item] of dataset.tickets.entries()) {
+      const result = await this._evaluateTicket(item, index, customer, titlesById);
+      results.push(result);
+      if (options.onResult) options.onResult(result);
+    }
+
+    return {
+      results,
+      metrics: computeMetrics(results, { threshold: options.threshold })
+    };
+  }
+
+  async _evaluateTicket(item, index, customer, titlesById) {
+    const base = {
+      id: item.id || `ticket-${index + 1}`,
+      expectedCategory: item.expectedCategory,
+      idealArticles: item.idealArticles || []
+    };
+
+    const ticket = await Ticket.create({
+      title: item.title,
+      description: item.description,
+      category: 'other',
+      createdBy: customer._id
+    });
+
+    const startTime = Date.now();
+    try {
+      const outcome = await this.agentService.triageTicket(ticket._id, `eval-${base.id}`);
+      const latencyMs = Date.now() - startTime;
+
+      const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+      const events = await AuditLog.find({ ticketId: ticket._id, traceId: outcome.traceId })
+        .sort({ timestamp: 1 });
+      const retrieval = events.find(event => event.action === 'KB_RETRIEVED');
+
+      const taskLatencyMs = {};
+      for (const [task, action] of Object.entries(TASK_LATENCY_ACTIONS)) {
+        const event = events.find(entry => entry.action === action && entry.meta?.modelInfo);
+        taskLatencyMs[task] = event?.meta.modelInfo.latencyMs;
+      }
+
+      return {
+        ...base,
+        predictedCategory: suggestion.predictedCategory,
+        confidence: suggestion.confidence,
+        autoClosed: suggestion.autoClosed,
+        retrievedArticles: (retrieval?.meta.articleIds || []).map(id => titlesById.get(String(id))),
+        fallbacks: suggestion.modelInfo?.fallbacks || [],
+        latencyMs,
+        taskLatencyMs
+      };
+    } catch (error) {
+      return { ...base, error: error.message, latencyMs: Date.now() - startTime };
+    }
+  }
+}
+
+module.exports = {
+  EvaluationService,
+  computeMetrics,
+  validateDataset,
+  CATEGORIES
+};
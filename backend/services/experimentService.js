@@ -0,0 +1,200 @@
+// services/experimentService.js
+// A/B experiments on LLM tasks. Each running experiment splits tickets
+// between its variants (prompt template version, model, temperature) by a
+// hash of the experiment name and ticket id, so a ticket lands in the same
+// variant on every triage and separate experiments bucket independently.
+// Triage records the assignments in AgentSuggestion.modelInfo.experiments;
+// stats() compares the variants on what happened to those tickets.
+const crypto = require('crypto');
+const { Experiment, AgentSuggestion, AuditLog } = require('../models');
+
+const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : null);
+const mean = (values) => (values.length > 0
+  ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(4))
+  : null);
+
+// The variant a ticket falls into: a point in [0, 1) from the first 32 bits
+// of sha1(experiment:ticket), walked along the cumulative variant weights
+const bucketVariant = (experiment, ticketId) => {
+  const hash = crypto.createHash('sha1').update(`${experiment.name}:${ticketId}`).digest();
+  const point = hash.readUInt32BE(0) / 2 ** 32;
+  const total = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += (variant.weight || 1) / total;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+// Word-level Levenshtein distance; drafts run to thousands of characters,
+// words keep it cheap and closer to what an agent actually changed
+const editDistance = (from, to) => {
+  const a = String(from || '').split(/\s+/).filter(Boolean);
+  const b = String(to || '').split(/\s+/).filter(Boolean);
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return { words: previous[b.length], length: Math.max(a.length, b.length) };
+};
+
+class ExperimentService {
+  // Route overrides and variant assignments for a ticket across the running
+  // experiments: { routes: { [task]: route }, assignments: { [task]: { experiment, variant } } }
+  async assign(ticketId) {
+    const experiments = await Experiment.find({ status: 'running' }).lean();
+    const routes = {};
+    const assignments = {};
+    for (const experiment of experiments) {
+      if (experiment.variants.length === 0) continue;
+      const variant = bucketVariant(experiment, ticketId);
+      routes[experiment.task] = {
+        model: variant.model,
+        promptTemplate: variant.promptTemplate,
+        promptVersion: variant.promptVersion,
+        temperature: variant.temperature
+      };
+      assignments[experiment.task] = { experiment: experiment.name, variant: variant.name };
+    }
+    return { routes, assignments };
+  }
+
+  // Per experiment and variant: tickets, auto-close rate, share of tickets
+  // reopened after triage, word edit distance from the model's draft to the
+  // reply the agent sent (stored on the suggestion with the reply, normalized
+  // by the longer text), and mean latency of the task under experiment. `ran`
+  // counts tickets by the provider, model and prompt version the task
+  // actually resolved to, to check each variant against its settings. Only
+  // suggestions made while the experiment ran count, and only a ticket's
+  // first one, so re-triage after a reply does not weigh a ticket twice.
+  async stats() {
+    const experiments = await Experiment.find({ status: { $ne: 'draft' } })
+      .sort({ createdAt: -1 })
+      .lean();
+    if (experiments.length === 0) return [];
+
+    const suggestions = await AgentSuggestion.find({
+      $or: experiments.map(experiment => {
+        const window = {};
+        if (experiment.startedAt) window.$gte = experiment.startedAt;
+        if (experiment.stoppedAt) window.$lte = experiment.stoppedAt;
+        return {
+          'modelInfo.experiments.experiment': experiment.name,
+          ...(Object.keys(window).length > 0 && { createdAt: window })
+        };
+      })
+    })
+      .select('ticketId autoClosed finalEditDistance modelInfo.experiments createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+    if (suggestions.length === 0) {
+      return experiments.map(experiment => this._experimentStats(experiment, new Map(), new Map()));
+    }
+
+    const reopens = await AuditLog.find({
+      ticketId: { $in: [...new Set(suggestions.map(suggestion => String(suggestion.ticketId)))] },
+      action: 'TICKET_REOPENED',
+      timestamp: { $gte: suggestions[0].createdAt }
+    })
+      .select('ticketId timestamp')
+      .lean();
+
+    // Latest reopen per ticket; a ticket counts as reopened after a
+    // suggestion when its latest reopen came after it
+    const lastReopen = new Map();
+    for (const reopen of reopens) {
+      const key = String(reopen.ticketId);
+      if (!lastReopen.has(key) || reopen.timestamp > lastReopen.get(key)) {
+        lastReopen.set(key, reopen.timestamp);
+      }
+    }
+
+    const experimentsByName = new Map(experiments.map(experiment => [experiment.name, experiment]));
+    const seen = new Set();
+    const groups = new Map();
+    for (const suggestion of suggestions) {
+      for (const assignment of suggestion.modelInfo.experiments) {
+        const experiment = experimentsByName.get(assignment.experiment);
+        if (!experiment || !this._inWindow(experiment, suggestion.createdAt)) continue;
+
+        const ticketKey = `${assignment.experiment}:${suggestion.ticketId}`;
+        if (seen.has(ticketKey)) continue;
+        seen.add(ticketKey);
+
+        const groupKey = `${assignment.experiment}:${assignment.variant}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push({ suggestion, assignment });
+      }
+    }
+
+    return experiments.map(experiment => this._experimentStats(experiment, groups, lastReopen));
+  }
+
+  _inWindow(experiment, date) {
+    return (!experiment.startedAt || date >= experiment.startedAt) &&
+      (!experiment.stoppedAt || date <= experiment.stoppedAt);
+  }
+
+  _experimentStats(experiment, groups, lastReopen) {
+    return {
+      experiment: experiment.name,
+      task: experiment.task,
+      status: experiment.status,
+      startedAt: experiment.startedAt || null,
+      stoppedAt: experiment.stoppedAt || null,
+      variants: experiment.variants.map(variant => {
+        const entries = groups.get(`${experiment.name}:${variant.name}`) || [];
+        const edits = entries
+          .map(entry => entry.suggestion.finalEditDistance)
+          .filter(edit => typeof edit?.words === 'number');
+        const reopened = entries.filter(({ suggestion }) =>
+          lastReopen.get(String(suggestion.ticketId)) >= suggestion.createdAt);
+
+        const ran = new Map();
+        for (const { assignment } of entries) {
+          const resolved = {
+            provider: assignment.provider || null,
+            model: assignment.model || null,
+            promptVersion: assignment.promptVersion || null
+          };
+          const key = JSON.stringify(resolved);
+          if (!ran.has(key)) ran.set(key, { ...resolved, tickets: 0 });
+          ran.get(key).tickets += 1;
+        }
+
+        return {
+          variant: variant.name,
+          weight: variant.weight,
+          tickets: entries.length,
+          autoCloseRate: rate(entries.filter(entry => entry.suggestion.autoClosed).length, entries.length),
+          reopenRate: rate(reopened.length, entries.length),
+          editDistance: {
+            replies: edits.length,
+            words: mean(edits.map(edit => edit.words)),
+            normalized: mean(edits.map(edit => (edit.length > 0 ? edit.words / edit.length : 0)))
+          },
+          averageLatencyMs: mean(entries
+            .map(entry => entry.assignment.latencyMs)
+            .filter(latency => typeof latency === 'number')),
+          ran: [...ran.values()]
+        };
+      })
+    };
+  }
+}
+
+module.exports = {
+  ExperimentService,
+  bucketVariant,
+  editDistance
+};
@@ -0,0 +1,85 @@
+// services/feedbackDataset.js
+// Turns reviewed agent suggestions into training examples: the ticket text,
+// what the model predicted and drafted, and what the agent corrected, sent
+// and rated. Exported as JSONL for prompt tuning and classifier training.
+const { AgentSuggestion } = require('../models');
+
+// Filter for suggestions worth exporting. reviewedOnly keeps suggestions an
+// agent touched (edited, answered, recategorized or rated).
+const datasetFilter = ({ from, to, reviewedOnly = true, rating } = {}) => {
+  const filter = {};
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (reviewedOnly) {
+    filter.$or = [
+      { finalReply: { $exists: true } },
+      { finalCategory: { $exists: true } },
+      { 'feedback.rating': { $exists: true } },
+      { 'revisions.0': { $exists: true } }
+    ];
+  }
+  if (rating) {
+    filter['feedback.rating'] = rating;
+  }
+  return filter;
+};
+
+// One JSONL line. Expects ticketId populated with title and description.
+const toDatasetRecord = (suggestion) => {
+  const ticket = suggestion.ticketId || {};
+  const aiDraft = suggestion.originalDraft ?? suggestion.draftReply;
+  const finalCategory = suggestion.finalCategory || null;
+
+  return {
+    suggestionId: String(suggestion._id),
+    ticketId: String(ticket._id || ticket),
+    createdAt: suggestion.createdAt,
+    input: {
+      title: ticket.title,
+      description: ticket.description
+    },
+    predicted: {
+      category: suggestion.predictedCategory,
+      confidence: suggestion.confidence,
+      rawConfidence: suggestion.rawConfidence ?? suggestion.confidence,
+      draftReply: aiDraft,
+      articleIds: (suggestion.articleIds || []).map(String)
+    },
+    final: {
+      category: finalCategory,
+      categoryCorrected: finalCategory !== null && finalCategory !== suggestion.predictedCategory,
+      reply: suggestion.finalReply || null,
+      replyEdited: Boolean(suggestion.finalReply) && suggestion.finalReply.trim() !== aiDraft.trim()
+    },
+    revisions: (suggestion.revisions || []).map(revision => ({
+      draftReply: revision.draftReply,
+      category: revision.category,
+      editedAt: revision.editedAt
+    })),
+    feedback: suggestion.feedback?.rating
+      ? { rating: suggestion.feedback.rating, reason: suggestion.feedback.reason || null }
+      : null,
+    autoClosed: suggestion.autoClosed,
+    modelInfo: {
+      provider: suggestion.modelInfo?.provider,
+      model: suggestion.modelInfo?.model,
+      promptVersion: suggestion.modelInfo?.promptVersion,
+      promptVersions: suggestion.modelInfo?.promptVersions || null
+    }
+  };
+};
+
+// Cursor over matching suggestions, oldest first, ready for toDatasetRecord
+const datasetCursor = (options = {}) => AgentSuggestion.find(datasetFilter(options))
+  .sort({ createdAt: 1 })
+  .populate('ticketId', 'title description')
+  .cursor();
+
+module.exports = {
+  datasetFilter,
+  datasetCursor,
+  toDatasetRecord
+};
@@ -0,0 +1,162 @@
+// services/jobQueue.js
+const os = require('os');
+const crypto = require('crypto');
+const { Job } = require('../models');
+
+const JOB_TYPES = {
+  TRIAGE: 'triage',
+  SHADOW_TRIAGE: 'shadow_triage',
+  CALIBRATE: 'calibrate'
+};
+
+// MongoDB-backed queue. A job is claimed by atomically moving it to
+// `running` with a lease; if the worker dies before finishing, the lease
+// expires and the job becomes visible to other workers again.
+class JobQueue {
+  constructor(options = {}) {
+    this.visibilityTimeoutMs = options.visibilityTimeoutMs ||
+      parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 120000;
+    this.baseBackoffMs = options.baseBackoffMs ||
+      parseInt(process.env.JOB_BACKOFF_MS) || 2000;
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    const job = new Job({
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || new Date()
+    });
+    await job.save();
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      traceId: payload.traceId,
+      message: 'Job enqueued',
+      jobId: job._id,
+      type
+    }));
+
+    return job;
+  }
+
+  async claim(workerId, types) {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $expr: { $lt: ['$attempts', '$maxAttempts'] },
+        $or: [
+          { status: { $in: ['queued', 'failed'] }, runAt: { $lte: now } },
+          { status: 'running', leaseExpiresAt: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.visibilityTimeoutMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async extendLease(job, workerId) {
+    await Job.updateOne(
+      { _id: job._id, status: 'running', lockedBy: workerId },
+      { $set: { leaseExpiresAt: new Date(Date.now() + this.visibilityTimeoutMs) } }
+    );
+  }
+
+  async complete(job, workerId, result = null) {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        $set: {
+          status: 'succeeded',
+          result,
+          completedAt: new Date(),
+          leaseExpiresAt: null
+        }
+      }
+    );
+  }
+
+  // Returns the job's new status: `failed` (will be retried) or `dead`
+  async fail(job, workerId, error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const update = {
+      status: exhausted ? 'dead' : 'failed',
+      lastError: error.message,
+      leaseExpiresAt: null
+    };
+
+    if (exhausted) {
+      update.completedAt = new Date();
+    } else {
+      update.runAt = new Date(Date.now() + this._backoffMs(job.attempts));
+    }
+
+    await Job.updateOne({ _id: job._id, lockedBy: workerId }, { $set: update });
+    return update.status;
+  }
+
+  // Dead-letters jobs whose lease expired on their final attempt, since
+  // claim() will never pick them up again
+  async reapExpired() {
+    const expired = await Job.find({
+      status: 'running',
+      leaseExpiresAt: { $lte: new Date() },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    });
+
+    for (const job of expired) {
+      await Job.updateOne(
+        { _id: job._id, status: 'running' },
+        {
+          $set: {
+            status: 'dead',
+            lastError: job.lastError || 'Lease expired on final attempt',
+            completedAt: new Date(),
+            leaseExpiresAt: null
+          }
+        }
+      );
+    }
+
+    return expired;
+  }
+
+  async requeue(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['dead', 'failed'] } },
+      {
+        $set: {
+          status: 'queued',
+          attempts: 0,
+          runAt: new Date(),
+          lastError: null,
+          completedAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  _backoffMs(attempt) {
+    return Math.pow(2, attempt - 1) * this.baseBackoffMs;
+  }
+
+  static workerId() {
+    return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JOB_TYPES
+};
@@ -0,0 +1,183 @@
+// services/jobWorker.js
+const { JobQueue, JOB_TYPES } = require('./jobQueue');
+const { AuditLog } = require('../models');
+const { CalibrationService } = require('./calibrationService');
+const { ShadowService } = require('./shadowService');
+
+class JobWorker {
+  constructor(options = {}) {
+    this.queue = options.queue || new JobQueue();
+    this.handlers = options.handlers || {};
+    this.pollIntervalMs = options.pollIntervalMs ||
+      parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.workerId = options.workerId || JobQueue.workerId();
+    this.running = false;
+    this.currentJob = null;
+    this._loopPromise = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      message: 'Job worker started',
+      workerId: this.workerId,
+      types: Object.keys(this.handlers)
+    }));
+
+    this._loopPromise = this._loop();
+  }
+
+  // Stops claiming new jobs and waits for the current one to finish
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    await this._loopPromise;
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      message: 'Job worker stopped',
+      workerId: this.workerId
+    }));
+  }
+
+  async _loop() {
+    while (this.running) {
+      let processed = false;
+
+      try {
+        await this._reapExpired();
+        processed = await this.runOnce();
+      } catch (error) {
+        console.error(JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          message: 'Job worker tick failed',
+          workerId: this.workerId,
+          error: error.message
+        }));
+      }
+
+      if (!processed && this.running) {
+        await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+      }
+    }
+  }
+
+  // Claims and runs a single job. Returns false when the queue is empty.
+  async runOnce() {
+    const job = await this.queue.claim(this.workerId, Object.keys(this.handlers));
+    if (!job) return false;
+
+    this.currentJob = job;
+    const heartbeat = setInterval(() => {
+      this.queue.extendLease(job, this.workerId).catch(() => {});
+    }, Math.max(1000, Math.floor(this.queue.visibilityTimeoutMs / 3)));
+
+    try {
+      const result = await this.handlers[job.type](job.payload, job);
+      await this.queue.complete(job, this.workerId, result);
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId: job.payload.traceId,
+        message: 'Job succeeded',
+        jobId: job._id,
+        type: job.type,
+        attempt: job.attempts
+      }));
+    } catch (error) {
+      const status = await this.queue.fail(job, this.workerId, error);
+
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: status === 'dead' ? 'error' : 'warn',
+        traceId: job.payload.traceId,
+        message: status === 'dead' ? 'Job dead-lettered' : 'Job failed, will retry',
+        jobId: job._id,
+        type: job.type,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: error.message
+      }));
+
+      if (status === 'dead') {
+        await this._logDeadLetter(job, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.currentJob = null;
+    }
+
+    return true;
+  }
+
+  async _reapExpired() {
+    const reaped = await this.queue.reapExpired();
+    for (const job of reaped) {
+      await this._logDeadLetter(job, job.lastError || 'Lease expired on final attempt');
+    }
+  }
+
+  async _logDeadLetter(job, errorMessage) {
+    if (job.type !== JOB_TYPES.TRIAGE || !job.payload.ticketId) return;
+
+    await new AuditLog({
+      ticketId: job.payload.ticketId,
+      traceId: job.payload.traceId || String(job._id),
+      actor: 'system',
+      action: 'TRIAGE_DEAD_LETTERED',
+      meta: {
+        jobId: job._id,
+        attempts: job.attempts,
+        error: errorMessage
+      }
+    }).save();
+  }
+}
+
+// Default handlers used by both the in-process worker and worker.js
+const createDefaultHandlers = (agentService) => ({
+  // Retries get their own trace suffix so each attempt's audit trail is distinct
+  [JOB_TYPES.TRIAGE]: (payload, job) =>
+    agentService.triageTicket(
+      payload.ticketId,
+      job.attempts > 1 ? `${payload.traceId}:${job.attempts}` : payload.traceId,
+      { trigger: payload.trigger }
+    ),
+
+  // Runs the shadow variant; it never touches the ticket
+  [JOB_TYPES.SHADOW_TRIAGE]: (payload) =>
+    new ShadowService(agentService).triage(payload.ticketId, payload.traceId, { asOf: payload.asOf }),
+
+  // Refits confidence calibration from triage outcomes
+  [JOB_TYPES.CALIBRATE]: async (payload, job) => {
+    const result = await new CalibrationService().calibrate({
+      ...(payload.method && { method: payload.method }),
+      ...(payload.minSamples && { minSamples: payload.minSamples })
+    });
+
+    await new AuditLog({
+      traceId: payload.traceId || String(job._id),
+      actor: payload.requestedBy ? 'agent' : 'system',
+      action: 'CONFIDENCE_CALIBRATED',
+      meta: {
+        jobId: job._id,
+        requestedBy: payload.requestedBy,
+        ...result
+      }
+    }).save();
+
+    return result;
+  }
+});
+
+module.exports = {
+  JobWorker,
+  createDefaultHandlers
+};
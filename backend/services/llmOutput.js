@@ -0,0 +1,114 @@
+// services/llmOutput.js
+// Parsing and validation of model answers against the output schema each
+// LLM task declares. Schemas use a small JSON Schema subset: type, enum,
+// minimum/maximum, minLength/maxLength, items, properties, required and
+// default. Keys a schema does not declare are dropped, so model chatter
+// never reaches stored suggestions.
+
+// Models like to wrap JSON in ```json fences or add a sentence around it
+const stripCodeFences = (content) => {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenced) return fenced[1].trim();
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+};
+
+// Returns { value } or { error } instead of throwing so callers can feed
+// the error back to the model
+const parseModelJson = (content) => {
+  try {
+    return { value: JSON.parse(content) };
+  } catch (error) {
+    const stripped = stripCodeFences(content);
+    try {
+      return { value: JSON.parse(stripped) };
+    } catch (strippedError) {
+      return { error: `Response is not valid JSON: ${strippedError.message}` };
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Validates value against schema; returns the cleaned value and a list of
+// human-readable errors (empty when valid)
+const validateOutput = (schema, value, path = '') => {
+  const errors = [];
+  const label = path || 'response';
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value) ||
+        (schema.type === 'integer' && !Number.isInteger(value))) {
+      return { value, errors: [`${label} must be a ${schema.type}`] };
+    }
+  } else if (schema.type && typeOf(value) !== schema.type) {
+    return { value, errors: [`${label} must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}`] };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${label} must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${label} must have at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${label} must have at most ${schema.maxLength} characters`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    const items = value.map((item, index) => {
+      const result = validateOutput(schema.items, item, `${label}[${index}]`);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    return { value: items, errors };
+  }
+
+  if (schema.type === 'object') {
+    const cleaned = {};
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        if ((schema.required || []).includes(key)) {
+          errors.push(`${propertyPath} is required`);
+        } else if (propertySchema.default !== undefined) {
+          cleaned[key] = structuredClone(propertySchema.default);
+        }
+        continue;
+      }
+      const result = validateOutput(propertySchema, value[key], propertyPath);
+      errors.push(...result.errors);
+      cleaned[key] = result.value;
+    }
+    return { value: cleaned, errors };
+  }
+
+  return { value, errors };
+};
+
+// Follow-up message asking the model to fix its previous answer
+const buildRepairPrompt = (schema, errors) => `Your previous response was invalid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with JSON only, no code fences or commentary, matching this schema:
+${JSON.stringify(schema, null, 2)}`;
+
+module.exports = {
+  stripCodeFences,
+  parseModelJson,
+  validateOutput,
+  buildRepairPrompt
+};
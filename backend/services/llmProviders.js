@@ -0,0 +1,222 @@
+// services/llmProviders.js
+// Chat-completion backends behind LLMProvider. Every provider implements
+//   complete({ system, prompt, followUp, model, maxTokens, temperature }) -> { content, model }
+//   probe() -> resolves when the backend is reachable
+// and is registered by name so Config can route each task to one of them.
+// Providers that are not language models implement
+//   runTask(task, variables) -> { value, model }
+// instead of complete() and list the tasks they can answer in `tasks`.
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Any server speaking the OpenAI /chat/completions API (OpenAI, Ollama,
+// llama.cpp, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai_compatible';
+    this.baseURL = (options.baseURL || process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1')
+      .replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? process.env.OPENAI_COMPATIBLE_API_KEY;
+    this.defaultModel = options.defaultModel || process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1';
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+  }
+
+  // followUp holds extra turns after the prompt, e.g. a repair request
+  async complete({ system, prompt, followUp = [], model, maxTokens, temperature }) {
+    const resolvedModel = model || this.defaultModel;
+
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model: resolvedModel,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+        ...followUp
+      ],
+      max_tokens: maxTokens,
+      temperature
+    }, {
+      headers: {
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeoutMs
+    });
+
+    return {
+      content: response.data.choices[0].message.content.trim(),
+      model: response.data.model || resolvedModel
+    };
+  }
+
+  // Cheap reachability and auth check; throws when the server is unusable
+  async probe() {
+    await axios.get(`${this.baseURL}/models`, {
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+      timeout: 5000
+    });
+  }
+}
+
+class DeepSeekProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      name: 'deepseek',
+      baseURL: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1',
+      apiKey: process.env.DEEPSEEK_API_KEY,
+      defaultModel: 'deepseek-chat',
+      ...options
+    });
+  }
+}
+
+// Marker for the rule-based implementations in LLMProvider; it never makes
+// network calls
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.defaultModel = 'rule-based';
+    this.isStub = true;
+  }
+
+  async complete() {
+    throw new Error('The stub provider has no completion endpoint');
+  }
+
+  async probe() {}
+}
+
+// Recorded answers are keyed by everything that determines the answer: the
+// requested model and the full conversation
+const recordingKey = ({ system, prompt, followUp = [], model }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ model: model || null, system, prompt, followUp }))
+  .digest('hex');
+
+// Recording files are shared by every provider instance in the process
+const recordingFiles = new Map();
+
+const loadRecordings = (file) => {
+  if (!recordingFiles.has(file)) {
+    recordingFiles.set(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+  return recordingFiles.get(file);
+};
+
+// Replays answers saved in a JSON file (LLM_RECORDINGS_FILE). With an
+// upstream provider (LLM_RECORD_UPSTREAM) misses are sent there and the
+// answer is saved, which is how recordings are made in the first place.
+class RecordedProvider {
+  constructor(options = {}) {
+    this.name = 'recorded';
+    this.file = options.file || process.env.LLM_RECORDINGS_FILE;
+    this.upstream = options.upstream || process.env.LLM_RECORD_UPSTREAM || null;
+    this.defaultModel = 'recorded';
+  }
+
+  async complete(request) {
+    if (!this.file) {
+      throw new Error('LLM_RECORDINGS_FILE is not set');
+    }
+    const recordings = loadRecordings(this.file);
+    const key = recordingKey(request);
+    if (recordings[key]) {
+      return { content: recordings[key].content, model: recordings[key].model };
+    }
+
+    if (!this.upstream) {
+      const error = new Error(`No recorded response for this prompt (${key.slice(0, 12)})`);
+      error.code = 'RECORDING_MISSING';
+      throw error;
+    }
+
+    const response = await createProvider(this.upstream).complete(request);
+    recordings[key] = {
+      model: response.model,
+      content: response.content,
+      prompt: request.prompt.slice(0, 200),
+      recordedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(this.file, JSON.stringify(recordings, null, 2));
+    return response;
+  }
+
+  async probe() {
+    if (this.upstream) {
+      await createProvider(this.upstream).probe();
+    } else if (!this.file || !fs.existsSync(this.file)) {
+      throw new Error(`Recordings file not found: ${this.file || '(LLM_RECORDINGS_FILE not set)'}`);
+    }
+  }
+}
+
+// The locally trained category classifier (npm run train-classifier). It
+// answers classify without a prompt or network call; its confidence is
+// already calibrated on held-out tickets.
+class LocalClassifierProvider {
+  constructor() {
+    this.name = 'local_classifier';
+    this.defaultModel = 'ticket-category';
+    this.tasks = ['classify'];
+    // Required lazily: the classifier loads its artifact through the models
+    this.getClassifier = () => require('./localClassifier');
+  }
+
+  async runTask(task, variables) {
+    if (!this.tasks.includes(task)) {
+      throw new Error(`The local classifier cannot run the ${task} task`);
+    }
+    const { loadActiveClassifier, predict } = this.getClassifier();
+    const model = await loadActiveClassifier();
+    if (!model) {
+      throw new Error('No local classifier has been trained; run npm run train-classifier');
+    }
+
+    const { predictedCategory, confidence } = predict(variables.ticketText, model);
+    return {
+      value: { predictedCategory, confidence: Number(confidence.toFixed(4)) },
+      model: `${model.name}@${model.version}`
+    };
+  }
+
+  async probe() {
+    if (!(await this.getClassifier().loadActiveClassifier())) {
+      throw new Error('No local classifier has been trained');
+    }
+  }
+}
+
+// Providers tasks can be routed to in the admin config
+const LLM_PROVIDERS = {
+  deepseek: DeepSeekProvider,
+  local_classifier: LocalClassifierProvider,
+  openai_compatible: OpenAICompatibleProvider,
+  stub: StubProvider
+};
+
+// Offline evaluation only, selected through LLM_PROVIDER by npm run eval and
+// the tests. The recorded provider writes its recordings file, so it is kept
+// out of what the admin config accepts and lists.
+const EVAL_PROVIDERS = {
+  recorded: RecordedProvider
+};
+
+const createProvider = (name, options = {}) => {
+  const Provider = LLM_PROVIDERS[name] || EVAL_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  OpenAICompatibleProvider,
+  DeepSeekProvider,
+  StubProvider,
+  RecordedProvider,
+  LocalClassifierProvider,
+  LLM_PROVIDERS,
+  EVAL_PROVIDERS,
+  createProvider,
+  recordingKey
+};
@@ -0,0 +1,253 @@
+// services/llmResilience.js
+// Retry, circuit breaker and concurrency limit shared by every LLMProvider
+// instance. One policy exists per provider name, so an outage of one
+// backend never blocks calls routed to another.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429 and 5xx are worth retrying; other 4xx mean the request itself is wrong
+const isRetryableError = (error) => {
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+// Errors that say something about the provider's health. Client errors
+// (bad request, auth) and our own parsing problems do not trip the breaker.
+const isProviderFailure = (error) => {
+  // A replay miss is a problem with the recordings, not the provider
+  if (error.code === 'RECORDING_MISSING') return false;
+  const status = error.response?.status;
+  return !status || isRetryableError(error);
+};
+
+// Seconds from a Retry-After header, if the provider sent one
+const retryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = parseFloat(header);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+// Runs fn, retrying retryable errors with full-jitter exponential backoff
+const retryWithBackoff = async (fn, options = {}) => {
+  const retries = options.retries ?? 2;
+  const baseDelayMs = options.baseDelayMs ?? 500;
+  const maxDelayMs = options.maxDelayMs ?? 8000;
+  const random = options.random || Math.random;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const backoff = random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = Math.min(maxDelayMs, Math.max(backoff, retryAfterMs(error) || 0));
+
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'warn',
+        message: 'Retrying LLM request',
+        provider: options.name,
+        attempt: attempt + 1,
+        status: error.response?.status,
+        delayMs: Math.round(delayMs)
+      }));
+
+      await sleep(delayMs);
+    }
+  }
+};
+
+// Opens after `failureThreshold` consecutive provider failures and rejects
+// calls immediately until `resetTimeoutMs` has passed. It then half-opens:
+// one trial call is let through and its outcome closes or re-opens it.
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw this._openError();
+      }
+      this._transition('half_open');
+    }
+
+    const isTrial = this.state === 'half_open';
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw this._openError();
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this._onSuccess();
+      return result;
+    } catch (error) {
+      this._onFailure(error);
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs) : null,
+      lastError: this.lastError
+    };
+  }
+
+  _onSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this._transition('closed');
+    }
+  }
+
+  _onFailure(error) {
+    if (!isProviderFailure(error)) {
+      // The provider answered, so a half-open trial still proves it is up
+      if (this.state === 'half_open') this._transition('closed');
+      return;
+    }
+
+    this.failures += 1;
+    this.lastError = error.message;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this._transition('open');
+    }
+  }
+
+  _transition(state) {
+    if (state === 'closed') this.openedAt = null;
+    this.state = state;
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: state === 'open' ? 'warn' : 'info',
+      message: 'LLM circuit breaker state changed',
+      provider: this.name,
+      state,
+      failures: this.failures
+    }));
+  }
+
+  _openError() {
+    const error = new Error(`Circuit breaker open for ${this.name}`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  }
+}
+
+// Caps in-flight calls; extra calls wait in FIFO order
+class ConcurrencyLimiter {
+  constructor(maxConcurrent = 4) {
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(fn) {
+    if (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active += 1;
+
+    try {
+      return await fn();
+    } finally {
+      this.active -= 1;
+      const next = this.waiting.shift();
+      if (next) next();
+    }
+  }
+
+  snapshot() {
+    return {
+      active: this.active,
+      waiting: this.waiting.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
+
+// Breaker outermost so an open circuit fails fast instead of queueing; each
+// call counts once against the breaker however many retries it took
+class ResiliencePolicy {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.retryOptions = {
+      name,
+      retries: options.retries ?? (parseInt(process.env.LLM_MAX_RETRIES) || 2),
+      baseDelayMs: options.baseDelayMs ?? (parseInt(process.env.LLM_RETRY_BASE_MS) || 500),
+      maxDelayMs: options.maxDelayMs ?? (parseInt(process.env.LLM_RETRY_MAX_MS) || 8000),
+      random: options.random
+    };
+    this.breaker = new CircuitBreaker({
+      name,
+      failureThreshold: options.failureThreshold ?? (parseInt(process.env.LLM_BREAKER_FAILURE_THRESHOLD) || 5),
+      resetTimeoutMs: options.resetTimeoutMs ?? (parseInt(process.env.LLM_BREAKER_RESET_MS) || 30000)
+    });
+    this.limiter = new ConcurrencyLimiter(
+      options.maxConcurrent ?? (parseInt(process.env.LLM_MAX_CONCURRENCY) || 4)
+    );
+  }
+
+  execute(fn) {
+    return this.breaker.execute(() =>
+      this.limiter.run(() => retryWithBackoff(fn, this.retryOptions))
+    );
+  }
+
+  snapshot() {
+    return {
+      breaker: this.breaker.snapshot(),
+      concurrency: this.limiter.snapshot()
+    };
+  }
+}
+
+const policies = new Map();
+
+const getResiliencePolicy = (name) => {
+  if (!policies.has(name)) {
+    policies.set(name, new ResiliencePolicy(name));
+  }
+  return policies.get(name);
+};
+
+const resilienceSnapshot = () => Object.fromEntries(
+  [...policies].map(([name, policy]) => [name, policy.snapshot()])
+);
+
+// Drops all shared state; used by tests
+const resetResiliencePolicies = () => policies.clear();
+
+module.exports = {
+  CircuitBreaker,
+  ConcurrencyLimiter,
+  ResiliencePolicy,
+  retryWithBackoff,
+  isRetryableError,
+  getResiliencePolicy,
+  resilienceSnapshot,
+  resetResiliencePolicies
+};
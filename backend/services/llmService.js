@@ -1,164 +1,339 @@
 // services/llmService.js
-const axios = require('axios');
+const { createProvider } = require('./llmProviders');
+const { getResiliencePolicy, resilienceSnapshot } = require('./llmResilience');
+const { parseModelJson, validateOutput, buildRepairPrompt } = require('./llmOutput');
+const { PromptService } = require('./promptService');
+const { citationErrors } = require('./citations');
+
+// Request settings and output schema per task; the provider, model and
+// prompt template are routed separately through Config.llm
+const LLM_TASKS = {
+  classify: {
+    label: 'Classification',
+    maxTokens: 150,
+    temperature: 0.1,
+    outputSchema: {
+      type: 'object',
+      required: ['predictedCategory', 'confidence'],
+      properties: {
+        predictedCategory: { type: 'string', enum: ['billing', 'tech', 'shipping', 'other'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  },
+  draft: {
+    label: 'Draft',
+    maxTokens: 500,
+    temperature: 0.3,
+    outputSchema: {
+      type: 'object',
+      required: ['draftReply'],
+      properties: {
+        draftReply: { type: 'string', minLength: 1, maxLength: 10000 },
+        citations: { type: 'array', items: { type: 'string' }, default: [] }
+      }
+    }
+  },
+  priority: {
+    label: 'Priority',
+    maxTokens: 100,
+    temperature: 0.1,
+    outputSchema: {
+      type: 'object',
+      required: ['priority', 'confidence'],
+      properties: {
+        priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  }
+};
+
+// What to do when a provider errors: fail the task, answer with the stub and
+// flag it, or answer with the stub and never auto-close on it
+const LLM_FAILURE_POLICIES = ['fail', 'fallback', 'fallback_human'];
+const DEFAULT_FAILURE_POLICY = 'fallback_human';
+
+// Stub priority keywords, checked from most to least severe. Whole words
+// only, so "download" is not an outage and "questionnaire" not a question.
+const STUB_PRIORITY_RULES = [
+  { priority: 'urgent', words: ['outage', 'down', 'urgent', 'charged twice', 'double charged', 'data loss', 'security', 'hacked', 'emergency'] },
+  { priority: 'high', words: ['cannot', "can't", 'unable', 'blocked', 'not working', 'failed', 'asap', 'immediately'] },
+  { priority: 'low', words: ['question', 'wondering', 'feature request', 'suggestion', 'feedback', 'how do i'] }
+].map(rule => ({
+  priority: rule.priority,
+  patterns: rule.words.map(word => new RegExp(`\\b${word}\\b`))
+}));
 
 class LLMProvider {
-  constructor() {
+  // options.routes: per-task { provider, model, promptTemplate, promptVersion,
+  // temperature } laid over Config.llm, for pipeline variants such as shadow
+  // triage and experiments. options.resilienceScope keeps a variant's retries,
+  // breaker and concurrency slots apart from live traffic to the same provider.
+  constructor(options = {}) {
+    this.routeOverrides = options.routes || {};
+    this.resilienceScope = options.resilienceScope || null;
     this.stubMode = process.env.STUB_MODE === 'true';
-    this.apiKey = process.env.DEEPSEEK_API_KEY;
-    this.baseURL = 'https://api.deepseek.com/v1';
-    this.promptVersion = '1.0';
+    this.defaultProvider = process.env.LLM_PROVIDER || 'deepseek';
+    this.promptService = new PromptService();
+    // Re-prompts allowed after an answer fails its output schema
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS);
+    this.maxRepairAttempts = repairAttempts >= 0 ? repairAttempts : 1;
+    // Require models lazily to avoid a circular dependency
+    this.getConfigModel = () => require('../models').Config;
   }
 
   async classify(text) {
-    const startTime = Date.now();
-    console.log(this.stubMode);
-    
+    return this._run('classify', { ticketText: text },
+      (startTime) => this._stubClassify(text, startTime));
+  }
+
+  async draft(ticketText, articles) {
+    return this._run('draft', { ticketText, articles: this._formatArticles(articles) },
+      (startTime) => this._stubDraft(ticketText, articles, startTime),
+      (value) => citationErrors(value, articles));
+  }
+
+  async predictPriority(text) {
+    return this._run('priority', { ticketText: text },
+      (startTime) => this._stubPriority(text, startTime));
+  }
+
+  // Provider, model, prompt template and failure policy for a task.
+  // STUB_MODE wins over everything; otherwise route overrides, then
+  // Config.llm.<task>, override LLM_PROVIDER, the provider's default model and
+  // the task's own template. An override that switches provider does not
+  // inherit the configured model. Only overrides pin a prompt version (the
+  // template's active one otherwise) or a temperature (the task's default).
+  async resolveRoute(task) {
     if (this.stubMode) {
-      return this._stubClassify(text, startTime);
+      return { provider: 'stub', model: null, promptTemplate: task, failurePolicy: DEFAULT_FAILURE_POLICY };
     }
-    
+
+    const config = await this.getConfigModel().findOne();
+    const route = config?.llm?.[task];
+    const override = this.routeOverrides[task];
+    const configuredProvider = route?.provider || this.defaultProvider;
+    const provider = override?.provider || configuredProvider;
+    return {
+      provider,
+      model: override?.model || (provider === configuredProvider ? route?.model : null) || null,
+      promptTemplate: override?.promptTemplate || route?.promptTemplate || task,
+      promptVersion: override?.promptVersion ?? null,
+      temperature: override?.temperature ?? null,
+      failurePolicy: config?.llmFailurePolicy || DEFAULT_FAILURE_POLICY
+    };
+  }
+
+  // Sends a task to its routed provider and validates the JSON answer
+  // against the task's output schema, re-prompting with the validation
+  // errors up to maxRepairAttempts times. When the provider fails or never
+  // produces a valid answer, Config.llmFailurePolicy decides between throwing
+  // and answering with the rule-based stub; fallback results carry
+  // fallbackFrom/fallbackReason/failurePolicy in modelInfo so callers never
+  // mistake them for a real model answer. Rejected answers are returned (or
+  // attached to the thrown error) as validationFailures. check, when given,
+  // returns further errors for an answer that passed its schema (the draft
+  // task uses it to reject citations of articles it was never shown).
+  async _run(task, variables, stub, check = null) {
+    const startTime = Date.now();
+    const settings = LLM_TASKS[task];
+    const validationFailures = [];
+    let route = null;
+
     try {
-      const prompt = this._getClassificationPrompt(text);
-      
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a support ticket classifier. Respond only with valid JSON matching the required schema.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 150,
-        temperature: 0.1
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+      route = await this.resolveRoute(task);
+      const provider = createProvider(route.provider);
+      if (provider.isStub) {
+        return stub(startTime);
+      }
+      if (provider.runTask) {
+        return await this._runLocal(provider, task, variables, startTime);
+      }
+
+      const rendered = await this.promptService.render(route.promptTemplate, variables, {
+        version: route.promptVersion
       });
+      const policy = getResiliencePolicy(
+        this.resilienceScope ? `${this.resilienceScope}:${provider.name}` : provider.name
+      );
+      const request = {
+        system: rendered.system,
+        prompt: rendered.prompt,
+        model: route.model,
+        maxTokens: settings.maxTokens,
+        temperature: route.temperature ?? settings.temperature
+      };
+
+      let result;
+      let model;
+      for (let attempt = 0; ; attempt++) {
+        const response = await policy.execute(() => provider.complete(request));
+        model = response.model;
+
+        const { value, errors: schemaErrors } = this._parseOutput(settings.outputSchema, response.content);
+        const errors = schemaErrors.length === 0 && check ? check(value) : schemaErrors;
+        if (errors.length === 0) {
+          result = value;
+          break;
+        }
+
+        validationFailures.push({
+          attempt,
+          provider: provider.name,
+          model,
+          errors,
+          content: response.content.substring(0, 500)
+        });
+
+        if (attempt >= this.maxRepairAttempts) {
+          const invalid = new Error(`${settings.label} output failed validation: ${errors.join('; ')}`);
+          invalid.code = 'LLM_OUTPUT_INVALID';
+          throw invalid;
+        }
+
+        request.followUp = [
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: buildRepairPrompt(settings.outputSchema, errors) }
+        ];
+      }
 
-      const content = response.data.choices[0].message.content.trim();
-      const result = JSON.parse(content);
-      
       const latencyMs = Date.now() - startTime;
-      
+
       return {
         ...result,
         modelInfo: {
-          provider: 'deepseek',
-          model: 'deepseek-chat',
-          promptVersion: this.promptVersion,
+          provider: provider.name,
+          model,
+          promptVersion: rendered.promptVersion,
           latencyMs
-        }
+        },
+        ...(validationFailures.length > 0 && {
+          validationFailures: validationFailures.map(failure => ({ ...failure, outcome: 'repaired' }))
+        })
       };
-      
+
     } catch (error) {
-      console.error('LLM Classification Error:', error.message);
-      // Fallback to stub mode on error
-      return this._stubClassify(text, startTime);
-    }
-  }
+      const failurePolicy = route?.failurePolicy || DEFAULT_FAILURE_POLICY;
+
+      console.error(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        message: `LLM ${settings.label} failed`,
+        task,
+        provider: route?.provider,
+        failurePolicy,
+        error: error.message
+      }));
 
-  async draft(ticketText, articles) {
-    const startTime = Date.now();
-    
-    if (this.stubMode) {
-      return this._stubDraft(ticketText, articles, startTime);
-    }
-    
-    try {
-      const prompt = this._getDraftPrompt(ticketText, articles);
-      
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful support agent. Draft professional, helpful responses to support tickets using the provided knowledge base articles. Always include numbered citations. Respond only with valid JSON matching the required schema.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.3
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      if (failurePolicy === 'fail') {
+        const failure = new Error(`LLM ${task} failed on ${route?.provider || 'unknown provider'}: ${error.message}`);
+        failure.code = 'LLM_UNAVAILABLE';
+        failure.task = task;
+        failure.provider = route?.provider;
+        failure.validationFailures = validationFailures.map(item => ({ ...item, outcome: 'gave_up' }));
+        throw failure;
+      }
 
-      const content = response.data.choices[0].message.content.trim();
-      const result = JSON.parse(content);
-      
-      const latencyMs = Date.now() - startTime;
-      
+      const result = stub(startTime);
       return {
         ...result,
         modelInfo: {
-          provider: 'deepseek',
-          model: 'deepseek-chat',
-          promptVersion: this.promptVersion,
-          latencyMs
-        }
+          ...result.modelInfo,
+          fallbackFrom: route?.provider || 'unknown',
+          fallbackReason: error.message,
+          failurePolicy
+        },
+        ...(validationFailures.length > 0 && {
+          validationFailures: validationFailures.map(item => ({ ...item, outcome: 'gave_up' }))
+        })
       };
-      
-    } catch (error) {
-      console.error('LLM Draft Error:', error.message);
-      // Fallback to stub mode on error
-      return this._stubDraft(ticketText, articles, startTime);
     }
   }
 
-  _getClassificationPrompt(text) {
-    return `Classify this support ticket into one of these categories: billing, tech, shipping, other.
-
-Ticket: "${text}"
+  // Runs a task on a provider that answers without a prompt (see
+  // LocalClassifierProvider). Its answer is held to the same output schema,
+  // but there is no model to repair it, so an invalid answer fails at once.
+  async _runLocal(provider, task, variables, startTime) {
+    const settings = LLM_TASKS[task];
+    const response = await provider.runTask(task, variables);
+    const { value, errors } = validateOutput(settings.outputSchema, response.value);
+    if (errors.length > 0) {
+      const invalid = new Error(`${settings.label} output failed validation: ${errors.join('; ')}`);
+      invalid.code = 'LLM_OUTPUT_INVALID';
+      throw invalid;
+    }
 
-Classification rules:
-- billing: refunds, payments, invoices, charges, pricing
-- tech: errors, bugs, login issues, technical problems, API issues
-- shipping: delivery, tracking, packages, orders, shipment
-- other: general inquiries that don't fit above categories
+    return {
+      ...value,
+      modelInfo: {
+        provider: provider.name,
+        model: response.model,
+        promptVersion: null,
+        latencyMs: Date.now() - startTime
+      }
+    };
+  }
 
-Respond with JSON only:
-{
-  "predictedCategory": "billing|tech|shipping|other",
-  "confidence": 0.0-1.0
-}`;
+  // Parses a raw answer (stripping code fences if needed) and checks it
+  // against the schema; returns the cleaned value and any errors
+  _parseOutput(schema, content) {
+    const parsed = parseModelJson(content);
+    if (parsed.error) {
+      return { value: null, errors: [parsed.error] };
+    }
+    return validateOutput(schema, parsed.value);
   }
 
-  _getDraftPrompt(ticketText, articles) {
-    const articlesText = articles.map((article, index) => 
-      `[${index + 1}] ${article.title}\n${article.body.substring(0, 500)}...`
-    ).join('\n\n');
+  // Probes every provider currently routed to a task (the stub is always
+  // healthy; other providers are asked to list their models) and reports
+  // circuit breaker state. Open circuits degrade an otherwise healthy result.
+  async healthCheck() {
+    const routes = {};
+    for (const task of Object.keys(LLM_TASKS)) {
+      routes[task] = await this.resolveRoute(task);
+    }
 
-    return `Draft a helpful response to this support ticket using the provided knowledge base articles.
+    const providers = {};
+    for (const name of new Set(Object.values(routes).map(route => route.provider))) {
+      const startTime = Date.now();
+      try {
+        await createProvider(name).probe();
+        providers[name] = { status: 'ok', latencyMs: Date.now() - startTime };
+      } catch (error) {
+        providers[name] = { status: 'error', latencyMs: Date.now() - startTime, error: error.message };
+      }
+    }
 
-Ticket: "${ticketText}"
+    const resilience = resilienceSnapshot();
+    const openCircuits = Object.keys(resilience)
+      .filter(name => resilience[name].breaker.state !== 'closed');
 
-Available Knowledge Base Articles:
-${articlesText}
+    let status = 'ok';
+    if (Object.values(providers).some(provider => provider.status !== 'ok')) {
+      status = 'error';
+    } else if (openCircuits.length > 0) {
+      status = 'degraded';
+    }
 
-Requirements:
-- Be professional and helpful
-- Reference relevant articles with numbered citations like [1], [2]
-- Keep response concise but complete
-- If no articles are directly relevant, provide a general helpful response
+    return {
+      status,
+      stubMode: this.stubMode,
+      failurePolicy: Object.values(routes)[0].failurePolicy,
+      tasks: Object.fromEntries(Object.entries(routes).map(([task, route]) => [task, {
+        provider: route.provider,
+        model: route.model
+      }])),
+      providers,
+      openCircuits,
+      resilience
+    };
+  }
 
-Respond with JSON only:
-{
-  "draftReply": "your response here with [1] citations",
-  "citations": ["Article Title 1", "Article Title 2"]
-}`;
+  _formatArticles(articles) {
+    return articles.map((article, index) =>
+      `[${index + 1}] ${article.title}\n${article.body.substring(0, 500)}...`
+    ).join('\n\n');
   }
 
   _stubClassify(text, startTime) {
@@ -198,7 +373,35 @@ Respond with JSON only:
       modelInfo: {
         provider: 'stub',
         model: 'rule-based',
-        promptVersion: this.promptVersion,
+        promptVersion: null,
+        latencyMs
+      }
+    };
+  }
+
+  _stubPriority(text, startTime) {
+    const lowerText = text.toLowerCase();
+    let priority = 'normal';
+    let confidence = 0.5;
+
+    for (const rule of STUB_PRIORITY_RULES) {
+      const matches = rule.patterns.filter(pattern => pattern.test(lowerText)).length;
+      if (matches > 0) {
+        priority = rule.priority;
+        confidence = Math.min(0.9, 0.6 + (matches * 0.1));
+        break;
+      }
+    }
+
+    const latencyMs = Date.now() - startTime;
+
+    return {
+      priority,
+      confidence,
+      modelInfo: {
+        provider: 'stub',
+        model: 'rule-based',
+        promptVersion: null,
         latencyMs
       }
     };
@@ -231,7 +434,7 @@ Respond with JSON only:
       modelInfo: {
         provider: 'stub',
         model: 'template-based',
-        promptVersion: this.promptVersion,
+        promptVersion: null,
         latencyMs
       }
     };
@@ -258,7 +461,8 @@ class KBSearchService {
       let articles;
       
       if (query) {
-        // Text search with scoring
+        // Text search with scoring. Lean, because textScore is not a schema
+        // path and a hydrated document would hide it
         articles = await Article.find({
           ...searchFilter,
           $text: { $search: query }
@@ -266,7 +470,8 @@ class KBSearchService {
           score: { $meta: 'textScore' }
         })
         .sort({ score: { $meta: 'textScore' } })
-        .limit(limit);
+        .limit(limit)
+        .lean();
         
         // If no text search results, try tag-based search
         if (articles.length === 0) {
@@ -277,13 +482,14 @@ class KBSearchService {
               { tags: { $in: queryWords } },
               { title: { $regex: queryWords.join('|'), $options: 'i' } }
             ]
-          }).limit(limit);
+          }).limit(limit).lean();
         }
       } else {
         // Category-based search
         articles = await Article.find(searchFilter)
           .sort({ updatedAt: -1 })
-          .limit(limit);
+          .limit(limit)
+          .lean();
       }
 
       return articles.map(article => ({
@@ -302,6 +508,8 @@ class KBSearchService {
 }
 
 module.exports = {
+  LLM_TASKS,
+  LLM_FAILURE_POLICIES,
   LLMProvider,
   KBSearchService
 };
\ No newline at end of file
@@ -0,0 +1,278 @@
+// services/localClassifier.js
+// In-process ticket category classifier: multinomial naive Bayes over
+// sublinear TF-IDF features, trained on resolved tickets. Naive Bayes
+// posteriors are badly overconfident, so a temperature is fitted on one half
+// of a held-out split and applied to every prediction; the confidence it
+// reports can be compared against confidenceThreshold like an LLM's.
+const crypto = require('crypto');
+const { Ticket, AgentSuggestion, ClassifierModel } = require('../models');
+const { tokenize } = require('./similarityService');
+
+const CLASSIFIER_NAME = 'ticket-category';
+const DEFAULT_OPTIONS = {
+  holdoutFraction: 0.2,
+  minExamples: 20,
+  maxFeatures: 5000,
+  minDocumentFrequency: 2,
+  alpha: 0.1
+};
+// Candidate temperatures for calibration, log-spaced from 0.05 to 50
+const TEMPERATURES = Array.from({ length: 61 }, (_, index) => 0.05 * Math.pow(10, index / 20));
+const CALIBRATION_BINS = 10;
+// How long a loaded model serves before the store checks for a newer one
+const MODEL_CACHE_MS = 60 * 1000;
+
+const exampleText = (example) => `${example.title}\n${example.description}`;
+
+// Stable split so retraining on the same tickets holds out the same ones.
+// The held-out fraction is halved: the temperature is fitted on the
+// calibration half and the metrics are measured on the untouched test half.
+const splitOf = (id, fraction) => {
+  const bucket = crypto.createHash('sha1').update(String(id)).digest().readUInt32BE(0) / 0x100000000;
+  if (bucket < fraction / 2) return 'calibration';
+  return bucket < fraction ? 'test' : 'train';
+};
+
+// Sparse feature vector: feature index -> (1 + log tf) * idf
+const featurize = (text, model) => {
+  const index = model.featureIndex || new Map(model.vocabulary.map((token, position) => [token, position]));
+  const counts = new Map();
+  for (const token of tokenize(text)) {
+    const feature = index.get(token);
+    if (feature !== undefined) counts.set(feature, (counts.get(feature) || 0) + 1);
+  }
+  const features = new Map();
+  for (const [feature, count] of counts) {
+    features.set(feature, (1 + Math.log(count)) * model.idf[feature]);
+  }
+  return features;
+};
+
+const softmax = (scores, temperature = 1) => {
+  const scaled = scores.map(score => score / temperature);
+  const max = Math.max(...scaled);
+  const exps = scaled.map(score => Math.exp(score - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+};
+
+// Unnormalized log posterior per category
+const logScores = (text, model) => {
+  const features = featurize(text, model);
+  return model.categories.map((category, classIndex) => {
+    let score = model.classLogPriors[classIndex];
+    for (const [feature, weight] of features) {
+      score += weight * model.featureLogProbs[classIndex][feature];
+    }
+    return score;
+  });
+};
+
+// { predictedCategory, confidence, probabilities } with the model's
+// calibration applied unless a temperature is passed explicitly
+const predict = (text, model, temperature = model.calibration?.temperature ?? 1) => {
+  const probabilities = softmax(logScores(text, model), temperature);
+  let best = 0;
+  probabilities.forEach((probability, index) => {
+    if (probability > probabilities[best]) best = index;
+  });
+  return {
+    predictedCategory: model.categories[best],
+    confidence: probabilities[best],
+    probabilities: Object.fromEntries(model.categories.map((category, index) => [category, probabilities[index]]))
+  };
+};
+
+// Accuracy, negative log likelihood and expected calibration error of
+// predictions made from precomputed scores
+const evaluate = (scored, categories, temperature) => {
+  const bins = Array.from({ length: CALIBRATION_BINS }, () => ({ count: 0, confidence: 0, correct: 0 }));
+  let correct = 0;
+  let nll = 0;
+
+  for (const { scores, label } of scored) {
+    const probabilities = softmax(scores, temperature);
+    const best = probabilities.indexOf(Math.max(...probabilities));
+    const hit = categories[best] === label;
+    if (hit) correct += 1;
+    nll -= Math.log(Math.max(probabilities[categories.indexOf(label)], 1e-12));
+
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(probabilities[best] * CALIBRATION_BINS))];
+    bin.count += 1;
+    bin.confidence += probabilities[best];
+    bin.correct += hit ? 1 : 0;
+  }
+
+  const total = scored.length;
+  const ece = bins.reduce((sum, bin) => sum + (bin.count > 0 ? Math.abs(bin.correct - bin.confidence) / total : 0), 0);
+  return {
+    accuracy: Number((correct / total).toFixed(4)),
+    nll: Number((nll / total).toFixed(4)),
+    ece: Number(ece.toFixed(4))
+  };
+};
+
+// Trains on examples ({ id, title, description, category }), calibrates on
+// one held-out half and evaluates on the other. Returns the artifact fields
+// saved to ClassifierModel.
+const trainClassifier = (examples, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (examples.length < settings.minExamples) {
+    const error = new Error(`Need at least ${settings.minExamples} labeled tickets to train, found ${examples.length}`);
+    error.code = 'NOT_ENOUGH_DATA';
+    throw error;
+  }
+
+  const splits = { train: [], calibration: [], test: [] };
+  for (const example of examples) {
+    splits[splitOf(example.id, settings.holdoutFraction)].push(example);
+  }
+  const { train, calibration, test } = splits;
+  const categories = [...new Set(train.map(example => example.category))].sort();
+  if (categories.length < 2 || calibration.length === 0 || test.length === 0) {
+    const error = new Error('Training data needs at least two categories and non-empty calibration and test splits');
+    error.code = 'NOT_ENOUGH_DATA';
+    throw error;
+  }
+
+  // Vocabulary: the most widespread tokens seen in enough training tickets
+  const trainTokens = train.map(example => tokenize(exampleText(example)));
+  const documentFrequency = new Map();
+  for (const tokens of trainTokens) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+  const vocabulary = [...documentFrequency]
+    .filter(([, count]) => count >= settings.minDocumentFrequency)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, settings.maxFeatures)
+    .map(([token]) => token);
+  const idf = vocabulary.map(token => Math.log((train.length + 1) / (documentFrequency.get(token) + 1)) + 1);
+
+  const model = { categories, vocabulary, idf, featureIndex: new Map(vocabulary.map((token, index) => [token, index])) };
+  const featureSums = categories.map(() => new Array(vocabulary.length).fill(0));
+  const classCounts = categories.map(() => 0);
+  train.forEach((example) => {
+    const classIndex = categories.indexOf(example.category);
+    classCounts[classIndex] += 1;
+    for (const [feature, weight] of featurize(exampleText(example), model)) {
+      featureSums[classIndex][feature] += weight;
+    }
+  });
+
+  model.classLogPriors = classCounts.map(count => Math.log((count + 1) / (train.length + categories.length)));
+  model.featureLogProbs = featureSums.map((sums) => {
+    const total = sums.reduce((sum, value) => sum + value, 0) + settings.alpha * vocabulary.length;
+    return sums.map(value => Math.log((value + settings.alpha) / total));
+  });
+
+  // Holdout tickets with a category the model never saw count as misses
+  const score = split => split.map(example => ({
+    scores: logScores(exampleText(example), model),
+    label: example.category
+  }));
+  const calibrationScored = score(calibration);
+  let temperature = 1;
+  let bestNll = evaluate(calibrationScored, categories, 1).nll;
+  for (const candidate of TEMPERATURES) {
+    const { nll } = evaluate(calibrationScored, categories, candidate);
+    if (nll < bestNll) {
+      bestNll = nll;
+      temperature = candidate;
+    }
+  }
+  const testScored = score(test);
+
+  delete model.featureIndex;
+  return {
+    ...model,
+    algorithm: 'multinomial_nb',
+    calibration: { method: 'temperature', temperature: Number(temperature.toFixed(4)) },
+    metrics: {
+      examples: examples.length,
+      trainSize: train.length,
+      holdoutSize: calibration.length + test.length,
+      calibrationSize: calibration.length,
+      testSize: test.length,
+      classCounts: Object.fromEntries(categories.map((category, index) => [category, classCounts[index]])),
+      vocabularySize: vocabulary.length,
+      // Measured on the test half only
+      holdout: {
+        uncalibrated: evaluate(testScored, categories, 1),
+        calibrated: evaluate(testScored, categories, temperature)
+      }
+    }
+  };
+};
+
+// Resolved and closed tickets with the category an agent settled on. A
+// suggestion's finalCategory wins over the ticket's category; tickets whose
+// only label came from an auto-closed suggestion are skipped, since the
+// classifier would just be learning its own output.
+const collectTrainingExamples = async (options = {}) => {
+  const tickets = await Ticket.find({ status: { $in: ['resolved', 'closed'] } })
+    .select('title description category')
+    .sort({ updatedAt: -1 })
+    .limit(options.limit || 20000)
+    .lean();
+
+  const suggestions = await AgentSuggestion.find({ ticketId: { $in: tickets.map(ticket => ticket._id) } })
+    .select('ticketId finalCategory autoClosed createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const latestSuggestion = new Map(suggestions.map(suggestion => [String(suggestion.ticketId), suggestion]));
+
+  const examples = [];
+  for (const ticket of tickets) {
+    const suggestion = latestSuggestion.get(String(ticket._id));
+    const category = suggestion?.finalCategory || (suggestion?.autoClosed ? null : ticket.category);
+    if (!category) continue;
+    examples.push({ id: String(ticket._id), title: ticket.title, description: ticket.description, category });
+  }
+  return examples;
+};
+
+// Saves a trained artifact as the next version
+const saveClassifier = async (artifact, options = {}) => {
+  const latest = await ClassifierModel.findOne({ name: CLASSIFIER_NAME }).sort({ version: -1 }).select('version');
+  return ClassifierModel.create({
+    ...artifact,
+    name: CLASSIFIER_NAME,
+    version: (latest?.version || 0) + 1,
+    active: options.activate !== false
+  });
+};
+
+let cached = null;
+
+// Newest active model, cached for MODEL_CACHE_MS; null when none is trained
+const loadActiveClassifier = async () => {
+  if (cached && Date.now() - cached.loadedAt < MODEL_CACHE_MS) {
+    return cached.model;
+  }
+  const document = await ClassifierModel.findOne({ name: CLASSIFIER_NAME, active: true })
+    .sort({ version: -1 })
+    .lean();
+  const model = document && {
+    ...document,
+    featureIndex: new Map(document.vocabulary.map((token, index) => [token, index]))
+  };
+  cached = { model, loadedAt: Date.now() };
+  return model;
+};
+
+// Drops the cached model; used by tests and after training
+const resetClassifierCache = () => {
+  cached = null;
+};
+
+module.exports = {
+  CLASSIFIER_NAME,
+  trainClassifier,
+  predict,
+  collectTrainingExamples,
+  saveClassifier,
+  loadActiveClassifier,
+  resetClassifierCache
+};
@@ -0,0 +1,210 @@
+// services/promptService.js
+// Versioned prompt templates stored in MongoDB. Templates use {{variable}}
+// placeholders; each task supplies a fixed set of variables. The built-in
+// defaults below are saved as version 1 the first time a task needs them.
+const { PromptTemplate } = require('../models');
+
+// Variables each task provides when rendering; ticketText is mandatory
+const TASK_VARIABLES = {
+  classify: ['ticketText'],
+  draft: ['ticketText', 'articles'],
+  priority: ['ticketText']
+};
+
+const DEFAULT_PROMPTS = {
+  classify: {
+    description: 'Ticket category classification',
+    system: 'You are a support ticket classifier. Respond only with valid JSON matching the required schema.',
+    template: `Classify this support ticket into one of these categories: billing, tech, shipping, other.
+
+Ticket: "{{ticketText}}"
+
+Classification rules:
+- billing: refunds, payments, invoices, charges, pricing
+- tech: errors, bugs, login issues, technical problems, API issues
+- shipping: delivery, tracking, packages, orders, shipment
+- other: general inquiries that don't fit above categories
+
+Respond with JSON only:
+{
+  "predictedCategory": "billing|tech|shipping|other",
+  "confidence": 0.0-1.0
+}`
+  },
+  draft: {
+    description: 'Customer reply draft with KB citations',
+    system: 'You are a helpful support agent. Draft professional, helpful responses to support tickets using the provided knowledge base articles. Always include numbered citations. Respond only with valid JSON matching the required schema.',
+    template: `Draft a helpful response to this support ticket using the provided knowledge base articles.
+
+Ticket: "{{ticketText}}"
+
+Available Knowledge Base Articles:
+{{articles}}
+
+Requirements:
+- Be professional and helpful
+- Reference relevant articles with numbered citations like [1], [2]
+- Keep response concise but complete
+- If no articles are directly relevant, provide a general helpful response
+
+Respond with JSON only:
+{
+  "draftReply": "your response here with [1] citations",
+  "citations": ["Article Title 1", "Article Title 2"]
+}`
+  },
+  priority: {
+    description: 'Ticket priority prediction',
+    system: 'You are a support ticket triage assistant. Respond only with valid JSON matching the required schema.',
+    template: `Assign a priority to this support ticket: low, normal, high or urgent.
+
+Ticket: "{{ticketText}}"
+
+Priority rules:
+- urgent: outages, service down for everyone, security incidents, duplicate or unexpected charges, data loss
+- high: a customer is blocked (cannot log in, payment failing, order not delivered past due date)
+- normal: problems with a workaround, standard requests
+- low: general questions, feedback, feature requests
+
+Respond with JSON only:
+{
+  "priority": "low|normal|high|urgent",
+  "confidence": 0.0-1.0
+}`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const extractVariables = (...texts) => [
+  ...new Set(texts.flatMap(text => [...String(text || '').matchAll(PLACEHOLDER)].map(match => match[1])))
+];
+
+// Problems with a template for a task: unknown placeholders or a missing
+// {{ticketText}}. Returns an empty list when the template is usable.
+const checkTemplateVariables = (task, system, template) => {
+  const allowed = TASK_VARIABLES[task] || [];
+  const used = extractVariables(system, template);
+  const problems = used
+    .filter(name => !allowed.includes(name))
+    .map(name => `Unknown variable {{${name}}}; ${task} templates can use: ${allowed.join(', ')}`);
+  if (!used.includes('ticketText')) {
+    problems.push('Template must include {{ticketText}}');
+  }
+  return problems;
+};
+
+const renderTemplate = (text, variables = {}) => {
+  const missing = extractVariables(text).filter(name => variables[name] === undefined);
+  if (missing.length > 0) {
+    const error = new Error(`Missing prompt variables: ${missing.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return text.replace(PLACEHOLDER, (match, name) => String(variables[name]));
+};
+
+class PromptService {
+  // Template by name. Built-in task templates are created on first use so a
+  // fresh database behaves exactly like the old hard-coded prompts.
+  async getTemplate(name) {
+    const template = await PromptTemplate.findOne({ name });
+    if (template || !DEFAULT_PROMPTS[name]) return template;
+
+    const defaults = DEFAULT_PROMPTS[name];
+    try {
+      return await PromptTemplate.create({
+        name,
+        task: name,
+        description: defaults.description,
+        activeVersion: 1,
+        versions: [{
+          version: 1,
+          system: defaults.system,
+          template: defaults.template,
+          variables: extractVariables(defaults.system, defaults.template),
+          notes: 'Built-in default'
+        }]
+      });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) return PromptTemplate.findOne({ name });
+      throw error;
+    }
+  }
+
+  // Renders a version (the active one unless options.version is given).
+  // promptVersion ("name@version") identifies exactly what was sent.
+  async render(name, variables, options = {}) {
+    const template = await this.getTemplate(name);
+    if (!template) {
+      const error = new Error(`Prompt template not found: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const versionNumber = options.version ?? template.activeVersion;
+    const version = template.versions.find(item => item.version === versionNumber);
+    if (!version) {
+      const error = new Error(`Prompt template ${name} has no version ${versionNumber}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      system: renderTemplate(version.system, variables),
+      prompt: renderTemplate(version.template, variables),
+      promptVersion: `${template.name}@${version.version}`,
+      task: template.task
+    };
+  }
+
+  // Appends an immutable version; activates it when requested. Saved
+  // templates get the version in one conditional update, so two concurrent
+  // additions cannot both claim the next number: the loser gets a 409 and
+  // should reload. Returns the updated template.
+  async addVersion(template, { system, template: text, notes, activate }, userId) {
+    const version = Math.max(0, ...template.versions.map(item => item.version)) + 1;
+    const entry = {
+      version,
+      system,
+      template: text,
+      variables: extractVariables(system, text),
+      notes,
+      createdBy: userId
+    };
+
+    if (template.isNew) {
+      template.versions.push(entry);
+      if (activate) {
+        template.activeVersion = version;
+      }
+      await template.save();
+      return template;
+    }
+
+    const updated = await PromptTemplate.findOneAndUpdate(
+      { _id: template._id, 'versions.version': { $ne: version } },
+      {
+        $push: { versions: entry },
+        ...(activate && { $set: { activeVersion: version } })
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      const error = new Error(`Version ${version} of prompt template ${template.name} was just added by someone else; reload and try again`);
+      error.status = 409;
+      throw error;
+    }
+    return updated;
+  }
+}
+
+module.exports = {
+  PromptService,
+  DEFAULT_PROMPTS,
+  TASK_VARIABLES,
+  extractVariables,
+  checkTemplateVariables,
+  renderTemplate
+};
@@ -0,0 +1,253 @@
+// services/shadowService.js
+// Shadow triage: a second pipeline variant (its own LLM routes and, if set,
+// its own auto-close threshold) triages new tickets next to the live one and
+// records what it would have done as a ShadowSuggestion. It never saves the
+// ticket, replies, assigns or closes; the only other trace it leaves is one
+// SHADOW_TRIAGED audit event. The report compares each variant with the
+// live suggestion for the same ticket and with what the humans settled on.
+const {
+  Ticket,
+  Config,
+  AgentSuggestion,
+  AuditLog,
+  ShadowSuggestion
+} = require('../models');
+const { LLMProvider } = require('./llmService');
+const { verifyCitations } = require('./citations');
+const { rankBySimilarity } = require('./similarityService');
+
+const REOPEN_WINDOW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(4)) : null);
+const mean = (values) => rate(values.reduce((sum, value) => sum + value, 0), values.length);
+
+// Cosine similarity of a draft to the reply the agent actually sent
+const replySimilarity = (draft, finalReply) =>
+  rankBySimilarity(finalReply, [draft], text => text)[0]?.score || 0;
+
+class ShadowService {
+  // Reuses the live pipeline's helpers (ticket text, KB search, calibration,
+  // scoring) so the variant differs only in what it is configured to change
+  constructor(agentService) {
+    this.agentService = agentService;
+  }
+
+  async triage(ticketId, traceId, options = {}) {
+    const config = await Config.findOne();
+    const shadow = config?.shadow;
+    // Switched off since the job was queued
+    if (!shadow?.enabled) {
+      return { skipped: true, reason: 'Shadow mode is disabled' };
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    // Only what the live triage could see when both were queued
+    const asOf = options.asOf ? new Date(options.asOf) : ticket.createdAt;
+    const snapshot = {
+      ...ticket.toObject(),
+      replies: ticket.replies.filter(reply => reply.timestamp <= asOf)
+    };
+    const agent = this.agentService;
+    // Its own circuit breakers, so shadow failures never open the live ones
+    const llm = new LLMProvider({ routes: shadow.llm, resilienceScope: 'shadow' });
+
+    const ticketText = agent._getTicketText(snapshot, { includeInternal: true });
+
+    const classification = await agent._calibrateClassification(await llm.classify(ticketText));
+    const priority = await llm.predictPriority(ticketText);
+    const articles = await agent.kbSearch.search(
+      agent._getKBSearchQuery(snapshot),
+      classification.predictedCategory,
+      3
+    );
+    const generated = await llm.draft(agent._getTicketText(snapshot), articles);
+    const verified = verifyCitations(generated.draftReply, articles);
+    const draft = {
+      ...generated,
+      draftReply: verified.draftReply,
+      verifiedCitations: verified.citations,
+      danglingCitations: verified.dangling
+    };
+
+    const policy = agent._autoClosePolicy(config, classification.predictedCategory);
+    const threshold = shadow.confidenceThreshold ?? policy.threshold;
+    const score = agent._scoreAutoClose(classification, articles, draft, config.autoCloseWeights);
+    const fallbacks = agent._collectFallbacks({ classify: classification, priority, draft });
+    const forcedHumanReview = fallbacks.some(fallback => fallback.policy === 'fallback_human');
+    const action = !forcedHumanReview && policy.autoCloseEnabled && score.score >= threshold
+      ? 'auto_close'
+      : 'assign_human';
+
+    const suggestion = await ShadowSuggestion.create({
+      ticketId: ticket._id,
+      variant: shadow.variant,
+      traceId,
+      predictedCategory: classification.predictedCategory,
+      predictedPriority: priority.priority,
+      articleIds: articles.map(article => article.id),
+      draftReply: draft.draftReply,
+      citations: draft.verifiedCitations,
+      danglingCitations: draft.danglingCitations,
+      confidence: classification.confidence,
+      rawConfidence: classification.rawConfidence,
+      decision: {
+        action,
+        score: score.score,
+        threshold,
+        autoCloseEnabled: policy.autoCloseEnabled,
+        forcedHumanReview,
+        factors: score.factors
+      },
+      modelInfo: {
+        classify: classification.modelInfo,
+        draft: draft.modelInfo,
+        priority: priority.modelInfo
+      },
+      fallbacks
+    });
+
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId,
+      actor: 'system',
+      action: 'SHADOW_TRIAGED',
+      meta: {
+        variant: shadow.variant,
+        shadowSuggestionId: suggestion._id,
+        action,
+        score: score.score,
+        threshold,
+        predictedCategory: classification.predictedCategory,
+        confidence: classification.confidence
+      }
+    }).save();
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      traceId,
+      message: 'Shadow triage completed',
+      ticketId: ticket._id,
+      variant: shadow.variant,
+      action,
+      score: score.score
+    }));
+
+    return { variant: shadow.variant, shadowSuggestionId: suggestion._id, decision: action };
+  }
+
+  // Per variant: how often it agreed with the live suggestion for the same
+  // ticket (the first one, i.e. the triage of the new ticket), and how both
+  // fared against the humans - the category the agent confirmed or
+  // corrected, the reply the agent sent, and live auto-closes reopened
+  // within REOPEN_WINDOW_DAYS
+  async report({ variant, from, to } = {}) {
+    const filter = {};
+    if (variant) filter.variant = variant;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const shadows = await ShadowSuggestion.find(filter)
+      .select('ticketId variant predictedCategory draftReply decision.action createdAt')
+      .lean();
+    const ticketIds = [...new Set(shadows.map(shadow => String(shadow.ticketId)))];
+
+    const live = new Map();
+    const liveSuggestions = await AgentSuggestion.find({ ticketId: { $in: ticketIds } })
+      .select('ticketId predictedCategory autoClosed finalCategory finalReply draftReply originalDraft createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+    for (const suggestion of liveSuggestions) {
+      if (!live.has(String(suggestion.ticketId))) {
+        live.set(String(suggestion.ticketId), suggestion);
+      }
+    }
+
+    const reopens = await AuditLog.find({
+      ticketId: { $in: ticketIds },
+      action: 'TICKET_REOPENED'
+    })
+      .select('ticketId timestamp')
+      .lean();
+    const reopenedAfter = (suggestion) => reopens.some(reopen =>
+      String(reopen.ticketId) === String(suggestion.ticketId) &&
+      reopen.timestamp >= suggestion.createdAt &&
+      reopen.timestamp.getTime() <= suggestion.createdAt.getTime() + REOPEN_WINDOW_DAYS * DAY_MS);
+
+    const byVariant = new Map();
+    for (const shadow of shadows) {
+      if (!byVariant.has(shadow.variant)) byVariant.set(shadow.variant, []);
+      byVariant.get(shadow.variant).push(shadow);
+    }
+
+    const variants = [...byVariant.entries()].map(([name, runs]) => {
+      const pairs = runs
+        .map(shadow => ({ shadow, live: live.get(String(shadow.ticketId)) }))
+        .filter(pair => pair.live);
+      const reviewed = pairs.filter(pair => pair.live.finalCategory);
+      const answered = pairs.filter(pair => pair.live.finalReply);
+      const liveAutoClosed = pairs.filter(pair => pair.live.autoClosed);
+
+      const decisions = { bothAutoClose: 0, shadowOnly: 0, liveOnly: 0, bothHuman: 0 };
+      for (const { shadow, live: suggestion } of pairs) {
+        const shadowCloses = shadow.decision.action === 'auto_close';
+        if (shadowCloses && suggestion.autoClosed) decisions.bothAutoClose += 1;
+        else if (shadowCloses) decisions.shadowOnly += 1;
+        else if (suggestion.autoClosed) decisions.liveOnly += 1;
+        else decisions.bothHuman += 1;
+      }
+
+      return {
+        variant: name,
+        runs: runs.length,
+        shadowAutoCloseRate: rate(runs.filter(shadow => shadow.decision.action === 'auto_close').length, runs.length),
+        live: {
+          compared: pairs.length,
+          liveAutoCloseRate: rate(liveAutoClosed.length, pairs.length),
+          categoryAgreement: rate(
+            pairs.filter(pair => pair.shadow.predictedCategory === pair.live.predictedCategory).length,
+            pairs.length
+          ),
+          decisionAgreement: rate(decisions.bothAutoClose + decisions.bothHuman, pairs.length),
+          decisions
+        },
+        humans: {
+          reviewed: reviewed.length,
+          categoryAccuracy: {
+            shadow: rate(reviewed.filter(pair => pair.shadow.predictedCategory === pair.live.finalCategory).length, reviewed.length),
+            live: rate(reviewed.filter(pair => pair.live.predictedCategory === pair.live.finalCategory).length, reviewed.length)
+          },
+          answered: answered.length,
+          replySimilarity: {
+            shadow: mean(answered.map(pair => replySimilarity(pair.shadow.draftReply, pair.live.finalReply))),
+            live: mean(answered.map(pair =>
+              replySimilarity(pair.live.originalDraft ?? pair.live.draftReply, pair.live.finalReply)))
+          },
+          // Auto-closes the customer undid; the shadow only gets credit for
+          // tickets the live pipeline actually closed
+          liveAutoClosesReopened: liveAutoClosed.filter(pair => reopenedAfter(pair.live)).length,
+          shadowAutoClosesReopened: liveAutoClosed
+            .filter(pair => pair.shadow.decision.action === 'auto_close' && reopenedAfter(pair.live)).length,
+          // Shadow auto-closes whose category the agent had to correct
+          shadowAutoClosesRecategorized: reviewed.filter(pair =>
+            pair.shadow.decision.action === 'auto_close' &&
+            pair.shadow.predictedCategory !== pair.live.finalCategory).length
+        }
+      };
+    });
+
+    return { from: from || null, to: to || null, variants };
+  }
+}
+
+module.exports = {
+  ShadowService
+};
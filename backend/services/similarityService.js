@@ -0,0 +1,217 @@
+// services/similarityService.js
+// Local ticket similarity (TF-IDF weighted cosine over title + description).
+// No external calls: the IDF is computed over the candidate tickets each
+// time, which stays cheap because candidate sets are capped.
+const { Ticket, Config, AuditLog } = require('../models');
+
+const CANDIDATE_LIMIT = 500;
+const SAME_REQUESTER_THRESHOLD = 0.4;
+const SIMILAR_RESOLVED_THRESHOLD = 0.2;
+const OPEN_STATUSES = ['open', 'triaged', 'waiting_human'];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'have', 'has', 'had', 'was', 'were',
+  'are', 'but', 'not', 'you', 'your', 'our', 'can', 'could', 'would', 'should',
+  'will', 'just', 'from', 'they', 'them', 'been', 'there', 'what', 'when', 'which',
+  'how', 'any', 'all', 'its', 'into', 'out', 'about', 'please', 'thanks', 'thank',
+  'hello', 'help', 'still', 'get', 'got', 'does', 'did', 'why', 'who'
+]);
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+  // Crude plural folding so "refunds" matches "refund"
+  .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+const termFrequencies = (tokens) => {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+};
+
+// Smoothed IDF over a corpus of token lists
+const inverseDocumentFrequencies = (documents) => {
+  const documentFrequency = new Map();
+  for (const tokens of documents) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+  const idf = new Map();
+  for (const [token, count] of documentFrequency) {
+    idf.set(token, Math.log((documents.length + 1) / (count + 1)) + 1);
+  }
+  return idf;
+};
+
+const weightVector = (tokens, idf) => {
+  const vector = new Map();
+  for (const [token, count] of termFrequencies(tokens)) {
+    vector.set(token, (count / tokens.length) * (idf.get(token) || 1));
+  }
+  return vector;
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [token, weight] of a) {
+    normA += weight * weight;
+    if (b.has(token)) dot += weight * b.get(token);
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const ticketText = (ticket) => `${ticket.title} ${ticket.description}`;
+
+// Scores each candidate against the query text; returns candidates sorted by
+// descending score with `score` attached
+const rankBySimilarity = (text, candidates, getText = ticketText) => {
+  const queryTokens = tokenize(text);
+  if (queryTokens.length === 0 || candidates.length === 0) return [];
+
+  const candidateTokens = candidates.map(candidate => tokenize(getText(candidate)));
+  const idf = inverseDocumentFrequencies([queryTokens, ...candidateTokens]);
+  const queryVector = weightVector(queryTokens, idf);
+
+  return candidates
+    .map((candidate, index) => ({
+      candidate,
+      score: candidateTokens[index].length > 0
+        ? cosine(queryVector, weightVector(candidateTokens[index], idf))
+        : 0
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+class SimilarityService {
+  // Open tickets that look like the same issue: near-identical text from
+  // anyone, or moderately similar text from the same requester
+  async findPossibleDuplicates(ticket, limit = 3) {
+    const config = await Config.findOne();
+    const threshold = config?.duplicateThreshold ?? 0.75;
+    const requesterId = String(ticket.createdBy?._id || ticket.createdBy);
+
+    const candidates = await Ticket.find({
+      _id: { $ne: ticket._id },
+      status: { $in: OPEN_STATUSES },
+      mergedInto: null
+    })
+      .select('title description createdBy status')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    return rankBySimilarity(ticketText(ticket), candidates)
+      .map(({ candidate, score }) => ({
+        ticket: candidate._id,
+        title: candidate.title,
+        score: Math.round(score * 1000) / 1000,
+        sameRequester: String(candidate.createdBy) === requesterId
+      }))
+      .filter(match => match.score >= threshold ||
+        (match.sameRequester && match.score >= SAME_REQUESTER_THRESHOLD))
+      .slice(0, limit);
+  }
+
+  // Stores likely duplicates on a newly created ticket and logs
+  // DUPLICATE_SUSPECTED; returns the matches
+  async flagPossibleDuplicates(ticket, traceId) {
+    const matches = await this.findPossibleDuplicates(ticket);
+    if (matches.length === 0) return matches;
+
+    await Ticket.updateOne(
+      { _id: ticket._id },
+      {
+        $set: {
+          possibleDuplicates: matches.map(({ ticket: duplicateId, score, sameRequester }) => ({
+            ticket: duplicateId,
+            score,
+            sameRequester
+          }))
+        }
+      }
+    );
+
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId,
+      actor: 'system',
+      action: 'DUPLICATE_SUSPECTED',
+      meta: {
+        matches: matches.map(({ ticket: duplicateId, score, sameRequester }) => ({
+          ticketId: duplicateId,
+          score,
+          sameRequester
+        }))
+      }
+    }).save();
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'info',
+      traceId,
+      message: 'Possible duplicates flagged',
+      ticketId: ticket._id,
+      matchCount: matches.length,
+      topScore: matches[0].score
+    }));
+
+    return matches;
+  }
+
+  // Resolved tickets similar to this one, with the last public support reply
+  // so agents can reuse past answers
+  async findSimilarResolved(ticket, limit = 3) {
+    const candidates = await Ticket.find({
+      _id: { $ne: ticket._id },
+      status: { $in: ['resolved', 'closed'] },
+      mergedInto: null,
+      'replies.0': { $exists: true }
+    })
+      .select('title description createdBy replies category updatedAt')
+      .populate('replies.author', 'name')
+      .sort({ updatedAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    const results = [];
+    for (const { candidate, score } of rankBySimilarity(ticketText(ticket), candidates)) {
+      if (score < SIMILAR_RESOLVED_THRESHOLD || results.length >= limit) break;
+
+      const requesterId = String(candidate.createdBy);
+      const finalReply = [...candidate.replies].reverse().find(reply =>
+        reply.visibility !== 'internal' &&
+        String(reply.author?._id || reply.author) !== requesterId
+      );
+      if (!finalReply) continue;
+
+      results.push({
+        ticketId: candidate._id,
+        title: candidate.title,
+        category: candidate.category,
+        score: Math.round(score * 1000) / 1000,
+        finalReply: {
+          content: finalReply.content,
+          author: finalReply.author?.name,
+          isAgentGenerated: finalReply.isAgentGenerated,
+          timestamp: finalReply.timestamp
+        }
+      });
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  SimilarityService,
+  tokenize,
+  rankBySimilarity
+};
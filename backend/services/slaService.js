@@ -0,0 +1,348 @@
+// services/slaService.js
+const crypto = require('crypto');
+const { Ticket, Config, User, AuditLog, BusinessCalendar } = require('../models');
+const { addBusinessMs, businessMsBetween } = require('./businessTime');
+const { AssignmentService } = require('./assignmentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['open', 'triaged', 'waiting_human'];
+const CHECK_BATCH_SIZE = 500;
+
+class SlaService {
+  constructor(options = {}) {
+    this.assignmentService = options.assignmentService || new AssignmentService();
+    this.batchSize = options.batchSize || CHECK_BATCH_SIZE;
+  }
+
+  async getConfig() {
+    const config = await Config.findOne();
+    const calendar = config?.businessCalendarId
+      ? await BusinessCalendar.findById(config.businessCalendarId).lean()
+      : null;
+
+    return {
+      slaHours: config?.slaHours || 24,
+      firstResponseHours: config?.firstResponseHours || 4,
+      slaWarningThreshold: config?.slaWarningThreshold ?? 0.8,
+      calendar
+    };
+  }
+
+  // SLA hours are business hours when a calendar is configured
+  computeDueDates(startAt, config) {
+    return {
+      firstResponseDueAt: addBusinessMs(config.calendar, startAt, config.firstResponseHours * HOUR_MS),
+      resolutionDueAt: addBusinessMs(config.calendar, startAt, config.slaHours * HOUR_MS)
+    };
+  }
+
+  // Sets due dates on a new (unsaved) ticket
+  async applyDueDates(ticket, config = null) {
+    const slaConfig = config || await this.getConfig();
+    const dueDates = this.computeDueDates(ticket.createdAt || new Date(), slaConfig);
+    ticket.sla.firstResponseDueAt = dueDates.firstResponseDueAt;
+    ticket.sla.resolutionDueAt = dueDates.resolutionDueAt;
+    return ticket;
+  }
+
+  // Fraction of the SLA window used so far (>= 1 means the deadline passed),
+  // counting only business time
+  elapsedFraction(startAt, dueAt, now, calendar = null) {
+    if (now >= new Date(dueAt)) return 1;
+    const total = businessMsBetween(calendar, startAt, dueAt);
+    if (total <= 0) return 1;
+    return businessMsBetween(calendar, startAt, now) / total;
+  }
+
+  // Targets still running for a ticket, with their deadlines
+  pendingTargets(ticket) {
+    const targets = [];
+    if (!ticket.sla.firstRespondedAt && ticket.sla.firstResponseDueAt) {
+      targets.push({ name: 'first_response', dueAt: ticket.sla.firstResponseDueAt });
+    }
+    if (!ticket.sla.resolvedAt && ticket.sla.resolutionDueAt) {
+      targets.push({ name: 'resolution', dueAt: ticket.sla.resolutionDueAt });
+    }
+    return targets;
+  }
+
+  // Active tickets the scheduler still has something to do for: a target
+  // that is neither met nor already breached, or an at-risk flag that may
+  // need clearing. Breached tickets drop out so they never crowd out the rest.
+  _checkFilter() {
+    return {
+      status: { $in: ACTIVE_STATUSES },
+      'sla.resolutionDueAt': { $exists: true },
+      $or: [
+        {
+          'sla.firstRespondedAt': null,
+          'sla.firstResponseDueAt': { $ne: null },
+          'sla.breaches': { $ne: 'first_response' }
+        },
+        { 'sla.resolvedAt': null, 'sla.breaches': { $ne: 'resolution' } },
+        { 'sla.status': 'at_risk' }
+      ]
+    };
+  }
+
+  // One scheduler pass: backfill missing due dates, then flag at-risk and
+  // breached tickets. Flags are set with conditional updates so several
+  // processes can run the scheduler without double-reporting. Tickets are
+  // read in _id-ordered batches until every match has been checked.
+  async runCheck(now = new Date()) {
+    const traceId = crypto.randomUUID();
+    const config = await this.getConfig();
+    const summary = { checked: 0, warned: 0, breached: 0 };
+
+    await this._backfillDueDates(config, traceId);
+
+    let lastId = null;
+    for (;;) {
+      const filter = this._checkFilter();
+      if (lastId) filter._id = { $gt: lastId };
+      const tickets = await Ticket.find(filter)
+        .sort({ _id: 1 })
+        .limit(this.batchSize);
+      if (tickets.length === 0) break;
+      lastId = tickets[tickets.length - 1]._id;
+
+      for (const ticket of tickets) {
+        await this._checkTicket(ticket, now, config, traceId, summary);
+      }
+    }
+
+    if (summary.warned || summary.breached) {
+      console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        traceId,
+        message: 'SLA check completed',
+        ...summary
+      }));
+    }
+
+    return summary;
+  }
+
+  // Due dates for active tickets that have none yet (created while the SLA
+  // config or calendar was broken), in the same _id-ordered batches
+  async _backfillDueDates(config, traceId) {
+    let lastId = null;
+    for (;;) {
+      const filter = {
+        status: { $in: ACTIVE_STATUSES },
+        'sla.resolutionDueAt': { $exists: false }
+      };
+      if (lastId) filter._id = { $gt: lastId };
+      const tickets = await Ticket.find(filter)
+        .sort({ _id: 1 })
+        .limit(this.batchSize);
+      if (tickets.length === 0) break;
+      lastId = tickets[tickets.length - 1]._id;
+
+      for (const ticket of tickets) {
+        try {
+          await this.applyDueDates(ticket, config);
+        } catch (error) {
+          // The calendar cannot place the deadlines; the rest of the pass
+          // still runs and the ticket is retried next time
+          console.error(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: 'error',
+            traceId,
+            message: 'SLA due dates could not be computed',
+            ticketId: ticket._id,
+            error: error.message
+          }));
+          continue;
+        }
+        await ticket.save();
+      }
+    }
+  }
+
+  // Warn about or breach each pending target of one ticket
+  async _checkTicket(ticket, now, config, traceId, summary) {
+    summary.checked++;
+    let atRisk = false;
+    let escalated = false;
+
+    for (const target of this.pendingTargets(ticket)) {
+      const fraction = this.elapsedFraction(ticket.createdAt, target.dueAt, now, config.calendar);
+
+      if (fraction >= 1) {
+        if (await this._flagBreach(ticket, target, now, traceId, !escalated)) {
+          summary.breached++;
+          escalated = true;
+        }
+      } else if (fraction >= config.slaWarningThreshold) {
+        atRisk = true;
+        if (await this._flagWarning(ticket, target, fraction, traceId)) {
+          summary.warned++;
+        }
+      }
+    }
+
+    // Clear stale at-risk flags once the risky target has been met
+    if (!atRisk) {
+      await Ticket.updateOne(
+        { _id: ticket._id, 'sla.status': 'at_risk' },
+        { $set: { 'sla.status': 'on_track' } }
+      );
+    }
+  }
+
+  async _flagWarning(ticket, target, fraction, traceId) {
+    const result = await Ticket.updateOne(
+      {
+        _id: ticket._id,
+        'sla.warnings': { $ne: target.name },
+        'sla.breaches': { $ne: target.name }
+      },
+      {
+        $addToSet: { 'sla.warnings': target.name },
+        $set: { 'sla.status': 'at_risk' }
+      }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId,
+      actor: 'system',
+      action: 'SLA_WARNING',
+      meta: {
+        target: target.name,
+        dueAt: target.dueAt,
+        elapsedPercent: Math.round(fraction * 100),
+        assigneeId: ticket.assignee
+      }
+    }).save();
+
+    return true;
+  }
+
+  async _flagBreach(ticket, target, now, traceId, escalate = true) {
+    const result = await Ticket.updateOne(
+      { _id: ticket._id, 'sla.breaches': { $ne: target.name } },
+      {
+        $addToSet: { 'sla.breaches': target.name },
+        $set: { 'sla.status': 'breached', 'sla.breachedAt': now }
+      }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    const escalation = escalate
+      ? await this._escalate(ticket._id, now)
+      : { escalation: 'already_escalated' };
+
+    await new AuditLog({
+      ticketId: ticket._id,
+      traceId,
+      actor: 'system',
+      action: 'SLA_BREACHED',
+      meta: {
+        target: target.name,
+        dueAt: target.dueAt,
+        overdueMinutes: Math.round((now - new Date(target.dueAt)) / 60000),
+        ...escalation
+      }
+    }).save();
+
+    console.log(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: 'warn',
+      traceId,
+      message: 'SLA breached',
+      ticketId: ticket._id,
+      target: target.name,
+      escalation: escalation.escalation
+    }));
+
+    return true;
+  }
+
+  // Hand a breached ticket to a different agent, or to an admin when no
+  // other agent is available
+  async _escalate(ticketId, now) {
+    const ticket = await Ticket.findById(ticketId);
+    const previousAssigneeId = ticket.assignee;
+
+    const assignment = await this.assignmentService.selectAgent(ticket, {
+      exclude: [previousAssigneeId]
+    });
+    let target = assignment.agent;
+    let escalation = 'reassigned';
+
+    if (!target) {
+      target = await User.findOne({ role: 'admin' });
+      escalation = 'escalated_to_admin';
+    }
+
+    if (!target) {
+      return { escalation: 'none', previousAssigneeId };
+    }
+
+    ticket.assignee = target._id;
+    ticket.sla.escalatedAt = now;
+    ticket.sla.escalationLevel = (ticket.sla.escalationLevel || 0) + 1;
+    if (ticket.status !== 'waiting_human') {
+      ticket.status = 'waiting_human';
+    }
+    await ticket.save();
+
+    return {
+      escalation,
+      strategy: escalation === 'reassigned' ? assignment.strategy : undefined,
+      previousAssigneeId,
+      newAssigneeId: target._id,
+      escalationLevel: ticket.sla.escalationLevel
+    };
+  }
+}
+
+// Runs SlaService.runCheck on an interval alongside the job worker
+class SlaScheduler {
+  constructor(options = {}) {
+    this.slaService = options.slaService || new SlaService();
+    this.intervalMs = options.intervalMs ||
+      parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  async tick() {
+    if (this.running) return this.running;
+
+    this.running = this.slaService.runCheck()
+      .catch((error) => {
+        console.error(JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          message: 'SLA check failed',
+          error: error.message
+        }));
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) await this.running;
+  }
+}
+
+module.exports = {
+  SlaService,
+  SlaScheduler
+};
@@ -0,0 +1,124 @@
+const { User, Ticket, Config, AuditLog } = require('../models');
+const { AssignmentService } = require('../services/assignmentService');
+
+describe('Assignment Service', () => {
+  let assignmentService, customer, billingAgent, techAgent;
+
+  beforeEach(async () => {
+    assignmentService = new AssignmentService();
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    billingAgent = await User.create({
+      name: 'Billing Agent',
+      email: 'billing@example.com',
+      passwordHash: 'password123',
+      role: 'agent',
+      skills: ['billing']
+    });
+    techAgent = await User.create({
+      name: 'Tech Agent',
+      email: 'tech@example.com',
+      passwordHash: 'password123',
+      role: 'agent',
+      skills: ['tech']
+    });
+    await User.create({
+      name: 'AI Assistant',
+      email: 'system@helpdesk.local',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+  });
+
+  const createTicket = (fields = {}) => Ticket.create({
+    title: 'Help',
+    description: 'Something is wrong',
+    createdBy: customer._id,
+    ...fields
+  });
+
+  test('should pick the agent with the fewest open tickets', async () => {
+    await createTicket({ assignee: billingAgent._id, status: 'waiting_human' });
+
+    const result = await assignmentService.selectAgent(await createTicket(), { strategy: 'least_open' });
+
+    expect(result.strategy).toBe('least_open');
+    expect(result.agent._id.toString()).toBe(techAgent._id.toString());
+  });
+
+  test('should rotate agents round robin', async () => {
+    const ticket = await createTicket();
+
+    const first = await assignmentService.selectAgent(ticket, { strategy: 'round_robin' });
+    const second = await assignmentService.selectAgent(ticket, { strategy: 'round_robin' });
+
+    expect(first.agent._id.toString()).not.toBe(second.agent._id.toString());
+  });
+
+  test('should match category skills and use the configured strategy', async () => {
+    await Config.create({ assignmentStrategy: 'skills' });
+    await createTicket({ assignee: billingAgent._id, status: 'waiting_human' });
+
+    const result = await assignmentService.selectAgent(await createTicket({ category: 'billing' }));
+
+    expect(result.strategy).toBe('skills');
+    expect(result.reason).toBe('skill_match');
+    expect(result.agent._id.toString()).toBe(billingAgent._id.toString());
+  });
+
+  test('should skip unavailable agents and the system user', async () => {
+    await User.updateOne({ _id: techAgent._id }, { 'availability.status': 'offline' });
+    await User.updateOne({ _id: billingAgent._id }, { 'availability.status': 'away' });
+
+    const result = await assignmentService.selectAgent(await createTicket());
+
+    expect(result.agent).toBeNull();
+    expect(result.reason).toBe('no_available_agents');
+  });
+
+  test('should skip agents at their open ticket limit', async () => {
+    await User.updateOne({ _id: techAgent._id }, { maxOpenTickets: 1 });
+    await createTicket({ assignee: techAgent._id, status: 'waiting_human' });
+    await createTicket({ assignee: billingAgent._id, status: 'waiting_human' });
+    await createTicket({ assignee: billingAgent._id, status: 'waiting_human' });
+
+    const result = await assignmentService.selectAgent(await createTicket(), { strategy: 'least_open' });
+
+    expect(result.agent._id.toString()).toBe(billingAgent._id.toString());
+  });
+
+  test('should treat an expired out-of-office period as available', async () => {
+    await User.updateOne({ _id: billingAgent._id }, { 'availability.status': 'offline' });
+    await User.updateOne({ _id: techAgent._id }, {
+      availability: { status: 'out_of_office', outOfOfficeUntil: new Date(Date.now() - 1000) }
+    });
+
+    const result = await assignmentService.selectAgent(await createTicket());
+
+    expect(result.agent._id.toString()).toBe(techAgent._id.toString());
+  });
+
+  test('should redistribute waiting tickets with an audit entry per move', async () => {
+    const tickets = await Promise.all([
+      createTicket({ assignee: billingAgent._id, status: 'waiting_human' }),
+      createTicket({ assignee: billingAgent._id, status: 'waiting_human' }),
+      createTicket({ assignee: billingAgent._id, status: 'resolved' })
+    ]);
+
+    const summary = await assignmentService.redistributeTickets(billingAgent._id, 'trace-ooo', 'out_of_office');
+
+    expect(summary.moved).toBe(2);
+    const moved = await Ticket.find({ assignee: techAgent._id });
+    expect(moved).toHaveLength(2);
+    expect((await Ticket.findById(tickets[2]._id)).assignee.toString()).toBe(billingAgent._id.toString());
+
+    const logs = await AuditLog.find({ traceId: 'trace-ooo', action: 'TICKET_ASSIGNED' });
+    expect(logs).toHaveLength(2);
+    expect(logs[0].meta.reason).toBe('out_of_office');
+  });
+});
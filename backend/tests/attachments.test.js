@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ATTACHMENT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'helpdesk-attachments-'));
+
+const request = require('supertest');
+const app = require('../server');
+const { User, Ticket, Config } = require('../models');
+const jwt = require('jsonwebtoken');
+
+describe('Attachments', () => {
+  let owner, ownerToken, otherToken;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Owner',
+      email: 'owner@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    ownerToken = jwt.sign({ userId: owner._id }, process.env.JWT_SECRET || 'change-me');
+
+    const other = await User.create({
+      name: 'Other',
+      email: 'other@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    otherToken = jwt.sign({ userId: other._id }, process.env.JWT_SECRET || 'change-me');
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.ATTACHMENT_DIR, { recursive: true, force: true });
+  });
+
+  const createWithAttachment = (token, content, options) => request(app)
+    .post('/api/tickets')
+    .set('Authorization', `Bearer ${token}`)
+    .field('title', 'Invoice is wrong')
+    .field('description', 'See the attached invoice')
+    .attach('attachments', Buffer.from(content), options);
+
+  test('should store attachments and let the owner download them', async () => {
+    const response = await createWithAttachment(ownerToken, 'invoice text', {
+      filename: 'invoice.txt',
+      contentType: 'text/plain'
+    }).expect(201);
+
+    const [attachment] = response.body.ticket.attachments;
+    expect(attachment.filename).toBe('invoice.txt');
+    expect(attachment.size).toBe(12);
+
+    const download = await request(app)
+      .get(`/api/tickets/${response.body.ticket._id}/attachments/${attachment._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect(download.text).toBe('invoice text');
+    expect(download.headers['content-disposition']).toContain('invoice.txt');
+
+    await request(app)
+      .get(`/api/tickets/${response.body.ticket._id}/attachments/${attachment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+  });
+
+  test('should reject disallowed types and oversized files', async () => {
+    await createWithAttachment(ownerToken, 'MZ', {
+      filename: 'setup.exe',
+      contentType: 'application/x-msdownload'
+    }).expect(415);
+
+    await Config.create({ attachmentMaxBytes: 4 });
+    await createWithAttachment(ownerToken, 'too large', {
+      filename: 'notes.txt',
+      contentType: 'text/plain'
+    }).expect(413);
+
+    expect(await Ticket.countDocuments()).toBe(0);
+  });
+
+  test('should reject files whose content does not match the declared type', async () => {
+    await createWithAttachment(ownerToken, 'MZ\x90\x00', {
+      filename: 'photo.png',
+      contentType: 'image/png'
+    }).expect(415);
+
+    await createWithAttachment(ownerToken, 'invoice text', {
+      filename: 'invoice.exe',
+      contentType: 'text/plain'
+    }).expect(415);
+
+    expect(await Ticket.countDocuments()).toBe(0);
+  });
+
+  test('should accept attachments on replies', async () => {
+    const ticket = await Ticket.create({
+      title: 'Broken screen',
+      description: 'The screen flickers',
+      createdBy: owner._id,
+      status: 'waiting_human'
+    });
+
+    const response = await request(app)
+      .post(`/api/tickets/${ticket._id}/reply`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .field('content', 'Here is a photo')
+      .attach('attachments', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), {
+        filename: 'photo.png',
+        contentType: 'image/png'
+      })
+      .expect(200);
+
+    expect(response.body.replies[0].attachments).toHaveLength(1);
+    expect(response.body.replies[0].attachments[0].mimeType).toBe('image/png');
+  });
+
+  test('should refuse uploads to other users\' tickets before storing them', async () => {
+    const ticket = await Ticket.create({
+      title: 'Broken screen',
+      description: 'The screen flickers',
+      createdBy: owner._id,
+      status: 'waiting_human'
+    });
+
+    await request(app)
+      .post(`/api/tickets/${ticket._id}/reply`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .field('content', 'Mine too')
+      .attach('attachments', Buffer.from('notes'), {
+        filename: 'notes.txt',
+        contentType: 'text/plain'
+      })
+      .expect(403);
+
+    expect(fs.existsSync(path.join(process.env.ATTACHMENT_DIR, String(ticket._id)))).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  addBusinessMs,
+  businessMsBetween,
+  hasOpenHours,
+  isOpen,
+  parseICalHolidays
+} = require('../services/businessTime');
+
+const HOUR_MS = 60 * 60 * 1000;
+const weekdays = [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '18:00' }));
+
+const newYork = {
+  schedules: [{ timezone: 'America/New_York', weeklyHours: weekdays }],
+  holidays: []
+};
+
+const twoTeams = {
+  schedules: [
+    { timezone: 'America/New_York', weeklyHours: weekdays },
+    { timezone: 'Asia/Kolkata', weeklyHours: weekdays }
+  ],
+  holidays: []
+};
+
+describe('Business Time', () => {
+  test('should fall back to wall-clock time without a calendar', () => {
+    const start = new Date('2026-10-16T20:00:00Z');
+    expect(addBusinessMs(null, start, 4 * HOUR_MS).toISOString()).toBe('2026-10-17T00:00:00.000Z');
+  });
+
+  test('should skip nights and weekends', () => {
+    // Friday 4pm in New York; two hours left that day, the rest on Monday
+    const start = new Date('2026-10-16T20:00:00Z');
+    expect(addBusinessMs(newYork, start, 4 * HOUR_MS).toISOString()).toBe('2026-10-19T15:00:00.000Z');
+  });
+
+  test('should combine schedules from several time zones', () => {
+    // The Kolkata team opens Monday 09:00 IST (03:30 UTC), before New York
+    const start = new Date('2026-10-16T20:00:00Z');
+    expect(addBusinessMs(twoTeams, start, 4 * HOUR_MS).toISOString()).toBe('2026-10-19T05:30:00.000Z');
+    expect(businessMsBetween(twoTeams, start, new Date('2026-10-19T20:00:00Z'))).toBe(18 * HOUR_MS);
+  });
+
+  test('should follow daylight saving changes', () => {
+    // Monday after DST ends: 9am EST is 14:00 UTC
+    const start = new Date('2026-11-02T13:00:00Z');
+    expect(addBusinessMs(newYork, start, HOUR_MS).toISOString()).toBe('2026-11-02T15:00:00.000Z');
+  });
+
+  test('should close on holidays', () => {
+    const calendar = { ...newYork, holidays: [{ date: '2026-10-19', name: 'Team day' }] };
+    expect(isOpen(newYork, new Date('2026-10-19T15:00:00Z'))).toBe(true);
+    expect(isOpen(calendar, new Date('2026-10-19T15:00:00Z'))).toBe(false);
+  });
+
+  test('should parse all-day holidays from iCalendar files', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20261224',
+      'DTEND;VALUE=DATE:20261226',
+      'SUMMARY:Christmas',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20270101',
+      'SUMMARY:New Year',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    expect(parseICalHolidays(ics)).toEqual([
+      { date: '2026-12-24', name: 'Christmas' },
+      { date: '2026-12-25', name: 'Christmas' },
+      { date: '2027-01-01', name: 'New Year' }
+    ]);
+  });
+
+  test('should tell calendars that can never be open apart', () => {
+    expect(hasOpenHours(twoTeams)).toBe(true);
+    expect(hasOpenHours({ schedules: [{ timezone: 'UTC', weeklyHours: [] }] })).toBe(false);
+    expect(hasOpenHours({ schedules: [{ timezone: 'UTC', weeklyHours: [{ day: 1, start: '18:00', end: '09:00' }] }] }))
+      .toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const app = require('../server');
+const {
+  User,
+  Ticket,
+  AgentSuggestion,
+  AuditLog,
+  Config,
+  ConfidenceCalibration,
+  Job
+} = require('../models');
+const AgentService = require('../services/agentService');
+const { createDefaultHandlers } = require('../services/jobWorker');
+const {
+  CalibrationService,
+  fitCalibration,
+  applyCalibration,
+  resetCalibrationCache
+} = require('../services/calibrationService');
+const jwt = require('jsonwebtoken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overconfident provider: right (raw - 0.25) of the time
+const overconfidentSamples = (count) => {
+  let seed = 3;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  return Array.from({ length: count }, () => {
+    const raw = 0.6 + 0.39 * random();
+    return { raw, label: random() < raw - 0.25 ? 1 : 0 };
+  });
+};
+
+describe('Confidence Calibration', () => {
+  let originalEnv, customer;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'true';
+    resetCalibrationCache();
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const createTicket = (title, description = 'Please help') =>
+    Ticket.create({ title, description, category: 'other', status: 'open', createdBy: customer._id });
+
+  test.each(['isotonic', 'platt'])('should fit a %s mapping that lowers calibration error', (method) => {
+    const samples = overconfidentSamples(300);
+
+    const calibration = fitCalibration(samples, method);
+
+    expect(calibration.samples).toBe(300);
+    expect(calibration.metrics.calibrated.ece).toBeLessThan(calibration.metrics.raw.ece);
+    expect(calibration.metrics.calibrated.brier).toBeLessThan(calibration.metrics.raw.brier);
+    // Monotone, and pulled down from the overconfident raw scores
+    expect(applyCalibration(calibration, 0.7)).toBeLessThanOrEqual(applyCalibration(calibration, 0.9));
+    expect(applyCalibration(calibration, 0.9)).toBeLessThan(0.9);
+  });
+
+  test('should label outcomes from corrections and reopens after auto-close', async () => {
+    const suggest = async (title, fields) => {
+      const ticket = await createTicket(title);
+      await AgentSuggestion.create({
+        ticketId: ticket._id,
+        predictedCategory: 'billing',
+        draftReply: 'Draft',
+        confidence: 0.8,
+        modelInfo: { provider: 'deepseek', model: 'deepseek-chat' },
+        ...fields
+      });
+      return ticket;
+    };
+
+    await suggest('Confirmed', { finalCategory: 'billing', rawConfidence: 0.95 });
+    await suggest('Corrected', { finalCategory: 'tech', rawConfidence: 0.9 });
+    await suggest('Auto-closed and kept', { autoClosed: true, rawConfidence: 0.85 });
+    const reopened = await suggest('Auto-closed and reopened', { autoClosed: true, rawConfidence: 0.97 });
+    await AuditLog.create({ ticketId: reopened._id, traceId: 'reopen', actor: 'user', action: 'TICKET_REOPENED' });
+    await suggest('Pending review', { rawConfidence: 0.5 });
+
+    const service = new CalibrationService();
+
+    // Inside the reopen window an unreopened auto-close has no outcome yet
+    const [early] = await service.collectOutcomes();
+    expect(early).toMatchObject({ provider: 'deepseek', model: 'deepseek-chat', promptVersion: null });
+    expect(early.samples.map(outcome => [outcome.raw, outcome.label])).toEqual(expect.arrayContaining([
+      [0.95, 1], [0.9, 0], [0.97, 0]
+    ]));
+    expect(early.samples).toHaveLength(3);
+
+    const [later] = await service.collectOutcomes({ now: new Date(Date.now() + 8 * DAY_MS) });
+    expect(later.samples).toHaveLength(4);
+    expect(later.samples).toContainEqual({ raw: 0.85, label: 1 });
+  });
+
+  test('should store raw and calibrated confidence on the suggestion', async () => {
+    await Config.create({ autoCloseEnabled: true, confidenceThreshold: 0.7 });
+    await ConfidenceCalibration.create({
+      provider: 'stub',
+      model: 'rule-based',
+      method: 'isotonic',
+      points: [{ raw: 0.5, calibrated: 0.2 }, { raw: 0.9, calibrated: 0.6 }],
+      samples: 50
+    });
+    const ticket = await createTicket('Refund for a double charge');
+
+    const result = await new AgentService().triageTicket(ticket._id);
+
+    const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+    expect(suggestion.rawConfidence).toBe(0.8);
+    expect(suggestion.confidence).toBe(0.5);
+    expect(suggestion.calibration.method).toBe('isotonic');
+    // 0.8 raw would have cleared the threshold; 0.5 calibrated does not
+    expect(result.decision).toBe('assign_human');
+  });
+
+  test('should only apply a calibration fitted for the model that answered', async () => {
+    await ConfidenceCalibration.create({
+      provider: 'stub',
+      model: 'an-older-model',
+      method: 'isotonic',
+      points: [{ raw: 0.5, calibrated: 0.2 }, { raw: 0.9, calibrated: 0.6 }],
+      samples: 50
+    });
+    const ticket = await createTicket('Refund for a double charge');
+
+    await new AgentService().triageTicket(ticket._id);
+
+    const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+    expect(suggestion.confidence).toBe(0.8);
+    expect(suggestion.calibration?.method).toBeUndefined();
+  });
+
+  test('should apply per-category auto-close settings', async () => {
+    await Config.create({
+      autoCloseEnabled: true,
+      confidenceThreshold: 0.7,
+      autoCloseWeights: { confidence: 1, retrieval: 0, citations: 0, draftLength: 0 },
+      autoCloseByCategory: {
+        billing: { enabled: false },
+        tech: { confidenceThreshold: 0.65 }
+      }
+    });
+    const billing = await createTicket('Refund for a double charge');
+    const tech = await createTicket('Login error');
+    const agentService = new AgentService();
+
+    expect((await agentService.triageTicket(billing._id)).decision).toBe('assign_human');
+    expect((await agentService.triageTicket(tech._id)).decision).toBe('auto_close');
+
+    const decision = await AuditLog.findOne({
+      ticketId: tech._id,
+      action: 'AGENT_CLASSIFIED',
+      'meta.action': 'auto_close'
+    });
+    expect(decision.meta).toMatchObject({
+      category: 'tech',
+      threshold: 0.65,
+      policySource: 'category',
+      rawConfidence: 0.8
+    });
+  });
+
+  test('should queue calibration jobs and run them through the worker handler', async () => {
+    const admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    const adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+
+    await request(app)
+      .post('/api/config/calibration')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ method: 'sigmoid' })
+      .expect(400);
+
+    const queued = await request(app)
+      .post('/api/config/calibration')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ method: 'platt', minSamples: 10 })
+      .expect(202);
+
+    const ticket = await createTicket('Refund');
+    await AgentSuggestion.insertMany(overconfidentSamples(40).map(sample => ({
+      ticketId: ticket._id,
+      predictedCategory: 'billing',
+      draftReply: 'Draft',
+      confidence: sample.raw,
+      finalCategory: sample.label === 1 ? 'billing' : 'tech',
+      modelInfo: { provider: 'deepseek' }
+    })));
+
+    const job = await Job.findById(queued.body.jobId);
+    const result = await createDefaultHandlers(new AgentService()).calibrate(job.payload, job);
+
+    expect(result.fitted).toEqual([expect.objectContaining({ provider: 'deepseek', method: 'platt', samples: 40 })]);
+    expect(await AuditLog.exists({ action: 'CONFIDENCE_CALIBRATED' })).toBeTruthy();
+
+    const status = await request(app)
+      .get('/api/config/calibration')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(status.body.calibrations).toEqual([expect.objectContaining({ provider: 'deepseek', method: 'platt' })]);
+    expect(status.body.jobs).toHaveLength(1);
+  });
+});
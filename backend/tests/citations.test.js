@@ -0,0 +1,132 @@
+const http = require('http');
+const { Config, User, Ticket, Article, AgentSuggestion, AuditLog } = require('../models');
+const { verifyCitations, citationErrors } = require('../services/citations');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+const AgentService = require('../services/agentService');
+
+describe('Citation Verification', () => {
+  const articles = [
+    { id: 'refund-article', title: 'Refund Policy' },
+    { id: 'billing-article', title: 'Billing FAQ' }
+  ];
+
+  test('should resolve markers to retrieved articles and drop dangling ones', () => {
+    const verified = verifyCitations('See our policy [1] and [3]. Details in [2], again [1].', articles);
+
+    expect(verified.citations).toEqual([
+      { marker: 1, articleId: 'refund-article', title: 'Refund Policy' },
+      { marker: 2, articleId: 'billing-article', title: 'Billing FAQ' }
+    ]);
+    expect(verified.dangling).toEqual([3]);
+    expect(verified.draftReply).toBe('See our policy [1] and. Details in [2], again [1].');
+  });
+
+  test('should flag cited titles outside the retrieved set', () => {
+    expect(citationErrors({ citations: ['refund policy [1]', 'Billing FAQ'] }, articles)).toEqual([]);
+    expect(citationErrors({ citations: ['Shipping Guide'] }, articles)).toEqual([
+      expect.stringMatching(/"Shipping Guide", which is not one of the provided articles/)
+    ]);
+  });
+
+  describe('during triage', () => {
+    let server, answers, requests, originalEnv, ticket;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          requests.push(JSON.parse(raw));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            model: 'fake-model',
+            choices: [{ message: { content: answers.shift() || 'no answer' } }]
+          }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      answers = [];
+      requests = [];
+      originalEnv = { ...process.env };
+      process.env.STUB_MODE = 'false';
+      process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+      resetResiliencePolicies();
+      await Config.create({
+        llmFailurePolicy: 'fallback',
+        llm: {
+          classify: { provider: 'stub' },
+          draft: { provider: 'openai_compatible' },
+          priority: { provider: 'stub' }
+        }
+      });
+
+      await Article.create({
+        title: 'Refund Policy',
+        body: 'Refunds for a double charge are issued within 5 business days.',
+        tags: ['billing', 'refund'],
+        status: 'published'
+      });
+      const customer = await User.create({
+        name: 'Customer',
+        email: 'customer@example.com',
+        passwordHash: 'password123',
+        role: 'user'
+      });
+      ticket = await Ticket.create({
+        title: 'Refund for a double charge',
+        description: 'I was charged twice for my order',
+        createdBy: customer._id
+      });
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('should reject drafts citing unseen articles and store the verified mapping', async () => {
+      answers = [
+        '{"draftReply": "We will refund you [1]. See also [2].", "citations": ["Refund Policy", "Shipping Guide"]}',
+        '{"draftReply": "We will refund you [1]. See also [2].", "citations": ["Refund Policy"]}'
+      ];
+
+      await new AgentService().triageTicket(ticket._id);
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].messages[3].content).toMatch(/"Shipping Guide", which is not one of the provided articles/);
+      const invalid = await AuditLog.findOne({ ticketId: ticket._id, action: 'LLM_OUTPUT_INVALID' });
+      expect(invalid.meta).toMatchObject({ task: 'draft', outcome: 'repaired' });
+
+      const article = await Article.findOne({ title: 'Refund Policy' });
+      const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+      expect(suggestion.modelInfo.fallbacks).toEqual([]);
+      expect(suggestion.draftReply).toBe('We will refund you [1]. See also.');
+      expect(suggestion.citations.map(citation => [citation.marker, String(citation.articleId), citation.title]))
+        .toEqual([[1, String(article._id), 'Refund Policy']]);
+      expect(suggestion.danglingCitations).toEqual([2]);
+
+      const decision = await AuditLog.findOne({ ticketId: ticket._id, action: 'AGENT_CLASSIFIED', 'meta.factors': { $exists: true } });
+      expect(decision.meta.factors.citations).toMatchObject({ value: 0.5, markers: 2, valid: 1 });
+    });
+
+    test('should fall back to the stub when the model keeps citing unseen articles', async () => {
+      const unseen = '{"draftReply": "Please read [1].", "citations": ["Shipping Guide"]}';
+      answers = [unseen, unseen];
+
+      await new AgentService().triageTicket(ticket._id);
+
+      const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+      expect(suggestion.modelInfo.fallbacks).toEqual([
+        expect.objectContaining({ task: 'draft', provider: 'openai_compatible' })
+      ]);
+      expect(suggestion.draftReply).toContain('Refund Policy [1]');
+      expect(suggestion.citations.map(citation => citation.title)).toEqual(['Refund Policy']);
+    });
+  });
+});
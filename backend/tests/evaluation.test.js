@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Config, Ticket, AgentSuggestion, Article, User } = require('../models');
+const { EvaluationService, computeMetrics, validateDataset } = require('../services/evaluationService');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+const fullDataset = require('../eval/dataset.json');
+
+describe('Offline Evaluation', () => {
+  let originalEnv;
+
+  const dataset = {
+    articles: fullDataset.articles,
+    tickets: fullDataset.tickets.filter(ticket =>
+      ['billing-double-charge', 'tech-500-login', 'shipping-where-package', 'other-feature-request'].includes(ticket.id))
+  };
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    resetResiliencePolicies();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const result = (expectedCategory, predictedCategory, extra = {}) => ({
+    expectedCategory,
+    predictedCategory,
+    autoClosed: false,
+    idealArticles: [],
+    retrievedArticles: [],
+    fallbacks: [],
+    latencyMs: 100,
+    taskLatencyMs: {},
+    ...extra
+  });
+
+  test('should compute accuracy, confusion matrix, recall and auto-close precision', () => {
+    const metrics = computeMetrics([
+      result('billing', 'billing', { autoClosed: true, idealArticles: ['Refunds'], retrievedArticles: ['Payments', 'Refunds'] }),
+      result('tech', 'billing', { autoClosed: true }),
+      result('shipping', 'shipping', { idealArticles: ['Tracking'], retrievedArticles: ['Tracking'] }),
+      { expectedCategory: 'other', error: 'Ticket not found', latencyMs: 5 }
+    ], { threshold: 0.78 });
+
+    expect(metrics.errors).toBe(1);
+    expect(metrics.category.accuracy).toBe(0.667);
+    expect(metrics.category.confusionMatrix.tech.billing).toBe(1);
+    expect(metrics.retrieval.recall).toEqual({ '@1': 0.5, '@3': 1 });
+    expect(metrics.autoClose).toMatchObject({ threshold: 0.78, autoClosed: 2, precision: 0.5 });
+    expect(metrics.latency.triage.p50Ms).toBe(100);
+  });
+
+  test('should reject datasets with unknown labels or articles', () => {
+    expect(() => validateDataset({
+      articles: [],
+      tickets: [{ id: 'a', title: 'x', description: 'y', expectedCategory: 'hardware', idealArticles: ['Missing'] }]
+    })).toThrow(/expectedCategory must be one of[\s\S]*unknown ideal article "Missing"/);
+  });
+
+  test('should replay the dataset through triage with the stub provider', async () => {
+    process.env.STUB_MODE = 'true';
+    await Config.create({ autoCloseEnabled: true, confidenceThreshold: 0.7 });
+
+    const { results, metrics } = await new EvaluationService().run(dataset, { threshold: 0.7 });
+
+    expect(results).toHaveLength(4);
+    expect(metrics.errors).toBe(0);
+    expect(metrics.category.accuracy).toBeGreaterThanOrEqual(0.75);
+    expect(results.find(item => item.id === 'tech-500-login').retrievedArticles)
+      .toContain('Troubleshooting 500 errors');
+    expect(metrics.retrieval.ticketsWithIdealArticles).toBe(3);
+    expect(metrics.latency.tasks.classify.meanMs).not.toBeNull();
+    expect(await AgentSuggestion.countDocuments()).toBe(4);
+    expect(await Ticket.countDocuments()).toBe(4);
+  });
+
+  test('should replay recorded LLM responses without a provider', async () => {
+    const recordings = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'eval-')), 'recordings.json');
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          model: 'fake-model',
+          choices: [{
+            message: {
+              content: JSON.stringify({
+                predictedCategory: 'billing',
+                priority: 'normal',
+                confidence: 0.95,
+                draftReply: 'We have refunded the duplicate charge [1].'
+              })
+            }
+          }]
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.STUB_MODE = 'false';
+    process.env.LLM_PROVIDER = 'recorded';
+    process.env.LLM_RECORDINGS_FILE = recordings;
+    process.env.LLM_RECORD_UPSTREAM = 'openai_compatible';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    await Config.create({
+      autoCloseEnabled: true,
+      confidenceThreshold: 0.9,
+      autoCloseWeights: { confidence: 1, retrieval: 0, citations: 0, draftLength: 0 }
+    });
+    const billingOnly = { articles: dataset.articles, tickets: dataset.tickets.slice(0, 1) };
+
+    try {
+      const recorded = await new EvaluationService().run(billingOnly, { threshold: 0.9 });
+      expect(recorded.results[0]).toMatchObject({ predictedCategory: 'billing', autoClosed: true, fallbacks: [] });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    // Same dataset, provider gone: every answer comes from the recordings
+    delete process.env.LLM_RECORD_UPSTREAM;
+    await Promise.all([Ticket, AgentSuggestion, Article, User].map(Model => Model.deleteMany({})));
+
+    const replayed = await new EvaluationService().run(billingOnly, { threshold: 0.9 });
+    expect(replayed.results[0]).toMatchObject({ predictedCategory: 'billing', confidence: 0.95, fallbacks: [] });
+    expect(replayed.metrics.autoClose.precision).toBe(1);
+  });
+});
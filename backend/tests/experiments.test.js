@@ -0,0 +1,375 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const {
+  User,
+  Ticket,
+  Article,
+  AgentSuggestion,
+  AuditLog,
+  Config,
+  Experiment
+} = require('../models');
+const { bucketVariant, editDistance } = require('../services/experimentService');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+const AgentService = require('../services/agentService');
+const jwt = require('jsonwebtoken');
+
+describe('Experiments', () => {
+  let originalEnv, customer, admin, adminToken;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'true';
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const createExperiment = (body) => request(app)
+    .post('/api/config/experiments')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const setStatus = (name, status) => request(app)
+    .put(`/api/config/experiments/${name}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status });
+
+  test('should bucket tickets deterministically in proportion to weights', () => {
+    const experiment = {
+      name: 'draft-tone',
+      variants: [{ name: 'control', weight: 1 }, { name: 'treatment', weight: 3 }]
+    };
+
+    const counts = { control: 0, treatment: 0 };
+    for (let i = 0; i < 2000; i++) {
+      const variant = bucketVariant(experiment, `ticket-${i}`);
+      expect(bucketVariant(experiment, `ticket-${i}`)).toBe(variant);
+      counts[variant.name] += 1;
+    }
+    expect(counts.control / 2000).toBeGreaterThan(0.2);
+    expect(counts.control / 2000).toBeLessThan(0.3);
+  });
+
+  test('should measure agent edits in words', () => {
+    expect(editDistance('We will refund you today', 'We will refund you within 5 days'))
+      .toEqual({ words: 3, length: 7 });
+    expect(editDistance('Same reply', 'Same  reply')).toEqual({ words: 0, length: 2 });
+  });
+
+  test('should store the edit distance with the agent\'s final reply', async () => {
+    const ticket = await Ticket.create({
+      title: 'Refund',
+      description: 'Where is my refund?',
+      createdBy: customer._id,
+      status: 'waiting_human'
+    });
+    const suggestion = await AgentSuggestion.create({
+      ticketId: ticket._id,
+      predictedCategory: 'billing',
+      draftReply: 'We will refund you today',
+      confidence: 0.5
+    });
+    ticket.agentSuggestionId = suggestion._id;
+    await ticket.save();
+
+    await request(app)
+      .post(`/api/tickets/${ticket._id}/reply`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ content: 'We will refund you within 5 days' })
+      .expect(200);
+
+    const updated = await AgentSuggestion.findById(suggestion._id);
+    expect(updated.toObject().finalEditDistance).toEqual({ words: 3, length: 7 });
+  });
+
+  test('should validate experiments and run one per task at a time', async () => {
+    await createExperiment({ name: 'one-arm', task: 'draft', variants: [{ name: 'control' }] })
+      .expect(400);
+    await createExperiment({ name: 'twins', task: 'draft', variants: [{ name: 'a' }, { name: 'a' }] })
+      .expect(400);
+    await createExperiment({
+      name: 'missing-version',
+      task: 'draft',
+      variants: [{ name: 'control' }, { name: 'v9', promptVersion: 9 }]
+    }).expect(400);
+    await createExperiment({
+      name: 'wrong-task',
+      task: 'draft',
+      variants: [{ name: 'control' }, { name: 'classify', promptTemplate: 'classify' }]
+    }).expect(400);
+
+    const created = await createExperiment({
+      name: 'draft-temperature',
+      task: 'draft',
+      variants: [{ name: 'control' }, { name: 'cool', temperature: 0.1, weight: 2 }]
+    }).expect(201);
+    expect(created.body.status).toBe('draft');
+    expect(created.body.variants[1]).toMatchObject({ name: 'cool', weight: 2, temperature: 0.1, model: null });
+    await createExperiment({ name: 'draft-temperature', task: 'draft', variants: [{ name: 'a' }, { name: 'b' }] })
+      .expect(409);
+
+    await createExperiment({ name: 'draft-model', task: 'draft', variants: [{ name: 'a' }, { name: 'b', model: 'small' }] })
+      .expect(201);
+
+    await setStatus('draft-temperature', 'running').expect(200);
+    const conflict = await setStatus('draft-model', 'running').expect(400);
+    expect(conflict.body.error).toMatch(/draft-temperature is already running/);
+
+    const stopped = await setStatus('draft-temperature', 'stopped').expect(200);
+    expect(stopped.body.stoppedAt).toBeTruthy();
+    await setStatus('draft-temperature', 'running').expect(400);
+    await setStatus('draft-model', 'running').expect(200);
+
+    const audit = await AuditLog.find({ action: 'CONFIG_UPDATED', 'meta.type': 'experiment' });
+    expect(audit).toHaveLength(5);
+  });
+
+  test('should record the variant on the suggestion even in stub mode', async () => {
+    await Experiment.create({
+      name: 'priority-model',
+      task: 'priority',
+      status: 'running',
+      variants: [{ name: 'control' }, { name: 'large', model: 'large-model' }]
+    });
+    const ticket = await Ticket.create({
+      title: 'Cannot log in',
+      description: 'The login page keeps spinning',
+      createdBy: customer._id
+    });
+
+    await new AgentService().triageTicket(ticket._id);
+
+    const expected = bucketVariant(await Experiment.findOne({ name: 'priority-model' }), ticket._id);
+    const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+    // Stub mode ignores the variant's model, and the record says so
+    expect(suggestion.modelInfo.experiments).toEqual([expect.objectContaining({
+      experiment: 'priority-model',
+      task: 'priority',
+      variant: expected.name,
+      provider: 'stub',
+      model: 'rule-based',
+      promptVersion: null
+    })]);
+    expect(typeof suggestion.modelInfo.experiments[0].latencyMs).toBe('number');
+
+    const decision = await AuditLog.findOne({ ticketId: ticket._id, action: 'AGENT_CLASSIFIED', 'meta.factors': { $exists: true } });
+    expect(decision.meta.experiments[0].variant).toBe(expected.name);
+  });
+
+  test('should break results down by variant in the agent stats', async () => {
+    const experiment = await Experiment.create({
+      name: 'draft-prompt',
+      task: 'draft',
+      status: 'running',
+      startedAt: new Date(Date.now() - 60 * 1000),
+      variants: [{ name: 'control' }, { name: 'short' }]
+    });
+    await Experiment.create({ name: 'not-started', task: 'classify', variants: [{ name: 'a' }, { name: 'b' }] });
+
+    const suggest = async (variant, fields) => {
+      const ticket = await Ticket.create({ title: 'Question', description: 'Help', createdBy: customer._id });
+      return AgentSuggestion.create({
+        ticketId: ticket._id,
+        predictedCategory: 'other',
+        draftReply: 'Thanks for reaching out',
+        confidence: 0.8,
+        modelInfo: {
+          provider: 'stub',
+          experiments: [{
+            experiment: experiment.name,
+            task: 'draft',
+            variant,
+            provider: 'deepseek',
+            model: 'deepseek-chat',
+            promptVersion: variant === 'short' ? 'draft@2' : 'draft@1',
+            latencyMs: fields.latencyMs
+          }]
+        },
+        ...fields
+      });
+    };
+
+    const reopened = await suggest('control', { autoClosed: true, latencyMs: 100 });
+    await suggest('control', {
+      finalReply: 'Thanks for reaching out to us',
+      finalEditDistance: { words: 2, length: 6 },
+      latencyMs: 300
+    });
+    await suggest('short', {
+      finalReply: 'Thanks for reaching out',
+      finalEditDistance: { words: 0, length: 4 },
+      latencyMs: 50
+    });
+    // Triaged before the experiment started
+    await suggest('short', { autoClosed: true, latencyMs: 10, createdAt: new Date(Date.now() - 120 * 1000) });
+    await AuditLog.create({
+      ticketId: reopened.ticketId,
+      traceId: 'reopen',
+      actor: 'user',
+      action: 'TICKET_REOPENED'
+    });
+
+    const response = await request(app)
+      .get('/api/agent/stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.experiments).toHaveLength(1);
+    expect(response.body.experiments[0]).toMatchObject({ experiment: 'draft-prompt', task: 'draft', status: 'running' });
+    expect(response.body.experiments[0].variants).toEqual([
+      {
+        variant: 'control',
+        weight: 1,
+        tickets: 2,
+        autoCloseRate: 0.5,
+        reopenRate: 0.5,
+        editDistance: { replies: 1, words: 2, normalized: 0.3333 },
+        averageLatencyMs: 200,
+        ran: [{ provider: 'deepseek', model: 'deepseek-chat', promptVersion: 'draft@1', tickets: 2 }]
+      },
+      {
+        variant: 'short',
+        weight: 1,
+        tickets: 1,
+        autoCloseRate: 0,
+        reopenRate: 0,
+        editDistance: { replies: 1, words: 0, normalized: 0 },
+        averageLatencyMs: 50,
+        ran: [{ provider: 'deepseek', model: 'deepseek-chat', promptVersion: 'draft@2', tickets: 1 }]
+      }
+    ]);
+  });
+
+  test('should keep templates used by live experiments', async () => {
+    await request(app)
+      .post('/api/config/prompts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'draft-brief', task: 'draft', system: 'Be brief.', template: '{{ticketText}}\n{{articles}}' })
+      .expect(201);
+    await createExperiment({
+      name: 'brief-drafts',
+      task: 'draft',
+      variants: [{ name: 'control' }, { name: 'brief', promptTemplate: 'draft-brief' }]
+    }).expect(201);
+
+    await request(app)
+      .delete('/api/config/prompts/draft-brief')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await Experiment.updateOne({ name: 'brief-drafts' }, { status: 'stopped' });
+    await request(app)
+      .delete('/api/config/prompts/draft-brief')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  describe('with a model behind the draft task', () => {
+    let server, requests;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          requests.push(JSON.parse(raw));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            model: 'fake-model',
+            choices: [{ message: { content: '{"draftReply": "Your refund is on its way [1].", "citations": ["Refund Policy"]}' } }]
+          }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      requests = [];
+      process.env.STUB_MODE = 'false';
+      process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+      resetResiliencePolicies();
+      await Config.create({
+        llm: {
+          classify: { provider: 'stub' },
+          draft: { provider: 'openai_compatible' },
+          priority: { provider: 'stub' }
+        }
+      });
+      await Article.create({
+        title: 'Refund Policy',
+        body: 'Refunds for a double charge are issued within 5 business days.',
+        tags: ['billing', 'refund'],
+        status: 'published'
+      });
+    });
+
+    test('should draft with the variant the ticket is bucketed into', async () => {
+      await request(app)
+        .post('/api/config/prompts/draft/versions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ system: 'Answer in one sentence.', template: '{{ticketText}}\n{{articles}}' })
+        .expect(201);
+      await createExperiment({
+        name: 'draft-v2',
+        task: 'draft',
+        variants: [{ name: 'control' }, { name: 'v2', promptVersion: 2, model: 'small-model', temperature: 0.1 }]
+      }).expect(201);
+      await setStatus('draft-v2', 'running').expect(200);
+      const experiment = await Experiment.findOne({ name: 'draft-v2' });
+
+      // Both arms, whichever tickets they take
+      const seen = new Set();
+      for (let i = 0; i < 20 && seen.size < 2; i++) {
+        const ticket = await Ticket.create({
+          title: 'Refund for a double charge',
+          description: 'I was charged twice for my order',
+          createdBy: customer._id
+        });
+        const variant = bucketVariant(experiment, ticket._id);
+        seen.add(variant.name);
+        requests = [];
+
+        await new AgentService().triageTicket(ticket._id);
+
+        expect(requests).toHaveLength(1);
+        const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+        expect(suggestion.modelInfo.experiments[0]).toMatchObject({
+          variant: variant.name,
+          provider: 'openai_compatible',
+          promptVersion: variant.name === 'v2' ? 'draft@2' : 'draft@1'
+        });
+        expect(suggestion.modelInfo.promptVersions.draft).toBe(variant.name === 'v2' ? 'draft@2' : 'draft@1');
+        if (variant.name === 'v2') {
+          expect(requests[0]).toMatchObject({ model: 'small-model', temperature: 0.1 });
+          expect(requests[0].messages[0].content).toBe('Answer in one sentence.');
+        } else {
+          expect(requests[0].model).not.toBe('small-model');
+          expect(requests[0].temperature).not.toBe(0.1);
+          expect(requests[0].messages[0].content).not.toBe('Answer in one sentence.');
+        }
+      }
+      expect(seen.size).toBe(2);
+    });
+  });
+});
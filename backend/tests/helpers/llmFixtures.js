@@ -0,0 +1,155 @@
+// Record/replay for LLM HTTP calls in tests. Chat-completion requests made
+// through axios are served from tests/fixtures/llm/<name>.json, so the real
+// provider code path (HTTP errors, retries, the circuit breaker, output
+// validation) runs without network access.
+//
+// Fixtures are grouped by test name and keyed by recordingKey(), a hash of
+// the model and the full conversation. Each key holds the responses in the
+// order they were seen, so a 503 followed by a 200 replays as exactly that.
+// A request without a fixture is rejected and fails the test in afterEach,
+// even when a fallback policy would otherwise have hidden the error.
+//
+// LLM_FIXTURES=record sends the requests to the real provider instead and
+// replaces the fixtures of the tests that ran with what it answered. Record
+// one test at a time with -t when others hold hand-made error responses a
+// real provider cannot be made to return:
+//   LLM_FIXTURES=record DEEPSEEK_API_KEY=... npm test -- agent -t "through the DeepSeek"
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { recordingKey } = require('../../services/llmProviders');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/llm');
+
+const isChatCompletion = (config) =>
+  config.method === 'post' && /\/chat\/completions$/.test(config.url);
+
+const requestKey = (config) => {
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+  const [system, user, ...followUp] = body.messages;
+  return {
+    key: recordingKey({ model: body.model, system: system.content, prompt: user.content, followUp }),
+    model: body.model,
+    prompt: user.content.slice(0, 200)
+  };
+};
+
+// Adapters hand back the raw body; fixtures keep the parsed JSON readable
+const parseBody = (data) => {
+  try {
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  } catch (error) {
+    return data;
+  }
+};
+
+// Rebuilds the error axios itself would have produced
+const replayError = (config, recorded) => {
+  if (!recorded.status) {
+    return new axios.AxiosError(recorded.message, recorded.code, config);
+  }
+  const response = { ...recorded, config, request: {} };
+  return new axios.AxiosError(
+    `Request failed with status code ${recorded.status}`,
+    recorded.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    {},
+    response
+  );
+};
+
+// Registers jest hooks that serve fixtures from <name>.json to every test in
+// the calling describe block. Returns helpers for tests that expect misses.
+const useLLMFixtures = (name) => {
+  const file = path.join(FIXTURE_DIR, `${name}.json`);
+  const recording = process.env.LLM_FIXTURES === 'record';
+  let fixtures = {};
+  let cursors = {};
+  let misses = [];
+  let originalAdapter;
+  const recordedTests = new Set();
+
+  const adapter = async (config) => {
+    const passThrough = axios.getAdapter(originalAdapter);
+    if (!isChatCompletion(config)) {
+      return passThrough(config);
+    }
+
+    const testName = expect.getState().currentTestName;
+    const { key, model, prompt } = requestKey(config);
+    if (recording && !recordedTests.has(testName)) {
+      recordedTests.add(testName);
+      fixtures[testName] = {};
+    }
+    const entries = fixtures[testName] || {};
+
+    if (recording) {
+      const entry = (entries[key] = entries[key] || { model, prompt, responses: [] });
+      try {
+        const response = await passThrough(config);
+        entry.responses.push({ status: response.status, data: parseBody(response.data) });
+        return response;
+      } catch (error) {
+        entry.responses.push(error.response
+          ? {
+            status: error.response.status,
+            headers: { 'retry-after': error.response.headers?.['retry-after'] },
+            data: parseBody(error.response.data)
+          }
+          : { code: error.code, message: error.message });
+        throw error;
+      }
+    }
+
+    const index = cursors[key] || 0;
+    const recorded = entries[key]?.responses[index];
+    if (!recorded) {
+      misses.push({ testName, key, model, prompt, index });
+      const error = new Error(
+        `No LLM fixture for ${model} request #${index + 1} "${prompt.slice(0, 60)}..." ` +
+        `(${key.slice(0, 12)}) in ${path.relative(process.cwd(), file)}; re-record with LLM_FIXTURES=record`
+      );
+      error.code = 'LLM_FIXTURE_MISSING';
+      throw error;
+    }
+    cursors[key] = index + 1;
+
+    if (recorded.status >= 200 && recorded.status < 300) {
+      return { data: recorded.data, status: recorded.status, statusText: 'OK', headers: {}, config, request: {} };
+    }
+    throw replayError(config, recorded);
+  };
+
+  beforeAll(() => {
+    fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  });
+
+  beforeEach(() => {
+    cursors = {};
+    misses = [];
+    originalAdapter = axios.defaults.adapter;
+    axios.defaults.adapter = adapter;
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+    if (misses.length > 0) {
+      const details = misses.map(miss => `  ${miss.model} request #${miss.index + 1}: "${miss.prompt.slice(0, 80)}"`);
+      throw new Error(`Missing LLM fixtures in ${file}:\n${details.join('\n')}`);
+    }
+  });
+
+  afterAll(() => {
+    if (recordedTests.size > 0) {
+      fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+    }
+  });
+
+  return {
+    // Misses a test provoked on purpose; they no longer fail it
+    takeMisses: () => misses.splice(0, misses.length)
+  };
+};
+
+module.exports = { useLLMFixtures };
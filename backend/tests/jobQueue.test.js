@@ -0,0 +1,70 @@
+const { Job } = require('../models');
+const { JobQueue } = require('../services/jobQueue');
+const { JobWorker } = require('../services/jobWorker');
+
+describe('Job Queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue({ visibilityTimeoutMs: 1000, baseBackoffMs: 10 });
+  });
+
+  test('should claim queued jobs and mark them running', async () => {
+    await queue.enqueue('triage', { ticketId: 'abc' });
+
+    const job = await queue.claim('worker-1', ['triage']);
+
+    expect(job.status).toBe('running');
+    expect(job.attempts).toBe(1);
+    expect(job.lockedBy).toBe('worker-1');
+    expect(await queue.claim('worker-2', ['triage'])).toBeNull();
+  });
+
+  test('should make a job visible again once its lease expires', async () => {
+    await queue.enqueue('triage', { ticketId: 'abc' });
+    const job = await queue.claim('worker-1', ['triage']);
+    await Job.updateOne({ _id: job._id }, { leaseExpiresAt: new Date(Date.now() - 1) });
+
+    const reclaimed = await queue.claim('worker-2', ['triage']);
+
+    expect(reclaimed._id.toString()).toBe(job._id.toString());
+    expect(reclaimed.lockedBy).toBe('worker-2');
+    expect(reclaimed.attempts).toBe(2);
+  });
+
+  test('should retry failed jobs and dead-letter them after maxAttempts', async () => {
+    const worker = new JobWorker({
+      queue,
+      handlers: { triage: async () => { throw new Error('boom'); } }
+    });
+    const { _id } = await queue.enqueue('triage', { ticketId: 'abc' }, { maxAttempts: 2 });
+
+    await worker.runOnce();
+    let job = await Job.findById(_id);
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toBe('boom');
+
+    await Job.updateOne({ _id }, { runAt: new Date() });
+    await worker.runOnce();
+    job = await Job.findById(_id);
+    expect(job.status).toBe('dead');
+
+    const requeued = await queue.requeue(_id);
+    expect(requeued.status).toBe('queued');
+    expect(requeued.attempts).toBe(0);
+  });
+
+  test('should complete jobs with the handler result', async () => {
+    const worker = new JobWorker({
+      queue,
+      handlers: { triage: async (payload) => ({ handled: payload.ticketId }) }
+    });
+    const { _id } = await queue.enqueue('triage', { ticketId: 'abc' });
+
+    await worker.runOnce();
+
+    const job = await Job.findById(_id);
+    expect(job.status).toBe('succeeded');
+    expect(job.result).toEqual({ handled: 'abc' });
+  });
+});
@@ -0,0 +1,139 @@
+const http = require('http');
+const { Config, User, Ticket, AuditLog } = require('../models');
+const { LLM_TASKS, LLMProvider } = require('../services/llmService');
+const { parseModelJson, validateOutput } = require('../services/llmOutput');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+const AgentService = require('../services/agentService');
+
+describe('LLM Output Validation', () => {
+  const classifySchema = LLM_TASKS.classify.outputSchema;
+
+  test('should strip code fences before parsing', () => {
+    const parsed = parseModelJson('Here you go:\n```json\n{"predictedCategory": "tech", "confidence": 0.8}\n```');
+
+    expect(parsed.error).toBeUndefined();
+    expect(parsed.value).toEqual({ predictedCategory: 'tech', confidence: 0.8 });
+  });
+
+  test('should report unparseable answers', () => {
+    expect(parseModelJson('I think this is a billing issue').error).toMatch(/not valid JSON/);
+  });
+
+  test('should reject values outside the schema', () => {
+    const { errors } = validateOutput(classifySchema, { predictedCategory: 'hardware', confidence: 1.5 });
+
+    expect(errors).toEqual([
+      'predictedCategory must be one of: billing, tech, shipping, other',
+      'confidence must be at most 1'
+    ]);
+  });
+
+  test('should require declared fields and drop undeclared ones', () => {
+    const missing = validateOutput(classifySchema, { predictedCategory: 'tech' });
+    expect(missing.errors).toEqual(['confidence is required']);
+
+    const extra = validateOutput(classifySchema, { predictedCategory: 'tech', confidence: 0.7, reasoning: 'login' });
+    expect(extra.errors).toEqual([]);
+    expect(extra.value).toEqual({ predictedCategory: 'tech', confidence: 0.7 });
+  });
+
+  test('should apply defaults and validate array items', () => {
+    const draftSchema = LLM_TASKS.draft.outputSchema;
+
+    expect(validateOutput(draftSchema, { draftReply: 'Hello' }).value.citations).toEqual([]);
+    expect(validateOutput(draftSchema, { draftReply: 'Hello', citations: ['A', 2] }).errors)
+      .toEqual(['citations[1] must be a string']);
+  });
+
+  describe('repair against a provider', () => {
+    let server, answers, requests, originalEnv;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          requests.push(JSON.parse(raw));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            model: 'fake-model',
+            choices: [{ message: { content: answers.shift() || 'no answer' } }]
+          }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      answers = [];
+      requests = [];
+      originalEnv = { ...process.env };
+      process.env.STUB_MODE = 'false';
+      process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+      resetResiliencePolicies();
+      await Config.create({
+        llmFailurePolicy: 'fallback',
+        llm: {
+          classify: { provider: 'openai_compatible' },
+          draft: { provider: 'stub' },
+          priority: { provider: 'stub' }
+        }
+      });
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('should re-prompt with the validation errors and accept the repaired answer', async () => {
+      answers = [
+        '{"predictedCategory": "hardware", "confidence": 0.9}',
+        '{"predictedCategory": "tech", "confidence": 0.85}'
+      ];
+
+      const result = await new LLMProvider().classify('The app crashes on login');
+
+      expect(result.predictedCategory).toBe('tech');
+      expect(result.modelInfo.provider).toBe('openai_compatible');
+      expect(result.validationFailures).toHaveLength(1);
+      expect(result.validationFailures[0].outcome).toBe('repaired');
+
+      const repairMessages = requests[1].messages;
+      expect(repairMessages[2]).toEqual({
+        role: 'assistant',
+        content: '{"predictedCategory": "hardware", "confidence": 0.9}'
+      });
+      expect(repairMessages[3].content).toMatch(/predictedCategory must be one of/);
+    });
+
+    test('should give up after the repair budget and audit each failure', async () => {
+      answers = ['not json', '{"predictedCategory": "tech"}'];
+      const customer = await User.create({
+        name: 'Customer',
+        email: 'customer@example.com',
+        passwordHash: 'password123',
+        role: 'user'
+      });
+      const ticket = await Ticket.create({
+        title: 'App crashes',
+        description: 'The app crashes on login',
+        createdBy: customer._id
+      });
+
+      await new AgentService().triageTicket(ticket._id, 'trace-validation');
+
+      expect(requests).toHaveLength(2);
+      const events = await AuditLog.find({ ticketId: ticket._id, action: 'LLM_OUTPUT_INVALID' })
+        .sort({ 'meta.attempt': 1 });
+      expect(events.map(event => event.meta.attempt)).toEqual([0, 1]);
+      expect(events[0].meta.task).toBe('classify');
+      expect(events[0].meta.outcome).toBe('gave_up');
+      expect(events[1].meta.errors).toEqual(['confidence is required']);
+      expect(await AuditLog.exists({ ticketId: ticket._id, action: 'LLM_FALLBACK' })).toBeTruthy();
+    });
+  });
+});
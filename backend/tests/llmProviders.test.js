@@ -0,0 +1,161 @@
+const http = require('http');
+const { Config } = require('../models');
+const { LLMProvider } = require('../services/llmService');
+const { LLM_PROVIDERS, createProvider } = require('../services/llmProviders');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+
+describe('LLM Providers', () => {
+  let server, requests, originalEnv;
+
+  beforeAll(async () => {
+    // Minimal OpenAI-compatible /chat/completions endpoint
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ url: req.url, headers: req.headers, body });
+
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'GET' && req.url === '/v1/models') {
+          return res.end(JSON.stringify({ data: [{ id: 'llama3.1' }] }));
+        }
+        res.end(JSON.stringify({
+          model: body.model,
+          choices: [{
+            message: { content: JSON.stringify({ predictedCategory: 'tech', confidence: 0.91 }) }
+          }]
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'false';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    delete process.env.OPENAI_COMPATIBLE_API_KEY;
+    resetResiliencePolicies();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createProvider('nonexistent')).toThrow('Unknown LLM provider');
+  });
+
+  test('should keep the recorded provider out of admin routing', () => {
+    expect(Object.keys(LLM_PROVIDERS)).not.toContain('recorded');
+    expect(createProvider('recorded').name).toBe('recorded');
+  });
+
+  test('should route a task to the configured provider and model', async () => {
+    await Config.create({ llm: { classify: { provider: 'openai_compatible', model: 'qwen2.5:7b' } } });
+
+    const result = await new LLMProvider().classify('The app crashes on login');
+
+    expect(result.predictedCategory).toBe('tech');
+    expect(result.modelInfo.provider).toBe('openai_compatible');
+    expect(result.modelInfo.model).toBe('qwen2.5:7b');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body.model).toBe('qwen2.5:7b');
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('should route tasks independently', async () => {
+    await Config.create({
+      llm: {
+        classify: { provider: 'openai_compatible' },
+        draft: { provider: 'stub' }
+      }
+    });
+    const llm = new LLMProvider();
+
+    const classification = await llm.classify('The app crashes on login');
+    const draft = await llm.draft('The app crashes on login', []);
+
+    expect(classification.modelInfo.provider).toBe('openai_compatible');
+    expect(classification.modelInfo.model).toBe(createProvider('openai_compatible').defaultModel);
+    expect(draft.modelInfo.provider).toBe('stub');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should flag stub answers when a provider fails', async () => {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://127.0.0.1:1/v1';
+    await Config.create({
+      llm: { classify: { provider: 'openai_compatible' } },
+      llmFailurePolicy: 'fallback'
+    });
+
+    const result = await new LLMProvider().classify('I need a refund for this charge');
+
+    expect(result.predictedCategory).toBe('billing');
+    expect(result.modelInfo.provider).toBe('stub');
+    expect(result.modelInfo.fallbackFrom).toBe('openai_compatible');
+    expect(result.modelInfo.fallbackReason).toBeTruthy();
+    expect(result.modelInfo.failurePolicy).toBe('fallback');
+  });
+
+  test('should throw when the failure policy is fail', async () => {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://127.0.0.1:1/v1';
+    await Config.create({
+      llm: { classify: { provider: 'openai_compatible' } },
+      llmFailurePolicy: 'fail'
+    });
+
+    await expect(new LLMProvider().classify('I need a refund for this charge'))
+      .rejects.toMatchObject({ code: 'LLM_UNAVAILABLE', provider: 'openai_compatible' });
+  });
+
+  test('should probe routed providers in the health check', async () => {
+    await Config.create({
+      llm: {
+        classify: { provider: 'openai_compatible' },
+        draft: { provider: 'stub' },
+        priority: { provider: 'stub' }
+      }
+    });
+
+    const health = await new LLMProvider().healthCheck();
+
+    expect(health.status).toBe('ok');
+    expect(health.providers.openai_compatible.status).toBe('ok');
+    expect(health.providers.stub.status).toBe('ok');
+    expect(requests.map(request => request.url)).toEqual(['/v1/models']);
+  });
+
+  test('should report unreachable providers in the health check', async () => {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://127.0.0.1:1/v1';
+    await Config.create({
+      llm: {
+        classify: { provider: 'openai_compatible' },
+        draft: { provider: 'stub' },
+        priority: { provider: 'stub' }
+      }
+    });
+
+    const health = await new LLMProvider().healthCheck();
+
+    expect(health.status).toBe('error');
+    expect(health.providers.openai_compatible.status).toBe('error');
+  });
+
+  test('should ignore routing in stub mode', async () => {
+    process.env.STUB_MODE = 'true';
+    await Config.create({ llm: { classify: { provider: 'openai_compatible' } } });
+
+    const result = await new LLMProvider().classify('The app crashes on login');
+
+    expect(result.modelInfo.provider).toBe('stub');
+    expect(requests).toHaveLength(0);
+  });
+});
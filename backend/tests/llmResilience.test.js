@@ -0,0 +1,183 @@
+const http = require('http');
+const { Config } = require('../models');
+const { LLMProvider } = require('../services/llmService');
+const { OpenAICompatibleProvider } = require('../services/llmProviders');
+const {
+  ResiliencePolicy,
+  resetResiliencePolicies
+} = require('../services/llmResilience');
+
+const completion = (content = '{"predictedCategory":"tech","confidence":0.9}') => JSON.stringify({
+  model: 'fake-model',
+  choices: [{ message: { content } }]
+});
+
+describe('LLM Resilience', () => {
+  let server, baseURL, responses, requestCount, inFlight, maxInFlight, originalEnv;
+
+  // Replies with the queued statuses in order, then 200s
+  const respond = (req, res) => {
+    const status = responses.length > 0 ? responses.shift() : 200;
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    if (status === 429) res.setHeader('Retry-After', '0');
+    res.end(status === 200 ? completion() : JSON.stringify({ error: { message: `status ${status}` } }));
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requestCount += 1;
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight -= 1;
+          respond(req, res);
+        }, 20);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requestCount = 0;
+    inFlight = 0;
+    maxInFlight = 0;
+    originalEnv = { ...process.env };
+    resetResiliencePolicies();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const provider = () => new OpenAICompatibleProvider({ baseURL, defaultModel: 'fake-model' });
+  const call = (policy) => policy.execute(() => provider().complete({ system: 's', prompt: 'p' }));
+
+  test('should retry 5xx and 429 responses with backoff', async () => {
+    responses = [503, 429];
+    const policy = new ResiliencePolicy('fake', { retries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+
+    const result = await call(policy);
+
+    expect(result.model).toBe('fake-model');
+    expect(requestCount).toBe(3);
+    expect(policy.snapshot().breaker.state).toBe('closed');
+  });
+
+  test('should not retry client errors', async () => {
+    responses = [400];
+    const policy = new ResiliencePolicy('fake', { retries: 2, baseDelayMs: 1 });
+
+    await expect(call(policy)).rejects.toMatchObject({ response: { status: 400 } });
+    expect(requestCount).toBe(1);
+    expect(policy.snapshot().breaker.failures).toBe(0);
+  });
+
+  test('should open the circuit after repeated failures and fail fast', async () => {
+    responses = [500, 500, 500];
+    const policy = new ResiliencePolicy('fake', { retries: 0, failureThreshold: 2, resetTimeoutMs: 60000 });
+
+    await expect(call(policy)).rejects.toMatchObject({ response: { status: 500 } });
+    await expect(call(policy)).rejects.toMatchObject({ response: { status: 500 } });
+    await expect(call(policy)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    expect(requestCount).toBe(2);
+    expect(policy.snapshot().breaker.state).toBe('open');
+    expect(policy.snapshot().breaker.retryAt).toBeInstanceOf(Date);
+  });
+
+  test('should half-open after the reset timeout and close on success', async () => {
+    responses = [500];
+    const policy = new ResiliencePolicy('fake', { retries: 0, failureThreshold: 1, resetTimeoutMs: 50 });
+
+    await expect(call(policy)).rejects.toBeTruthy();
+    expect(policy.snapshot().breaker.state).toBe('open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await call(policy);
+
+    expect(policy.snapshot().breaker.state).toBe('closed');
+    expect(requestCount).toBe(2);
+  });
+
+  test('should re-open when the half-open trial fails', async () => {
+    responses = [500, 500];
+    const policy = new ResiliencePolicy('fake', { retries: 0, failureThreshold: 1, resetTimeoutMs: 50 });
+
+    await expect(call(policy)).rejects.toBeTruthy();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await expect(call(policy)).rejects.toMatchObject({ response: { status: 500 } });
+
+    expect(policy.snapshot().breaker.state).toBe('open');
+  });
+
+  test('should limit concurrent requests', async () => {
+    const policy = new ResiliencePolicy('fake', { maxConcurrent: 2 });
+
+    await Promise.all(Array.from({ length: 5 }, () => call(policy)));
+
+    expect(requestCount).toBe(5);
+    expect(maxInFlight).toBe(2);
+    expect(policy.snapshot().concurrency.active).toBe(0);
+  });
+
+  test('should expose breaker state in the LLM health check', async () => {
+    process.env.STUB_MODE = 'false';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = baseURL;
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_BREAKER_FAILURE_THRESHOLD = '1';
+    await Config.create({
+      llmFailurePolicy: 'fallback',
+      llm: {
+        classify: { provider: 'openai_compatible' },
+        draft: { provider: 'stub' },
+        priority: { provider: 'stub' }
+      }
+    });
+    responses = [500];
+    const llm = new LLMProvider();
+
+    const first = await llm.classify('The app crashes');
+    const second = await llm.classify('The app crashes');
+    const health = await llm.healthCheck();
+
+    expect(first.modelInfo.fallbackFrom).toBe('openai_compatible');
+    expect(second.modelInfo.fallbackReason).toMatch(/Circuit breaker open/);
+    expect(health.status).toBe('degraded');
+    expect(health.openCircuits).toEqual(['openai_compatible']);
+    expect(health.resilience.openai_compatible.breaker.state).toBe('open');
+  });
+
+  test('should keep scoped providers off the live circuit breaker', async () => {
+    process.env.STUB_MODE = 'false';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = baseURL;
+    process.env.LLM_MAX_RETRIES = '0';
+    process.env.LLM_BREAKER_FAILURE_THRESHOLD = '1';
+    await Config.create({
+      llmFailurePolicy: 'fallback',
+      llm: {
+        classify: { provider: 'openai_compatible' },
+        draft: { provider: 'stub' },
+        priority: { provider: 'stub' }
+      }
+    });
+    responses = [500];
+
+    const shadow = await new LLMProvider({ resilienceScope: 'shadow' }).classify('The app crashes');
+    const live = await new LLMProvider().classify('The app crashes');
+    const health = await new LLMProvider().healthCheck();
+
+    expect(shadow.modelInfo.fallbackFrom).toBe('openai_compatible');
+    expect(live.modelInfo.fallbackFrom).toBeUndefined();
+    expect(health.resilience['shadow:openai_compatible'].breaker.state).toBe('open');
+    expect(health.resilience.openai_compatible.breaker.state).toBe('closed');
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const app = require('../server');
+const { User, Ticket, AgentSuggestion, Config, ClassifierModel } = require('../models');
+const { LLMProvider } = require('../services/llmService');
+const { resetResiliencePolicies } = require('../services/llmResilience');
+const {
+  trainClassifier,
+  collectTrainingExamples,
+  saveClassifier,
+  resetClassifierCache
+} = require('../services/localClassifier');
+const jwt = require('jsonwebtoken');
+
+const WORDS = {
+  billing: ['refund', 'charged', 'invoice', 'payment', 'card'],
+  tech: ['error', 'login', 'crash', 'password', 'bug'],
+  shipping: ['package', 'delivery', 'tracking', 'courier', 'parcel'],
+  other: ['feature', 'suggestion', 'partnership', 'feedback', 'question']
+};
+const CATEGORIES = Object.keys(WORDS);
+
+// Deterministic tickets with a share of wrong labels, so the raw naive
+// Bayes confidence is overconfident and calibration has work to do
+const syntheticExamples = (count, noise) => {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const word = (category) => WORDS[category][Math.floor(random() * 5)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const category = CATEGORIES[index % CATEGORIES.length];
+    const label = random() < noise ? CATEGORIES[Math.floor(random() * CATEGORIES.length)] : category;
+    return {
+      id: `ticket-${index}`,
+      title: `${word(category)} problem`,
+      description: `${word(category)} ${word(category)} ${word(CATEGORIES[Math.floor(random() * 4)])}`,
+      category: label
+    };
+  });
+};
+
+describe('Local Classifier', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'false';
+    process.env.LLM_PROVIDER = 'stub';
+    resetResiliencePolicies();
+    resetClassifierCache();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should calibrate confidence on the held-out split', () => {
+    const model = trainClassifier(syntheticExamples(400, 0.25));
+
+    const { uncalibrated, calibrated } = model.metrics.holdout;
+    expect(model.categories).toEqual(['billing', 'other', 'shipping', 'tech']);
+    expect(model.metrics.trainSize + model.metrics.holdoutSize).toBe(400);
+    expect(model.metrics.calibrationSize + model.metrics.testSize).toBe(model.metrics.holdoutSize);
+    expect(calibrated.accuracy).toBeGreaterThan(0.6);
+    expect(model.calibration.temperature).toBeGreaterThan(1);
+    expect(calibrated.nll).toBeLessThan(uncalibrated.nll);
+    expect(calibrated.ece).toBeLessThan(uncalibrated.ece);
+  });
+
+  test('should refuse to train on too few tickets', () => {
+    expect(() => trainClassifier(syntheticExamples(10, 0))).toThrow(/at least 20 labeled tickets/);
+  });
+
+  test('should learn from agent-confirmed categories only', async () => {
+    const customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    const ticket = (title, category, status = 'resolved') =>
+      Ticket.create({ title, description: 'details', category, status, createdBy: customer._id });
+
+    const corrected = await ticket('Charged twice', 'tech');
+    await AgentSuggestion.create({
+      ticketId: corrected._id,
+      predictedCategory: 'tech',
+      draftReply: 'Clear your cache',
+      confidence: 0.6,
+      finalCategory: 'billing'
+    });
+    const autoClosed = await ticket('Where is my parcel', 'shipping');
+    await AgentSuggestion.create({
+      ticketId: autoClosed._id,
+      predictedCategory: 'shipping',
+      draftReply: 'It is on its way',
+      confidence: 0.95,
+      autoClosed: true
+    });
+    await ticket('Password reset broken', 'tech');
+    await ticket('Still open', 'other', 'open');
+
+    const examples = await collectTrainingExamples();
+
+    expect(examples.map(example => [example.title, example.category]).sort()).toEqual([
+      ['Charged twice', 'billing'],
+      ['Password reset broken', 'tech']
+    ]);
+  });
+
+  test('should answer classify through the local_classifier provider', async () => {
+    await saveClassifier(trainClassifier(syntheticExamples(200, 0)));
+    await Config.create({ llm: { classify: { provider: 'local_classifier' } } });
+
+    const result = await new LLMProvider().classify('I was charged twice, please refund my card');
+
+    expect(result.predictedCategory).toBe('billing');
+    expect(result.confidence).toBeGreaterThan(0.5);
+    expect(result.confidence).toBeLessThanOrEqual(1);
+    expect(result.modelInfo).toMatchObject({ provider: 'local_classifier', model: 'ticket-category@1' });
+    expect(result.modelInfo.fallbackFrom).toBeUndefined();
+  });
+
+  test('should fall back to the stub when no classifier is trained', async () => {
+    await Config.create({ llmFailurePolicy: 'fallback', llm: { classify: { provider: 'local_classifier' } } });
+
+    const result = await new LLMProvider().classify('I was charged twice');
+
+    expect(result.modelInfo.provider).toBe('stub');
+    expect(result.modelInfo.fallbackFrom).toBe('local_classifier');
+    expect(await ClassifierModel.countDocuments()).toBe(0);
+  });
+
+  test('should only allow the local classifier for classify', async () => {
+    const admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    const adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+
+    const rejected = await request(app)
+      .put('/api/config')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ llm: { draft: { provider: 'local_classifier' } } })
+      .expect(400);
+    expect(rejected.body.error).toMatch(/cannot run the draft task/);
+
+    await request(app)
+      .put('/api/config')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ llm: { classify: { provider: 'local_classifier' } } })
+      .expect(200);
+
+    const providers = await request(app)
+      .get('/api/config/llm-providers')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(providers.body.providers.find(provider => provider.name === 'local_classifier').tasks)
+      .toEqual(['classify']);
+  });
+});
@@ -0,0 +1,193 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { User, Ticket, PromptTemplate, AgentSuggestion, AuditLog } = require('../models');
+const AgentService = require('../services/agentService');
+const { PromptService } = require('../services/promptService');
+const jwt = require('jsonwebtoken');
+
+describe('Prompt Templates', () => {
+  let adminToken, agentToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+
+    const agent = await User.create({
+      name: 'Agent',
+      email: 'agent@example.com',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+    agentToken = jwt.sign({ userId: agent._id }, process.env.JWT_SECRET || 'change-me');
+  });
+
+  const newVersion = {
+    system: 'You classify tickets. Answer with JSON.',
+    template: 'Ticket: {{ticketText}}\nReturn {"predictedCategory": "...", "confidence": 0.5}'
+  };
+
+  test('should list the built-in task templates', async () => {
+    const response = await request(app)
+      .get('/api/config/prompts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.templates.map(template => template.name).sort())
+      .toEqual(['classify', 'draft', 'priority']);
+    expect(response.body.templates.every(template => template.activeVersion === 1)).toBe(true);
+  });
+
+  test('should restrict prompt management to admins', async () => {
+    await request(app)
+      .get('/api/config/prompts')
+      .set('Authorization', `Bearer ${agentToken}`)
+      .expect(403);
+  });
+
+  test('should add versions without changing earlier ones', async () => {
+    const added = await request(app)
+      .post('/api/config/prompts/classify/versions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newVersion, notes: 'Shorter prompt' })
+      .expect(201);
+
+    expect(added.body.versions.map(version => version.version)).toEqual([1, 2]);
+    expect(added.body.activeVersion).toBe(1);
+    expect(added.body.versions[1].variables).toEqual(['ticketText']);
+
+    const activated = await request(app)
+      .put('/api/config/prompts/classify')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ activeVersion: 2 })
+      .expect(200);
+    expect(activated.body.activeVersion).toBe(2);
+
+    // Saved versions are immutable
+    const template = await PromptTemplate.findOne({ name: 'classify' });
+    template.versions[0].template = 'changed';
+    await template.save();
+    const reloaded = await PromptTemplate.findOne({ name: 'classify' });
+    expect(reloaded.versions[0].template).toContain('Classify this support ticket');
+
+    expect(await AuditLog.countDocuments({ action: 'CONFIG_UPDATED', 'meta.type': 'prompt_template' })).toBe(2);
+  });
+
+  test('should not let concurrent additions claim the same version', async () => {
+    const service = new PromptService();
+    const first = await service.getTemplate('classify');
+    const stale = await PromptTemplate.findById(first._id);
+
+    await service.addVersion(first, newVersion);
+    await expect(service.addVersion(stale, newVersion)).rejects.toMatchObject({ status: 409 });
+
+    const template = await PromptTemplate.findById(first._id);
+    expect(template.versions.map(version => version.version)).toEqual([1, 2]);
+  });
+
+  test('should reject unknown template variables', async () => {
+    const response = await request(app)
+      .post('/api/config/prompts/classify/versions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ system: 'x', template: '{{ticketText}} {{customerName}}' })
+      .expect(400);
+
+    expect(response.body.details[0]).toMatch(/customerName/);
+  });
+
+  test('should render a preview of any version', async () => {
+    await request(app)
+      .post('/api/config/prompts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'classify-short', task: 'classify', ...newVersion })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/config/prompts/classify-short/render')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ variables: { ticketText: 'My card was charged twice' } })
+      .expect(200);
+
+    expect(response.body.promptVersion).toBe('classify-short@1');
+    expect(response.body.prompt).toContain('Ticket: My card was charged twice');
+
+    await request(app)
+      .post('/api/config/prompts/classify-short/render')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ variables: {} })
+      .expect(400);
+  });
+
+  test('should not delete templates in use', async () => {
+    await new PromptService().getTemplate('draft');
+
+    await request(app)
+      .delete('/api/config/prompts/draft')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  test('should record the exact prompt version on suggestions', async () => {
+    // One answer that satisfies every task's schema; undeclared keys are dropped
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          model: 'fake-model',
+          choices: [{
+            message: {
+              content: JSON.stringify({
+                predictedCategory: 'billing',
+                priority: 'high',
+                confidence: 0.6,
+                draftReply: 'We are looking into the duplicate charge.',
+                citations: []
+              })
+            }
+          }]
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'false';
+    process.env.LLM_PROVIDER = 'openai_compatible';
+    process.env.OPENAI_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    try {
+      const customer = await User.create({
+        name: 'Customer',
+        email: 'customer@example.com',
+        passwordHash: 'password123',
+        role: 'user'
+      });
+      const ticket = await Ticket.create({
+        title: 'Charged twice',
+        description: 'My card was charged twice',
+        createdBy: customer._id
+      });
+
+      const service = new PromptService();
+      const template = await service.getTemplate('classify');
+      await service.addVersion(template, { ...newVersion, activate: true });
+
+      await new AgentService().triageTicket(ticket._id);
+
+      const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+      expect(suggestion.modelInfo.provider).toBe('openai_compatible');
+      expect(suggestion.modelInfo.promptVersion).toBe('classify@2');
+
+      const draftLog = await AuditLog.findOne({ ticketId: ticket._id, action: 'DRAFT_GENERATED' });
+      expect(draftLog.meta.modelInfo.promptVersion).toBe('draft@1');
+    } finally {
+      process.env = originalEnv;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const app = require('../server');
+const {
+  User,
+  Ticket,
+  Article,
+  AgentSuggestion,
+  AuditLog,
+  Config,
+  Job,
+  ShadowSuggestion
+} = require('../models');
+const AgentService = require('../services/agentService');
+const { createDefaultHandlers } = require('../services/jobWorker');
+const { resetCalibrationCache } = require('../services/calibrationService');
+const jwt = require('jsonwebtoken');
+
+describe('Shadow Triage', () => {
+  let originalEnv, customer, admin, customerToken, adminToken, handlers;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    process.env.STUB_MODE = 'true';
+    resetCalibrationCache();
+    handlers = createDefaultHandlers(new AgentService());
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    customerToken = jwt.sign({ userId: customer._id }, process.env.JWT_SECRET || 'change-me');
+    adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+
+    await Article.create({
+      title: 'Refund Policy',
+      body: 'Refunds for a double charge are issued within 5 business days of the payment.',
+      tags: ['billing', 'refund'],
+      status: 'published'
+    });
+    // The live pipeline never auto-closes; the shadow variant tries a lower bar
+    await Config.create({
+      autoCloseEnabled: true,
+      confidenceThreshold: 0.99,
+      shadow: { enabled: true, variant: 'low-bar', confidenceThreshold: 0.1 }
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const createTicket = async () => {
+    const response = await request(app)
+      .post('/api/tickets')
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ title: 'Refund for a double charge', description: 'I was charged twice for my payment' })
+      .expect(201);
+    return response.body.ticket._id;
+  };
+
+  const runJobs = async (type, ticketId) => {
+    for (const job of await Job.find({ type, 'payload.ticketId': ticketId })) {
+      await handlers[type](job.payload, job);
+    }
+  };
+
+  test('should record what the variant would do without touching the ticket', async () => {
+    const ticketId = await createTicket();
+    const before = await Ticket.findById(ticketId).lean();
+
+    await runJobs('shadow_triage', ticketId);
+
+    const shadow = await ShadowSuggestion.findOne({ ticketId });
+    expect(shadow.variant).toBe('low-bar');
+    expect(shadow.predictedCategory).toBe('billing');
+    expect(shadow.decision.action).toBe('auto_close');
+    expect(shadow.decision.threshold).toBe(0.1);
+    expect(shadow.citations.map(citation => citation.title)).toEqual(['Refund Policy']);
+
+    const after = await Ticket.findById(ticketId).lean();
+    expect(after.status).toBe(before.status);
+    expect(after.category).toBe(before.category);
+    expect(after.priority).toBe(before.priority);
+    expect(after.replies).toHaveLength(0);
+    expect(after.agentSuggestionId).toBeFalsy();
+    expect(await AgentSuggestion.countDocuments({ ticketId })).toBe(0);
+    const actions = await AuditLog.find({ ticketId }).distinct('action');
+    expect(actions.sort()).toEqual(['SHADOW_TRIAGED', 'TICKET_CREATED']);
+  });
+
+  test('should not queue shadow triage for follow-ups or when disabled', async () => {
+    const ticketId = await createTicket();
+    await new AgentService().enqueueTriage(ticketId, null, { trigger: 'customer_reply' });
+    expect(await Job.countDocuments({ type: 'shadow_triage' })).toBe(1);
+
+    await Config.updateOne({}, { 'shadow.enabled': false });
+    await createTicket();
+    expect(await Job.countDocuments({ type: 'shadow_triage' })).toBe(1);
+  });
+
+  test('should compare the variant with live triage and the agents', async () => {
+    const ticketId = await createTicket();
+    await runJobs('triage', ticketId);
+    await runJobs('shadow_triage', ticketId);
+    await AgentSuggestion.updateOne({ ticketId }, { finalCategory: 'tech', finalReply: 'Your refund is on its way' });
+
+    const response = await request(app)
+      .get('/api/agent/shadow/report')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.variants).toEqual([expect.objectContaining({
+      variant: 'low-bar',
+      runs: 1,
+      shadowAutoCloseRate: 1,
+      live: expect.objectContaining({
+        compared: 1,
+        liveAutoCloseRate: 0,
+        categoryAgreement: 1,
+        decisionAgreement: 0,
+        decisions: { bothAutoClose: 0, shadowOnly: 1, liveOnly: 0, bothHuman: 0 }
+      }),
+      humans: expect.objectContaining({
+        reviewed: 1,
+        categoryAccuracy: { shadow: 0, live: 0 },
+        answered: 1,
+        shadowAutoClosesRecategorized: 1
+      })
+    })]);
+    expect(response.body.variants[0].humans.replySimilarity.shadow).toBeGreaterThan(0);
+  });
+
+  test('should validate shadow settings', async () => {
+    await request(app)
+      .put('/api/config')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ shadow: { llm: { draft: { provider: 'local_classifier' } } } })
+      .expect(400);
+
+    await request(app)
+      .put('/api/config')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ shadow: { confidenceThreshold: 2 } })
+      .expect(400);
+
+    await request(app)
+      .put('/api/config')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ shadow: { variant: 'deepseek-v2', llm: { classify: { provider: 'deepseek' } } } })
+      .expect(200);
+
+    const config = await Config.findOne();
+    expect(config.shadow.variant).toBe('deepseek-v2');
+    expect(config.shadow.llm.classify.provider).toBe('deepseek');
+    expect(config.llm.classify.provider).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+const { User, Ticket, AuditLog } = require('../models');
+const { SimilarityService, rankBySimilarity } = require('../services/similarityService');
+
+describe('Similarity Service', () => {
+  let similarityService, customer, otherCustomer, agent;
+
+  beforeEach(async () => {
+    similarityService = new SimilarityService();
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    otherCustomer = await User.create({
+      name: 'Other Customer',
+      email: 'other@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    agent = await User.create({
+      name: 'Agent',
+      email: 'agent@example.com',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+  });
+
+  test('should rank near-identical text first', () => {
+    const ranked = rankBySimilarity('Refund not received after two weeks', [
+      { title: 'Package lost', description: 'Tracking says delivered but nothing arrived' },
+      { title: 'Refund not received', description: 'Requested a refund two weeks ago' }
+    ]);
+
+    expect(ranked[0].candidate.title).toBe('Refund not received');
+    expect(ranked[0].score).toBeGreaterThan(0.5);
+    expect(ranked[1].score).toBe(0);
+  });
+
+  test('should flag open duplicates and audit them', async () => {
+    const original = await Ticket.create({
+      title: 'Refund not received',
+      description: 'I requested a refund two weeks ago and it has not arrived',
+      createdBy: customer._id,
+      status: 'waiting_human'
+    });
+    await Ticket.create({
+      title: 'Refund not received',
+      description: 'I requested a refund two weeks ago and it has not arrived',
+      createdBy: otherCustomer._id,
+      status: 'resolved'
+    });
+    const duplicate = await Ticket.create({
+      title: 'Where is my refund',
+      description: 'Requested a refund two weeks ago, not arrived yet',
+      createdBy: customer._id
+    });
+
+    const matches = await similarityService.flagPossibleDuplicates(duplicate, 'trace-dup');
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].ticket.toString()).toBe(original._id.toString());
+    expect(matches[0].sameRequester).toBe(true);
+
+    const updated = await Ticket.findById(duplicate._id);
+    expect(updated.possibleDuplicates[0].ticket.toString()).toBe(original._id.toString());
+    expect(await AuditLog.countDocuments({ ticketId: duplicate._id, action: 'DUPLICATE_SUSPECTED' })).toBe(1);
+  });
+
+  test('should list similar resolved tickets with their final reply', async () => {
+    await Ticket.create({
+      title: 'Double charged on my card',
+      description: 'I was charged twice for my subscription',
+      createdBy: otherCustomer._id,
+      status: 'resolved',
+      replies: [
+        { author: agent._id, content: 'We refunded the duplicate charge.' },
+        { author: agent._id, content: 'Checked with billing', visibility: 'internal' }
+      ]
+    });
+    const ticket = await Ticket.create({
+      title: 'Charged twice',
+      description: 'My card was charged twice this month for the subscription',
+      createdBy: customer._id
+    });
+
+    const similar = await similarityService.findSimilarResolved(ticket);
+
+    expect(similar).toHaveLength(1);
+    expect(similar[0].finalReply.content).toBe('We refunded the duplicate charge.');
+    expect(similar[0].finalReply.author).toBe('Agent');
+  });
+});
@@ -0,0 +1,151 @@
+const { User, Ticket, AuditLog, Config } = require('../models');
+const { SlaService } = require('../services/slaService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('SLA Service', () => {
+  let slaService, customer, agentA, agentB;
+
+  beforeEach(async () => {
+    slaService = new SlaService();
+    await Config.create({ slaHours: 10, firstResponseHours: 2, slaWarningThreshold: 0.8 });
+
+    customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    agentA = await User.create({
+      name: 'Agent A',
+      email: 'a@example.com',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+    agentB = await User.create({
+      name: 'Agent B',
+      email: 'b@example.com',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+  });
+
+  const createTicket = async (ageHours, fields = {}) => {
+    const createdAt = new Date(Date.now() - ageHours * HOUR_MS);
+    const ticket = new Ticket({
+      title: 'Order missing',
+      description: 'My order has not arrived',
+      createdBy: customer._id,
+      status: 'waiting_human',
+      assignee: agentA._id,
+      createdAt,
+      ...fields
+    });
+    await slaService.applyDueDates(ticket);
+    await ticket.save();
+    return ticket;
+  };
+
+  test('should compute due dates from config', async () => {
+    const ticket = await createTicket(0);
+
+    expect(ticket.sla.firstResponseDueAt - ticket.createdAt).toBe(2 * HOUR_MS);
+    expect(ticket.sla.resolutionDueAt - ticket.createdAt).toBe(10 * HOUR_MS);
+  });
+
+  test('should warn when a target is at risk', async () => {
+    const ticket = await createTicket(1.7);
+
+    const summary = await slaService.runCheck();
+
+    const updated = await Ticket.findById(ticket._id);
+    expect(summary.warned).toBe(1);
+    expect(updated.sla.status).toBe('at_risk');
+    expect(await AuditLog.countDocuments({ ticketId: ticket._id, action: 'SLA_WARNING' })).toBe(1);
+
+    // A second pass must not warn again
+    await slaService.runCheck();
+    expect(await AuditLog.countDocuments({ ticketId: ticket._id, action: 'SLA_WARNING' })).toBe(1);
+  });
+
+  test('should flag breaches and reassign to another agent', async () => {
+    const ticket = await createTicket(3);
+
+    await slaService.runCheck();
+
+    const updated = await Ticket.findById(ticket._id);
+    expect(updated.sla.status).toBe('breached');
+    expect(updated.sla.breaches).toContain('first_response');
+    expect(updated.assignee.toString()).toBe(agentB._id.toString());
+
+    const log = await AuditLog.findOne({ ticketId: ticket._id, action: 'SLA_BREACHED' });
+    expect(log.meta.escalation).toBe('reassigned');
+  });
+
+  test('should stop the first response clock once support replies', async () => {
+    const ticket = await createTicket(3);
+    ticket.replies.push({ author: agentA._id, content: 'Looking into it' });
+    await ticket.save();
+
+    await slaService.runCheck();
+
+    const updated = await Ticket.findById(ticket._id);
+    expect(updated.sla.firstRespondedAt).toBeDefined();
+    expect(updated.sla.breaches).not.toContain('first_response');
+  });
+
+  test('should not let already breached tickets starve fresh ones', async () => {
+    slaService = new SlaService({ batchSize: 5 });
+    const createdAt = new Date(Date.now() - 20 * HOUR_MS);
+    await Ticket.insertMany(Array.from({ length: 12 }, (_, index) => ({
+      title: `Overdue ${index}`,
+      description: 'Still waiting',
+      createdBy: customer._id,
+      status: 'waiting_human',
+      assignee: agentA._id,
+      createdAt,
+      sla: {
+        firstResponseDueAt: new Date(createdAt.getTime() + 2 * HOUR_MS),
+        resolutionDueAt: new Date(createdAt.getTime() + 10 * HOUR_MS),
+        status: 'breached',
+        breaches: ['first_response', 'resolution']
+      }
+    })));
+    const fresh = await createTicket(1.7);
+
+    const summary = await slaService.runCheck();
+
+    expect(summary.checked).toBe(1);
+    expect(summary.warned).toBe(1);
+    const updated = await Ticket.findById(fresh._id);
+    expect(updated.sla.status).toBe('at_risk');
+    expect(await AuditLog.countDocuments({ ticketId: fresh._id, action: 'SLA_WARNING' })).toBe(1);
+  });
+
+  test('should check every ticket with work left, batch by batch', async () => {
+    slaService = new SlaService({ batchSize: 2 });
+    for (let i = 0; i < 5; i++) {
+      await createTicket(1.7);
+    }
+
+    const summary = await slaService.runCheck();
+
+    expect(summary).toMatchObject({ checked: 5, warned: 5 });
+  });
+
+  test('should backfill due dates on every unscheduled ticket, batch by batch', async () => {
+    slaService = new SlaService({ batchSize: 2 });
+    for (let i = 0; i < 5; i++) {
+      await Ticket.create({
+        title: 'Order missing',
+        description: 'My order has not arrived',
+        createdBy: customer._id,
+        status: 'open'
+      });
+    }
+
+    await slaService.runCheck();
+
+    expect(await Ticket.countDocuments({ 'sla.resolutionDueAt': { $exists: true } })).toBe(5);
+  });
+});
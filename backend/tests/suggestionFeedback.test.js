@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../server');
+const { User, Ticket, AgentSuggestion, AuditLog } = require('../models');
+const jwt = require('jsonwebtoken');
+
+describe('Suggestion Feedback', () => {
+  let agentToken, adminToken, ticket, suggestion;
+
+  beforeEach(async () => {
+    const customer = await User.create({
+      name: 'Customer',
+      email: 'customer@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    const agent = await User.create({
+      name: 'Agent',
+      email: 'agent@example.com',
+      passwordHash: 'password123',
+      role: 'agent'
+    });
+    agentToken = jwt.sign({ userId: agent._id }, process.env.JWT_SECRET || 'change-me');
+    const admin = await User.create({
+      name: 'Admin',
+      email: 'admin@example.com',
+      passwordHash: 'password123',
+      role: 'admin'
+    });
+    adminToken = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET || 'change-me');
+
+    ticket = await Ticket.create({
+      title: 'Charged twice',
+      description: 'My card was charged twice for one order',
+      category: 'tech',
+      status: 'waiting_human',
+      createdBy: customer._id
+    });
+    suggestion = await AgentSuggestion.create({
+      ticketId: ticket._id,
+      predictedCategory: 'tech',
+      draftReply: 'Please clear your browser cache.',
+      confidence: 0.55,
+      modelInfo: { provider: 'stub', model: 'rule-based' }
+    });
+    ticket.agentSuggestionId = suggestion._id;
+    await ticket.save();
+  });
+
+  test('should keep the original draft and every revision', async () => {
+    await request(app)
+      .put(`/api/agent/suggestion/${suggestion._id}`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ draftReply: 'Sorry about the double charge.' })
+      .expect(200);
+
+    const response = await request(app)
+      .put(`/api/agent/suggestion/${suggestion._id}`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ draftReply: 'Sorry about the double charge, we refunded it.', category: 'billing' })
+      .expect(200);
+
+    expect(response.body.originalDraft).toBe('Please clear your browser cache.');
+    expect(response.body.draftReply).toBe('Sorry about the double charge, we refunded it.');
+    expect(response.body.revisions.map(revision => revision.draftReply)).toEqual([
+      'Sorry about the double charge.',
+      'Sorry about the double charge, we refunded it.'
+    ]);
+    expect(response.body.finalCategory).toBe('billing');
+    expect((await Ticket.findById(ticket._id)).category).toBe('billing');
+
+    const edit = await AuditLog.findOne({ action: 'SUGGESTION_EDITED', 'meta.revision': 2 });
+    expect(edit.meta).toMatchObject({ previousCategory: 'tech', category: 'billing' });
+  });
+
+  test('should capture the first reply an agent sends as the final reply', async () => {
+    for (const content of ['We refunded the duplicate charge.', 'Anything else?']) {
+      await request(app)
+        .post(`/api/tickets/${ticket._id}/reply`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ content })
+        .expect(200);
+    }
+
+    const updated = await AgentSuggestion.findById(suggestion._id);
+    expect(updated.finalReply).toBe('We refunded the duplicate charge.');
+    expect(updated.finalCategory).toBe('tech');
+    expect(updated.finalizedAt).toBeInstanceOf(Date);
+  });
+
+  test('should record thumbs up/down and require a reason for thumbs down', async () => {
+    await request(app)
+      .post(`/api/agent/suggestion/${suggestion._id}/feedback`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ rating: 'down' })
+      .expect(400);
+
+    const response = await request(app)
+      .post(`/api/agent/suggestion/${suggestion._id}/feedback`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ rating: 'down', reason: 'Wrong category, this is a billing issue' })
+      .expect(200);
+
+    expect(response.body.feedback).toMatchObject({ rating: 'down', reason: 'Wrong category, this is a billing issue' });
+    expect(await AuditLog.exists({ action: 'SUGGESTION_FEEDBACK', 'meta.rating': 'down' })).toBeTruthy();
+  });
+
+  test('should export reviewed suggestions as JSONL', async () => {
+    await AgentSuggestion.create({
+      ticketId: ticket._id,
+      predictedCategory: 'other',
+      draftReply: 'Never reviewed',
+      confidence: 0.4
+    });
+    await request(app)
+      .put(`/api/agent/suggestion/${suggestion._id}`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ draftReply: 'We refunded the duplicate charge.', category: 'billing' });
+    await request(app)
+      .post(`/api/tickets/${ticket._id}/reply`)
+      .set('Authorization', `Bearer ${agentToken}`)
+      .send({ content: 'We refunded the duplicate charge.' });
+
+    await request(app)
+      .get('/api/agent/suggestions/export')
+      .set('Authorization', `Bearer ${agentToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/agent/suggestions/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(200);
+
+    const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      suggestionId: String(suggestion._id),
+      input: { title: 'Charged twice' },
+      predicted: { category: 'tech', draftReply: 'Please clear your browser cache.' },
+      final: {
+        category: 'billing',
+        categoryCorrected: true,
+        reply: 'We refunded the duplicate charge.',
+        replyEdited: true
+      }
+    });
+
+    const all = await request(app)
+      .get('/api/agent/suggestions/export?all=true')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .expect(200);
+    expect(all.text.trim().split('\n')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const app = require('../server');
+const { User, Ticket, AuditLog, Config, BusinessCalendar } = require('../models');
+const jwt = require('jsonwebtoken');
+
+describe('Tickets', () => {
+  let owner, ownerToken, otherToken;
+
+  beforeEach(async () => {
+    owner = new User({
+      name: 'Owner',
+      email: 'owner@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    await owner.save();
+    ownerToken = jwt.sign({ userId: owner._id }, process.env.JWT_SECRET || 'change-me');
+
+    const other = new User({
+      name: 'Other',
+      email: 'other@example.com',
+      passwordHash: 'password123',
+      role: 'user'
+    });
+    await other.save();
+    otherToken = jwt.sign({ userId: other._id }, process.env.JWT_SECRET || 'change-me');
+  });
+
+  describe('POST /api/tickets', () => {
+    test('should still create the ticket when the SLA calendar has no open hours', async () => {
+      const calendar = await BusinessCalendar.create({
+        name: 'Never open',
+        schedules: [{ timezone: 'UTC', weeklyHours: [] }]
+      });
+      await Config.create({ businessCalendarId: calendar._id });
+
+      const response = await request(app)
+        .post('/api/tickets')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Order missing', description: 'My order has not arrived' })
+        .expect(201);
+
+      const ticket = await Ticket.findById(response.body.ticket._id);
+      expect(ticket.sla.resolutionDueAt).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/tickets/:id/reply', () => {
+    test('should let the requester reply and reopen a resolved ticket', async () => {
+      const ticket = await Ticket.create({
+        title: 'Refund question',
+        description: 'When will my refund arrive?',
+        createdBy: owner._id,
+        status: 'resolved'
+      });
+
+      const response = await request(app)
+        .post(`/api/tickets/${ticket._id}/reply`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'It has been two weeks and nothing yet.' })
+        .expect(200);
+
+      expect(response.body.status).toBe('open');
+      expect(response.body.replies).toHaveLength(1);
+
+      const actions = (await AuditLog.find({ ticketId: ticket._id })).map(log => log.action);
+      expect(actions).toEqual(expect.arrayContaining(['REPLY_SENT', 'TICKET_REOPENED', 'TRIAGE_REQUESTED']));
+    });
+
+    test('should not let other users reply', async () => {
+      const ticket = await Ticket.create({
+        title: 'Refund question',
+        description: 'When will my refund arrive?',
+        createdBy: owner._id,
+        status: 'waiting_human'
+      });
+
+      await request(app)
+        .post(`/api/tickets/${ticket._id}/reply`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ content: 'Me too!' })
+        .expect(403);
+    });
+
+    test('should reject replies to closed tickets', async () => {
+      const ticket = await Ticket.create({
+        title: 'Refund question',
+        description: 'When will my refund arrive?',
+        createdBy: owner._id,
+        status: 'closed'
+      });
+
+      await request(app)
+        .post(`/api/tickets/${ticket._id}/reply`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'Any update?' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/tickets/:id/notes', () => {
+    let agentToken, ticket;
+
+    beforeEach(async () => {
+      const agent = await User.create({
+        name: 'Agent',
+        email: 'agent@example.com',
+        passwordHash: 'password123',
+        role: 'agent'
+      });
+      agentToken = jwt.sign({ userId: agent._id }, process.env.JWT_SECRET || 'change-me');
+
+      ticket = await Ticket.create({
+        title: 'Refund question',
+        description: 'When will my refund arrive?',
+        createdBy: owner._id,
+        status: 'waiting_human'
+      });
+    });
+
+    test('should hide internal notes from the requester', async () => {
+      await request(app)
+        .post(`/api/tickets/${ticket._id}/notes`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ content: 'Customer was refunded last month already' })
+        .expect(201);
+
+      const asAgent = await request(app)
+        .get(`/api/tickets/${ticket._id}`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .expect(200);
+      expect(asAgent.body.replies).toHaveLength(1);
+      expect(asAgent.body.replies[0].visibility).toBe('internal');
+
+      const asOwner = await request(app)
+        .get(`/api/tickets/${ticket._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+      expect(asOwner.body.replies).toHaveLength(0);
+
+      const updated = await Ticket.findById(ticket._id);
+      expect(updated.sla.firstRespondedAt).toBeUndefined();
+    });
+
+    test('should not let requesters add notes', async () => {
+      await request(app)
+        .post(`/api/tickets/${ticket._id}/notes`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ content: 'Sneaky' })
+        .expect(403);
+    });
+  });
+
+  describe('Merging and linking', () => {
+    let agentToken, source, target;
+
+    beforeEach(async () => {
+      const agent = await User.create({
+        name: 'Agent',
+        email: 'agent@example.com',
+        passwordHash: 'password123',
+        role: 'agent'
+      });
+      agentToken = jwt.sign({ userId: agent._id }, process.env.JWT_SECRET || 'change-me');
+
+      target = await Ticket.create({
+        title: 'Refund question',
+        description: 'When will my refund arrive?',
+        createdBy: owner._id,
+        status: 'waiting_human'
+      });
+      source = await Ticket.create({
+        title: 'Refund again',
+        description: 'Still waiting for my refund',
+        createdBy: owner._id,
+        status: 'open',
+        replies: [{ author: owner._id, content: 'Order #1234', timestamp: new Date(Date.now() + 1000) }]
+      });
+    });
+
+    test('should fold the source into the target and close it', async () => {
+      const response = await request(app)
+        .post(`/api/tickets/${source._id}/merge`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ targetTicketId: target._id.toString() })
+        .expect(200);
+
+      expect(response.body.replies.map(reply => reply.content)).toEqual([
+        expect.stringContaining('Still waiting for my refund'),
+        'Order #1234'
+      ]);
+      expect(response.body.links[0].type).toBe('duplicated_by');
+
+      const closed = await Ticket.findById(source._id);
+      expect(closed.status).toBe('closed');
+      expect(closed.mergedInto.toString()).toBe(target._id.toString());
+      expect(closed.links[0].type).toBe('duplicate_of');
+
+      expect(await AuditLog.countDocuments({ action: 'TICKET_MERGED' })).toBe(2);
+    });
+
+    test('should not copy replies twice when a merge is repeated', async () => {
+      const merge = () => request(app)
+        .post(`/api/tickets/${source._id}/merge`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ targetTicketId: target._id.toString() })
+        .expect(200);
+
+      await merge();
+      const repeated = await merge();
+
+      expect(repeated.body.replies).toHaveLength(2);
+      expect(await AuditLog.countDocuments({ action: 'TICKET_MERGED' })).toBe(2);
+    });
+
+    test('should finish a merge whose source was never closed', async () => {
+      // An earlier attempt copied into the target, then failed
+      target.links.push({ type: 'duplicated_by', ticket: source._id });
+      target.replies.push({ author: owner._id, content: 'Order #1234', timestamp: source.replies[0].timestamp });
+      await target.save();
+
+      const response = await request(app)
+        .post(`/api/tickets/${source._id}/merge`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ targetTicketId: target._id.toString() })
+        .expect(200);
+
+      expect(response.body.replies).toHaveLength(1);
+      expect((await Ticket.findById(source._id)).mergedInto.toString()).toBe(target._id.toString());
+    });
+
+    test('should refuse to merge tickets from different requesters', async () => {
+      const foreign = await Ticket.create({
+        title: 'Someone else',
+        description: 'Another issue',
+        createdBy: (await User.findOne({ email: 'other@example.com' }))._id
+      });
+
+      await request(app)
+        .post(`/api/tickets/${source._id}/merge`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ targetTicketId: foreign._id.toString() })
+        .expect(400);
+    });
+
+    test('should store typed links on both tickets', async () => {
+      await request(app)
+        .post(`/api/tickets/${source._id}/links`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .send({ ticketId: target._id.toString(), type: 'child_of' })
+        .expect(201);
+
+      const parent = await Ticket.findById(target._id);
+      expect(parent.links[0].type).toBe('parent_of');
+      expect(parent.links[0].ticket.toString()).toBe(source._id.toString());
+
+      const child = await Ticket.findById(source._id);
+      await request(app)
+        .delete(`/api/tickets/${source._id}/links/${child.links[0]._id}`)
+        .set('Authorization', `Bearer ${agentToken}`)
+        .expect(200);
+
+      expect((await Ticket.findById(target._id)).links).toHaveLength(0);
+      expect(await AuditLog.countDocuments({ action: { $in: ['TICKET_LINKED', 'TICKET_UNLINKED'] } })).toBe(2);
+    });
+  });
+});
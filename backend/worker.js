@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const AgentService = require("./services/agentService");
+const { JobWorker, createDefaultHandlers } = require("./services/jobWorker");
+const { SlaScheduler } = require("./services/slaService");
+
+// Standalone job worker. Run alongside the API with WORKER_MODE=external so
+// triage and SLA checks keep going independently of API restarts.
+const worker = new JobWorker({
+  handlers: createDefaultHandlers(new AgentService()),
+});
+const slaScheduler = new SlaScheduler();
+
+const shutdown = async (signal) => {
+  console.log(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: "info",
+      message: `${signal} received. Stopping worker after current job...`,
+      service: "helpdesk-worker",
+    })
+  );
+  await worker.stop();
+  await slaScheduler.stop();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+mongoose
+  .connect(process.env.MONGO_URI || "mongodb://localhost:27017/helpdesk")
+  .then(() => {
+    console.log(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: "info",
+        message: "Worker connected to MongoDB",
+        service: "helpdesk-worker",
+      })
+    );
+    worker.start();
+    slaScheduler.start();
+  })
+  .catch((err) => {
+    console.error(
+      JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: "error",
+        message: "MongoDB connection failed",
+        error: err.message,
+        service: "helpdesk-worker",
+      })
+    );
+    process.exit(1);
+  });
@@ -19,7 +19,10 @@ import {
   UserCheck,
   FileText,
   BarChart3,
-  Calendar
+  Calendar,
+  Paperclip,
+  ThumbsUp,
+  ThumbsDown
 } from 'lucide-react';
 
 // API Configuration
@@ -70,15 +73,17 @@ const authReducer = (state, action) => {
 const api = {
   async request(endpoint, options = {}) {
     const token = localStorage.getItem('token');
+    const isFormData = options.body instanceof FormData;
     const config = {
       headers: {
-        'Content-Type': 'application/json',
+        // Let the browser set the multipart boundary for FormData bodies
+        ...(!isFormData && { 'Content-Type': 'application/json' }),
         ...(token && { Authorization: `Bearer ${token}` })
       },
       ...options
     };
 
-    if (options.body && typeof options.body === 'object') {
+    if (options.body && typeof options.body === 'object' && !isFormData) {
       config.body = JSON.stringify(options.body);
     }
 
@@ -89,7 +94,18 @@ const api = {
       throw new Error(error.error || 'Request failed');
     }
 
-    return response.json();
+    return options.raw ? response : response.json();
+  },
+
+  // Sends fields as multipart form data when files are attached
+  withFiles(fields, files = []) {
+    if (!files.length) return fields;
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') formData.append(key, value);
+    });
+    files.forEach((file) => formData.append('attachments', file));
+    return formData;
   },
 
   // Auth endpoints
@@ -123,9 +139,23 @@ const api = {
       return api.request(`/tickets?${params}`);
     },
     get: (id) => api.request(`/tickets/${id}`),
-    create: (ticket) => api.request('/tickets', { method: 'POST', body: ticket }),
-    reply: (id, reply) => api.request(`/tickets/${id}/reply`, { method: 'POST', body: reply }),
+    create: ({ files, ...ticket }) => api.request('/tickets', { method: 'POST', body: api.withFiles(ticket, files) }),
+    reply: (id, { files, ...reply }) => api.request(`/tickets/${id}/reply`, { method: 'POST', body: api.withFiles(reply, files) }),
+    downloadAttachment: async (id, attachment) => {
+      const response = await api.request(`/tickets/${id}/attachments/${attachment._id}`, { raw: true });
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    addNote: (id, content) => api.request(`/tickets/${id}/notes`, { method: 'POST', body: { content } }),
     assign: (id, assigneeId) => api.request(`/tickets/${id}/assign`, { method: 'POST', body: { assigneeId } }),
+    setPriority: (id, priority) => api.request(`/tickets/${id}/priority`, { method: 'POST', body: { priority } }),
+    merge: (id, targetTicketId) => api.request(`/tickets/${id}/merge`, { method: 'POST', body: { targetTicketId } }),
+    addLink: (id, ticketId, type) => api.request(`/tickets/${id}/links`, { method: 'POST', body: { ticketId, type } }),
+    removeLink: (id, linkId) => api.request(`/tickets/${id}/links/${linkId}`, { method: 'DELETE' }),
     reopen: (id) => api.request(`/tickets/${id}/reopen`, { method: 'POST' }),
     close: (id) => api.request(`/tickets/${id}/close`, { method: 'POST' })
   },
@@ -136,14 +166,48 @@ const api = {
     getSuggestion: (ticketId) => api.request(`/agent/suggestion/${ticketId}`),
     updateSuggestion: (suggestionId, draft) => 
       api.request(`/agent/suggestion/${suggestionId}`, { method: 'PUT', body: { draftReply: draft } }),
+    feedback: (suggestionId, rating, reason) =>
+      api.request(`/agent/suggestion/${suggestionId}/feedback`, { method: 'POST', body: { rating, reason } }),
+    exportSuggestions: async () => {
+      const response = await api.request('/agent/suggestions/export', { raw: true });
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `suggestions-${new Date().toISOString().slice(0, 10)}.jsonl`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
     retry: (ticketId) => api.request(`/agent/retry/${ticketId}`, { method: 'POST' }),
-    stats: () => api.request('/agent/stats')
+    stats: () => api.request('/agent/stats'),
+    shadowReport: () => api.request('/agent/shadow/report')
   },
 
   // Config endpoints
   config: {
     get: () => api.request('/config'),
-    update: (config) => api.request('/config', { method: 'PUT', body: config })
+    update: (config) => api.request('/config', { method: 'PUT', body: config }),
+    llmProviders: () => api.request('/config/llm-providers'),
+    calibration: () => api.request('/config/calibration'),
+    calibrate: (data) => api.request('/config/calibration', { method: 'POST', body: data }),
+    prompts: {
+      list: () => api.request('/config/prompts'),
+      get: (name) => api.request(`/config/prompts/${name}`),
+      addVersion: (name, data) => api.request(`/config/prompts/${name}/versions`, { method: 'POST', body: data }),
+      update: (name, data) => api.request(`/config/prompts/${name}`, { method: 'PUT', body: data }),
+      render: (name, data) => api.request(`/config/prompts/${name}/render`, { method: 'POST', body: data })
+    },
+    experiments: {
+      list: () => api.request('/config/experiments'),
+      create: (data) => api.request('/config/experiments', { method: 'POST', body: data }),
+      update: (name, data) => api.request(`/config/experiments/${name}`, { method: 'PUT', body: data })
+    }
+  },
+
+  // User endpoints
+  users: {
+    agents: () => api.request('/users/agents'),
+    getAvailability: () => api.request('/users/me/availability'),
+    setAvailability: (availability) => api.request('/users/me/availability', { method: 'PUT', body: availability })
   },
 
   // Audit endpoints
@@ -351,6 +415,73 @@ function LoginForm() {
 }
 
 // Layout Components
+function AvailabilityControl() {
+  const [status, setStatus] = useState('online');
+  const [until, setUntil] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.users.getAvailability()
+      .then((data) => {
+        setStatus(data.availability?.status || 'online');
+        if (data.availability?.outOfOfficeUntil) {
+          setUntil(data.availability.outOfOfficeUntil.substring(0, 10));
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  const save = async (nextStatus, nextUntil) => {
+    try {
+      const result = await api.users.setAvailability({
+        status: nextStatus,
+        outOfOfficeUntil: nextStatus === 'out_of_office' ? new Date(nextUntil).toISOString() : undefined
+      });
+      setMessage(result.redistribution ? `${result.redistribution.moved} ticket(s) reassigned` : '');
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const changeStatus = (nextStatus) => {
+    setStatus(nextStatus);
+    if (nextStatus !== 'out_of_office') save(nextStatus);
+  };
+
+  return (
+    <div className="mt-3 space-y-2">
+      <select
+        value={status}
+        onChange={(e) => changeStatus(e.target.value)}
+        className="w-full px-2 py-1 bg-gray-700 text-white text-sm rounded-md"
+      >
+        <option value="online">Online</option>
+        <option value="away">Away</option>
+        <option value="offline">Offline</option>
+        <option value="out_of_office">Out of office</option>
+      </select>
+      {status === 'out_of_office' && (
+        <div className="flex space-x-2">
+          <input
+            type="date"
+            value={until}
+            onChange={(e) => setUntil(e.target.value)}
+            className="flex-1 px-2 py-1 bg-gray-700 text-white text-sm rounded-md"
+          />
+          <button
+            onClick={() => save(status, until)}
+            disabled={!until}
+            className="px-2 py-1 bg-blue-600 text-sm rounded-md disabled:opacity-50"
+          >
+            Set
+          </button>
+        </div>
+      )}
+      {message && <p className="text-xs text-gray-400">{message}</p>}
+    </div>
+  );
+}
+
 function Sidebar({ activeView, setActiveView }) {
   const { user, logout } = useAuth();
 
@@ -369,6 +500,7 @@ function Sidebar({ activeView, setActiveView }) {
         <h1 className="text-xl font-bold">Smart Helpdesk</h1>
         <p className="text-sm text-gray-400">Welcome, {user.name}</p>
         <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+        {user.role === 'agent' && <AvailabilityControl />}
       </div>
 
       <nav className="space-y-2">
@@ -492,6 +624,41 @@ function TicketList() {
           <option value="other">Other</option>
         </select>
 
+        <select
+          value={filters.priority || ''}
+          onChange={(e) => setFilters({ ...filters, priority: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All Priorities</option>
+          <option value="urgent">Urgent</option>
+          <option value="high">High</option>
+          <option value="normal">Normal</option>
+          <option value="low">Low</option>
+        </select>
+
+        <select
+          value={filters.sort || ''}
+          onChange={(e) => setFilters({ ...filters, sort: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Default Order</option>
+          <option value="newest">Newest First</option>
+          <option value="priority">Highest Priority</option>
+          <option value="due">Due Soonest</option>
+        </select>
+
+        {user.role !== 'user' && (
+          <select
+            value={filters.sla || ''}
+            onChange={(e) => setFilters({ ...filters, sla: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All SLA States</option>
+            <option value="at_risk">SLA At Risk</option>
+            <option value="breached">SLA Breached</option>
+          </select>
+        )}
+
         {user.role !== 'user' && (
           <label className="flex items-center">
             <input
@@ -546,6 +713,16 @@ function TicketItem({ ticket }) {
     });
   };
 
+  const getPriorityColor = (priority) => {
+    const colors = {
+      urgent: 'bg-red-100 text-red-800',
+      high: 'bg-orange-100 text-orange-800',
+      normal: 'bg-gray-100 text-gray-800',
+      low: 'bg-green-100 text-green-800'
+    };
+    return colors[priority] || 'bg-gray-100 text-gray-800';
+  };
+
   return (
     <>
       <li className="px-6 py-4 hover:bg-gray-50 cursor-pointer" onClick={() => setShowDetails(!showDetails)}>
@@ -553,7 +730,12 @@ function TicketItem({ ticket }) {
           <div className="flex-1">
             <div className="flex items-center justify-between">
               <h3 className="text-sm font-medium text-gray-900 truncate">{ticket.title}</h3>
-              <div className="ml-2 flex-shrink-0 flex">
+              <div className="ml-2 flex-shrink-0 flex gap-2">
+                {ticket.priority && ticket.priority !== 'normal' && (
+                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${getPriorityColor(ticket.priority)}`}>
+                    {ticket.priority}
+                  </span>
+                )}
                 <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(ticket.status)}`}>
                   {ticket.status.replace('_', ' ')}
                 </span>
@@ -590,12 +772,24 @@ function TicketItem({ ticket }) {
   );
 }
 
+const LINK_LABELS = {
+  duplicate_of: 'Duplicate of',
+  duplicated_by: 'Duplicated by',
+  related_to: 'Related to',
+  parent_of: 'Parent of',
+  child_of: 'Child of'
+};
+
 function TicketDetails({ ticketId, onClose }) {
   const [ticket, setTicket] = useState(null);
   const [suggestion, setSuggestion] = useState(null);
   const [loading, setLoading] = useState(true);
   const [replyContent, setReplyContent] = useState('');
+  const [replyFiles, setReplyFiles] = useState([]);
+  const [linkForm, setLinkForm] = useState({ type: 'related_to', ticketId: '' });
   const [sending, setSending] = useState(false);
+  const [feedbackReason, setFeedbackReason] = useState(null);
+  const [openCitation, setOpenCitation] = useState(null);
   const { user } = useAuth();
 
   useEffect(() => {
@@ -632,11 +826,11 @@ function TicketDetails({ ticketId, onClose }) {
 
     try {
       setSending(true);
-      await api.tickets.reply(ticketId, {
-        content: replyContent,
-        status: 'resolved'
-      });
+      await api.tickets.reply(ticketId, user.role === 'user'
+        ? { content: replyContent, files: replyFiles }
+        : { content: replyContent, status: 'resolved', files: replyFiles });
       setReplyContent('');
+      setReplyFiles([]);
       await loadTicketDetails();
     } catch (error) {
       console.error('Error sending reply:', error);
@@ -645,6 +839,56 @@ function TicketDetails({ ticketId, onClose }) {
     }
   };
 
+  // A thumbs down opens the reason box first; the reason is required
+  const sendFeedback = async (rating) => {
+    try {
+      const updated = await api.agent.feedback(suggestion._id, rating, rating === 'down' ? feedbackReason : undefined);
+      setSuggestion({ ...suggestion, feedback: updated.feedback });
+      setFeedbackReason(null);
+    } catch (error) {
+      console.error('Error sending feedback:', error);
+    }
+  };
+
+  const downloadAttachment = async (attachment) => {
+    try {
+      await api.tickets.downloadAttachment(ticketId, attachment);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+    }
+  };
+
+  const renderAttachments = (attachments) => attachments && attachments.length > 0 && (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {attachments.map((attachment) => (
+        <button
+          key={attachment._id}
+          onClick={() => downloadAttachment(attachment)}
+          className="inline-flex items-center px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+        >
+          <Paperclip className="h-3 w-3 mr-1" />
+          {attachment.filename}
+          <span className="ml-1 text-gray-500">({Math.ceil(attachment.size / 1024)} KB)</span>
+        </button>
+      ))}
+    </div>
+  );
+
+  const addNote = async () => {
+    if (!replyContent.trim()) return;
+
+    try {
+      setSending(true);
+      await api.tickets.addNote(ticketId, replyContent);
+      setReplyContent('');
+      await loadTicketDetails();
+    } catch (error) {
+      console.error('Error adding note:', error);
+    } finally {
+      setSending(false);
+    }
+  };
+
   const handleAction = async (action, data = {}) => {
     try {
       switch (action) {
@@ -657,6 +901,20 @@ function TicketDetails({ ticketId, onClose }) {
         case 'triage':
           await api.agent.triage(ticketId);
           break;
+        case 'priority':
+          await api.tickets.setPriority(ticketId, data.priority);
+          break;
+        case 'link':
+          if (data.type === 'merge') {
+            await api.tickets.merge(ticketId, data.ticketId);
+          } else {
+            await api.tickets.addLink(ticketId, data.ticketId, data.type);
+          }
+          setLinkForm({ type: 'related_to', ticketId: '' });
+          break;
+        case 'unlink':
+          await api.tickets.removeLink(ticketId, data.linkId);
+          break;
       }
       await loadTicketDetails();
     } catch (error) {
@@ -673,7 +931,46 @@ function TicketDetails({ ticketId, onClose }) {
         <div className="flex justify-between items-start">
           <div>
             <h4 className="text-lg font-medium text-gray-900">{ticket.title}</h4>
+            {user.role !== 'user' && <p className="text-xs text-gray-400">ID: {ticket._id}</p>}
             <p className="text-sm text-gray-600 mt-1">{ticket.description}</p>
+            {renderAttachments(ticket.attachments)}
+            {user.role !== 'user' && (
+              <div className="mt-2 flex items-center text-sm text-gray-600">
+                <span className="mr-2">Priority:</span>
+                <select
+                  value={ticket.priority}
+                  onChange={(e) => handleAction('priority', { priority: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="urgent">Urgent</option>
+                  <option value="high">High</option>
+                  <option value="normal">Normal</option>
+                  <option value="low">Low</option>
+                </select>
+                {ticket.prioritySource === 'predicted' && (
+                  <span className="ml-2 text-xs text-blue-600">(AI predicted)</span>
+                )}
+              </div>
+            )}
+            {user.role !== 'user' && !ticket.mergedInto && (ticket.possibleDuplicates || []).map((duplicate) => (
+              <p key={duplicate.ticket?._id || duplicate.ticket} className="mt-2 text-sm text-orange-700">
+                Possible duplicate of "{duplicate.ticket?.title || duplicate.ticket}"
+                {' '}({Math.round(duplicate.score * 100)}% similar{duplicate.sameRequester ? ', same requester' : ''})
+                {duplicate.ticket?._id && (
+                  <button
+                    onClick={() => setLinkForm({ type: 'merge', ticketId: duplicate.ticket._id })}
+                    className="ml-2 text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    Merge...
+                  </button>
+                )}
+              </p>
+            ))}
+            {ticket.mergedInto && (
+              <p className="mt-2 text-sm text-orange-700">
+                Merged into: {ticket.mergedInto.title || ticket.mergedInto}
+              </p>
+            )}
           </div>
           <button
             onClick={onClose}
@@ -683,20 +980,164 @@ function TicketDetails({ ticketId, onClose }) {
           </button>
         </div>
 
+        {user.role !== 'user' && (
+          <div className="space-y-2">
+            <h5 className="font-medium text-gray-900">Linked Tickets</h5>
+            {(ticket.links || []).map((link) => (
+              <div key={link._id} className="flex items-center justify-between text-sm">
+                <span>
+                  <span className="text-gray-500 mr-2">{LINK_LABELS[link.type]}</span>
+                  <span className="font-medium">{link.ticket?.title || link.ticket}</span>
+                  {link.ticket?.status && (
+                    <span className="ml-2 text-xs text-gray-500">({link.ticket.status.replace('_', ' ')})</span>
+                  )}
+                </span>
+                <button
+                  onClick={() => handleAction('unlink', { linkId: link._id })}
+                  className="text-xs text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {!ticket.mergedInto && (
+              <div className="flex space-x-2">
+                <select
+                  value={linkForm.type}
+                  onChange={(e) => setLinkForm({ ...linkForm, type: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="related_to">Related to</option>
+                  <option value="duplicate_of">Duplicate of</option>
+                  <option value="parent_of">Parent of</option>
+                  <option value="child_of">Child of</option>
+                  <option value="merge">Merge into</option>
+                </select>
+                <input
+                  type="text"
+                  value={linkForm.ticketId}
+                  onChange={(e) => setLinkForm({ ...linkForm, ticketId: e.target.value.trim() })}
+                  placeholder="Ticket ID"
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={() => handleAction('link', linkForm)}
+                  disabled={!linkForm.ticketId}
+                  className="px-3 py-1 text-sm bg-gray-600 text-white rounded hover:bg-gray-700 disabled:opacity-50"
+                >
+                  {linkForm.type === 'merge' ? 'Merge' : 'Link'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {suggestion && user.role !== 'user' && (
           <div className="bg-blue-50 rounded-lg p-4">
             <h5 className="font-medium text-blue-900 mb-2 flex items-center">
               <Bot className="h-4 w-4 mr-2" />
-              AI Suggestion (Confidence: {Math.round(suggestion.confidence * 100)}%)
+              AI Suggestion (Confidence: {Math.round(suggestion.confidence * 100)}%
+              {suggestion.calibration?.method && `, raw ${Math.round(suggestion.rawConfidence * 100)}%`})
             </h5>
+            {suggestion.modelInfo?.fallbacks?.length > 0 && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded px-2 py-1 mb-2">
+                Produced by the rule-based fallback because the AI provider failed
+                ({suggestion.modelInfo.fallbacks.map((fallback) => `${fallback.task}: ${fallback.reason}`).join('; ')})
+              </p>
+            )}
             <p className="text-sm text-blue-800 mb-2">
               Predicted Category: <span className="font-medium capitalize">{suggestion.predictedCategory}</span>
             </p>
-            {suggestion.articleIds && suggestion.articleIds.length > 0 && (
+            {suggestion.citations && suggestion.citations.length > 0 ? (
+              <div className="text-sm text-blue-800 mb-2">
+                <p>Cited Articles:</p>
+                <ul className="mt-1 space-y-1">
+                  {suggestion.citations.map((citation) => {
+                    const article = suggestion.articleIds?.find((item) => item._id === citation.articleId);
+                    return (
+                      <li key={citation.marker}>
+                        <button
+                          onClick={() => setOpenCitation(openCitation === citation.marker ? null : citation.marker)}
+                          className="text-blue-600 hover:text-blue-800 underline"
+                        >
+                          [{citation.marker}] {citation.title}
+                        </button>
+                        {openCitation === citation.marker && article && (
+                          <p className="mt-1 bg-white rounded p-2 text-gray-700 whitespace-pre-line">{article.body}</p>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ) : suggestion.articleIds && suggestion.articleIds.length > 0 && (
               <p className="text-sm text-blue-800 mb-2">
                 Referenced Articles: {suggestion.articleIds.length}
               </p>
             )}
+            {suggestion.danglingCitations?.length > 0 && (
+              <p className="text-xs text-yellow-800 mb-2">
+                Removed citations with no matching article: {suggestion.danglingCitations.map((marker) => `[${marker}]`).join(', ')}
+              </p>
+            )}
+            {suggestion.similarResolvedTickets && suggestion.similarResolvedTickets.length > 0 && (
+              <div className="mt-3 space-y-2">
+                <p className="text-sm font-medium text-blue-900">Similar resolved tickets</p>
+                {suggestion.similarResolvedTickets.map((similar) => (
+                  <div key={similar.ticketId} className="bg-white rounded p-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-900">{similar.title}</span>
+                      <span className="text-xs text-gray-500">{Math.round(similar.score * 100)}% similar</span>
+                    </div>
+                    <p className="text-gray-700 mt-1 whitespace-pre-line">{similar.finalReply.content}</p>
+                    <button
+                      onClick={() => setReplyContent(similar.finalReply.content)}
+                      className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Use this reply
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="mt-3 flex items-center gap-2 text-sm text-blue-900">
+              <span>Was this suggestion helpful?</span>
+              <button
+                onClick={() => sendFeedback('up')}
+                className={`p-1 rounded ${suggestion.feedback?.rating === 'up' ? 'bg-green-100 text-green-700' : 'hover:bg-blue-100'}`}
+                title="Helpful"
+              >
+                <ThumbsUp className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setFeedbackReason(feedbackReason === null ? '' : null)}
+                className={`p-1 rounded ${suggestion.feedback?.rating === 'down' ? 'bg-red-100 text-red-700' : 'hover:bg-blue-100'}`}
+                title="Not helpful"
+              >
+                <ThumbsDown className="h-4 w-4" />
+              </button>
+              {suggestion.feedback?.reason && feedbackReason === null && (
+                <span className="text-xs text-gray-600">"{suggestion.feedback.reason}"</span>
+              )}
+            </div>
+            {feedbackReason !== null && (
+              <div className="mt-2 flex gap-2">
+                <input
+                  type="text"
+                  value={feedbackReason}
+                  onChange={(e) => setFeedbackReason(e.target.value)}
+                  placeholder="What was wrong with it?"
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                />
+                <button
+                  onClick={() => sendFeedback('down')}
+                  disabled={!feedbackReason.trim()}
+                  className="px-3 py-1 bg-blue-600 text-white rounded text-sm disabled:opacity-50"
+                >
+                  Send
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -704,22 +1145,56 @@ function TicketDetails({ ticketId, onClose }) {
           <div className="space-y-3">
             <h5 className="font-medium text-gray-900">Conversation</h5>
             {ticket.replies.map((reply, index) => (
-              <div key={index} className={`p-3 rounded-lg ${reply.isAgentGenerated ? 'bg-blue-50' : 'bg-white border'}`}>
+              <div key={index} className={`p-3 rounded-lg ${
+                reply.visibility === 'internal'
+                  ? 'bg-yellow-50 border border-yellow-200'
+                  : reply.isAgentGenerated ? 'bg-blue-50' : 'bg-white border'
+              }`}>
                 <div className="flex items-center justify-between mb-2">
                   <span className="text-sm font-medium text-gray-900">
                     {reply.author?.name || 'System'}
                     {reply.isAgentGenerated && <span className="ml-2 text-xs text-blue-600">(AI Generated)</span>}
+                    {reply.visibility === 'internal' && <span className="ml-2 text-xs text-yellow-700">(Internal note)</span>}
                   </span>
                   <span className="text-xs text-gray-500">
                     {new Date(reply.timestamp).toLocaleString()}
                   </span>
                 </div>
                 <p className="text-sm text-gray-700">{reply.content}</p>
+                {renderAttachments(reply.attachments)}
               </div>
             ))}
           </div>
         )}
 
+        {user.role === 'user' && ticket.status !== 'closed' && (
+          <div className="space-y-3">
+            <textarea
+              value={replyContent}
+              onChange={(e) => setReplyContent(e.target.value)}
+              placeholder="Add more details or answer our questions..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              rows={3}
+            />
+            <input
+              type="file"
+              multiple
+              onChange={(e) => setReplyFiles(Array.from(e.target.files))}
+              className="text-sm text-gray-600"
+            />
+            <div className="flex justify-end">
+              <button
+                onClick={sendReply}
+                disabled={sending || !replyContent.trim()}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Send className="h-4 w-4 mr-2" />
+                {sending ? 'Sending...' : 'Send Reply'}
+              </button>
+            </div>
+          </div>
+        )}
+
         {user.role !== 'user' && (
           <div className="space-y-3">
             <textarea
@@ -729,6 +1204,12 @@ function TicketDetails({ ticketId, onClose }) {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               rows={4}
             />
+            <input
+              type="file"
+              multiple
+              onChange={(e) => setReplyFiles(Array.from(e.target.files))}
+              className="text-sm text-gray-600"
+            />
             <div className="flex justify-between">
               <div className="space-x-2">
                 {ticket.status === 'open' && (
@@ -756,14 +1237,23 @@ function TicketDetails({ ticketId, onClose }) {
                   </button>
                 )}
               </div>
-              <button
-                onClick={sendReply}
-                disabled={sending || !replyContent.trim()}
-                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
-              >
-                <Send className="h-4 w-4 mr-2" />
-                {sending ? 'Sending...' : 'Send Reply'}
-              </button>
+              <div className="flex space-x-2">
+                <button
+                  onClick={addNote}
+                  disabled={sending || !replyContent.trim()}
+                  className="px-4 py-2 bg-yellow-100 text-yellow-800 rounded-md hover:bg-yellow-200 disabled:opacity-50"
+                >
+                  Add Internal Note
+                </button>
+                <button
+                  onClick={sendReply}
+                  disabled={sending || !replyContent.trim()}
+                  className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4 mr-2" />
+                  {sending ? 'Sending...' : 'Send Reply'}
+                </button>
+              </div>
             </div>
           </div>
         )}
@@ -776,7 +1266,9 @@ function CreateTicketModal({ isOpen, onClose, onSubmit }) {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: 'other'
+    category: 'other',
+    priority: '',
+    files: []
   });
   const [submitting, setSubmitting] = useState(false);
 
@@ -785,7 +1277,7 @@ function CreateTicketModal({ isOpen, onClose, onSubmit }) {
     setSubmitting(true);
     try {
       await onSubmit(formData);
-      setFormData({ title: '', description: '', category: 'other' });
+      setFormData({ title: '', description: '', category: 'other', priority: '', files: [] });
       onClose();
     } catch (error) {
       console.error('Error creating ticket:', error);
@@ -830,6 +1322,23 @@ function CreateTicketModal({ isOpen, onClose, onSubmit }) {
               <option value="other">Other</option>
             </select>
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Priority
+            </label>
+            <select
+              value={formData.priority}
+              onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Let us decide</option>
+              <option value="low">Low</option>
+              <option value="normal">Normal</option>
+              <option value="high">High</option>
+              <option value="urgent">Urgent</option>
+            </select>
+          </div>
           
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -844,6 +1353,19 @@ function CreateTicketModal({ isOpen, onClose, onSubmit }) {
               placeholder="Detailed description of the issue"
             />
           </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Attachments
+            </label>
+            <input
+              type="file"
+              multiple
+              onChange={(e) => setFormData({ ...formData, files: Array.from(e.target.files) })}
+              className="w-full text-sm text-gray-600"
+            />
+            <p className="text-xs text-gray-500 mt-1">Screenshots, invoices or logs (up to 5 files)</p>
+          </div>
           
           <div className="flex justify-end space-x-3">
             <button
@@ -1367,10 +1889,56 @@ function Dashboard() {
           </div>
         </div>
       )}
+
+      {stats?.experiments?.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h3 className="text-lg font-medium mb-4">Experiments</h3>
+          {stats.experiments.map((experiment) => (
+            <div key={experiment.experiment} className="mb-4 last:mb-0">
+              <div className="text-sm font-medium mb-1">
+                {experiment.experiment}
+                <span className="ml-2 text-gray-500">{LLM_TASK_LABELS[experiment.task]} · {experiment.status}</span>
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1">Variant</th>
+                    <th className="py-1">Tickets</th>
+                    <th className="py-1">Auto-close</th>
+                    <th className="py-1">Reopened</th>
+                    <th className="py-1">Words edited (share)</th>
+                    <th className="py-1">Latency</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {experiment.variants.map((variant) => (
+                    <tr key={variant.variant} className="border-t">
+                      <td className="py-1">{variant.variant}</td>
+                      <td className="py-1">{variant.tickets}</td>
+                      <td className="py-1">{formatRate(variant.autoCloseRate)}</td>
+                      <td className="py-1">{formatRate(variant.reopenRate)}</td>
+                      <td className="py-1">
+                        {variant.editDistance.words === null
+                          ? 'n/a'
+                          : `${variant.editDistance.words} (${formatRate(variant.editDistance.normalized)})`}
+                      </td>
+                      <td className="py-1">
+                        {variant.averageLatencyMs === null ? 'n/a' : `${Math.round(variant.averageLatencyMs)} ms`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
+const formatRate = (value) => (value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`);
+
 function StatCard({ title, value, subtitle, icon }) {
   return (
     <div className="bg-white rounded-lg shadow p-6">
@@ -1391,8 +1959,24 @@ function StatCard({ title, value, subtitle, icon }) {
 }
 
 // Settings Components
+const LLM_TASK_LABELS = {
+  classify: 'Classification',
+  draft: 'Reply drafts',
+  priority: 'Priority prediction'
+};
+
+const TICKET_CATEGORIES = ['billing', 'tech', 'shipping', 'other'];
+
+const AUTO_CLOSE_FACTOR_LABELS = {
+  confidence: 'Classification confidence',
+  retrieval: 'KB match quality',
+  citations: 'Citation coverage',
+  draftLength: 'Draft length'
+};
+
 function SystemSettings() {
   const [config, setConfig] = useState(null);
+  const [llmProviders, setLlmProviders] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
@@ -1403,6 +1987,13 @@ function SystemSettings() {
     loadConfig();
   }, []);
 
+  useEffect(() => {
+    if (user.role !== 'admin') return;
+    api.config.llmProviders()
+      .then(setLlmProviders)
+      .catch((error) => setError(error.message));
+  }, [user.role]);
+
   const loadConfig = async () => {
     try {
       setLoading(true);
@@ -1441,6 +2032,28 @@ function SystemSettings() {
   if (loading) return <LoadingSpinner />;
   if (!config) return <div>Failed to load configuration</div>;
 
+  const setLlmRoute = (task, changes) => setConfig({
+    ...config,
+    llm: { ...config.llm, [task]: { ...config.llm?.[task], ...changes } }
+  });
+
+  const setShadow = (changes) => setConfig({
+    ...config,
+    shadow: { ...config.shadow, ...changes }
+  });
+
+  const setShadowRoute = (task, changes) => setShadow({
+    llm: { ...config.shadow?.llm, [task]: { ...config.shadow?.llm?.[task], ...changes } }
+  });
+
+  const setCategoryAutoClose = (category, changes) => setConfig({
+    ...config,
+    autoCloseByCategory: {
+      ...config.autoCloseByCategory,
+      [category]: { ...config.autoCloseByCategory?.[category], ...changes }
+    }
+  });
+
   return (
     <div className="p-6">
       <div className="max-w-2xl">
@@ -1486,10 +2099,98 @@ function SystemSettings() {
               <span>100%</span>
             </div>
             <p className="text-sm text-gray-500 mt-2">
-              Tickets with AI confidence above this threshold will be auto-closed (if enabled)
+              Tickets whose auto-close score reaches this threshold will be auto-closed (if enabled)
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Auto-Close Score Weights
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(AUTO_CLOSE_FACTOR_LABELS).map(([factor, label]) => (
+                <label key={factor} className="flex items-center justify-between text-sm text-gray-600">
+                  <span>{label}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={config.autoCloseWeights?.[factor] ?? 0}
+                    onChange={(e) => setConfig({
+                      ...config,
+                      autoCloseWeights: { ...config.autoCloseWeights, [factor]: parseFloat(e.target.value) || 0 }
+                    })}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+              ))}
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              The score is the weighted average of these factors; each decision's breakdown is in the audit log
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Auto-Close by Category
+            </label>
+            <div className="space-y-2">
+              {TICKET_CATEGORIES.map((category) => {
+                const override = config.autoCloseByCategory?.[category] || {};
+                const enabled = override.enabled ?? null;
+                return (
+                  <div key={category} className="grid grid-cols-3 gap-2 items-center">
+                    <span className="text-sm text-gray-600 capitalize">{category}</span>
+                    <select
+                      value={enabled === null ? '' : String(enabled)}
+                      onChange={(e) => setCategoryAutoClose(category, {
+                        enabled: e.target.value === '' ? null : e.target.value === 'true'
+                      })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Default</option>
+                      <option value="true">Auto-close</option>
+                      <option value="false">Never auto-close</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={override.confidenceThreshold ?? ''}
+                      placeholder={`Threshold (${config.confidenceThreshold})`}
+                      onChange={(e) => setCategoryAutoClose(category, {
+                        confidenceThreshold: e.target.value === '' ? null : parseFloat(e.target.value)
+                      })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              Overrides for the predicted category; turning Auto-Close Tickets off still disables every category
             </p>
           </div>
 
+          <div>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={config.calibrationEnabled ?? true}
+                onChange={(e) => setConfig({ ...config, calibrationEnabled: e.target.checked })}
+                className="mr-3"
+              />
+              <div>
+                <div className="font-medium">Calibrated Confidence</div>
+                <div className="text-sm text-gray-500">
+                  Compare thresholds against confidence calibrated on past triage outcomes, where a calibration has been fitted
+                </div>
+              </div>
+            </label>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               SLA Hours
@@ -1503,21 +2204,774 @@ function SystemSettings() {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
             <p className="text-sm text-gray-500 mt-1">
-              Target response time in hours (1-168)
+              Target resolution time in hours (1-168)
             </p>
           </div>
 
-          <div className="pt-4 border-t">
-            <button
-              onClick={saveConfig}
-              disabled={saving}
-              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
-            >
-              {saving ? 'Saving...' : 'Save Configuration'}
-            </button>
-          </div>
-        </div>
-      </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              First Response Hours
+            </label>
+            <input
+              type="number"
+              min="0.25"
+              max="168"
+              step="0.25"
+              value={config.firstResponseHours}
+              onChange={(e) => setConfig({ ...config, firstResponseHours: parseFloat(e.target.value) })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-sm text-gray-500 mt-1">
+              Target time until the first reply from support
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Assignment Strategy
+            </label>
+            <select
+              value={config.assignmentStrategy || 'least_open'}
+              onChange={(e) => setConfig({ ...config, assignmentStrategy: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="least_open">Fewest open tickets</option>
+              <option value="round_robin">Round robin</option>
+              <option value="skills">Category skills</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              How tickets that need a human are assigned to available agents
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Max Attachment Size (MB)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={Math.round((config.attachmentMaxBytes || 10485760) / 1048576)}
+              onChange={(e) => setConfig({ ...config, attachmentMaxBytes: parseInt(e.target.value) * 1048576 })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Allowed Attachment Types
+            </label>
+            <input
+              type="text"
+              value={(config.attachmentAllowedTypes || []).join(', ')}
+              onChange={(e) => setConfig({
+                ...config,
+                attachmentAllowedTypes: e.target.value.split(',').map((type) => type.trim()).filter(Boolean)
+              })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-sm text-gray-500 mt-1">
+              Comma-separated MIME types, e.g. image/png, application/pdf
+            </p>
+          </div>
+
+          {llmProviders && (
+            <div>
+              <div className="block text-sm font-medium text-gray-700 mb-2">
+                LLM Providers
+              </div>
+              {llmProviders.stubMode && (
+                <p className="text-sm text-yellow-700 mb-2">
+                  STUB_MODE is enabled on the server, so every task uses the rule-based stub.
+                </p>
+              )}
+              <div className="space-y-2">
+                {llmProviders.tasks.map((task) => {
+                  const route = config.llm?.[task] || {};
+                  const provider = llmProviders.providers.find((p) => p.name === (route.provider || llmProviders.defaultProvider));
+                  return (
+                    <div key={task} className="grid grid-cols-3 gap-2 items-center">
+                      <span className="text-sm text-gray-600">{LLM_TASK_LABELS[task] || task}</span>
+                      <select
+                        value={route.provider || ''}
+                        onChange={(e) => setLlmRoute(task, { provider: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Default ({llmProviders.defaultProvider})</option>
+                        {llmProviders.providers.filter((p) => p.tasks.includes(task)).map((p) => (
+                          <option key={p.name} value={p.name}>{p.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={route.model || ''}
+                        placeholder={provider?.defaultModel || 'Default model'}
+                        onChange={(e) => setLlmRoute(task, { model: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                Provider and model used for each AI task; leave blank for the server default
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              When an LLM Provider Fails
+            </label>
+            <select
+              value={config.llmFailurePolicy || 'fallback_human'}
+              onChange={(e) => setConfig({ ...config, llmFailurePolicy: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="fallback_human">Use the rule-based stub and send to a human</option>
+              <option value="fallback">Use the rule-based stub and flag the suggestion</option>
+              <option value="fail">Fail triage and retry later</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Stub answers are recorded on the suggestion and in the audit log
+            </p>
+          </div>
+
+          <div>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={config.shadow?.enabled ?? false}
+                onChange={(e) => setShadow({ enabled: e.target.checked })}
+                className="mr-3"
+              />
+              <div>
+                <div className="font-medium">Shadow Mode</div>
+                <div className="text-sm text-gray-500">
+                  Triage new tickets a second time with the settings below and only record the result; customers never see it
+                </div>
+              </div>
+            </label>
+            {config.shadow?.enabled && (
+              <div className="mt-3 space-y-2">
+                <div className="grid grid-cols-3 gap-2 items-center">
+                  <span className="text-sm text-gray-600">Variant label</span>
+                  <input
+                    type="text"
+                    value={config.shadow.variant || ''}
+                    onChange={(e) => setShadow({ variant: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={config.shadow.confidenceThreshold ?? ''}
+                    placeholder={`Threshold (${config.confidenceThreshold})`}
+                    onChange={(e) => setShadow({
+                      confidenceThreshold: e.target.value === '' ? null : parseFloat(e.target.value)
+                    })}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                {llmProviders && llmProviders.tasks.map((task) => {
+                  const route = config.shadow.llm?.[task] || {};
+                  return (
+                    <div key={task} className="grid grid-cols-4 gap-2 items-center">
+                      <span className="text-sm text-gray-600">{LLM_TASK_LABELS[task] || task}</span>
+                      <select
+                        value={route.provider || ''}
+                        onChange={(e) => setShadowRoute(task, { provider: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Same as live</option>
+                        {llmProviders.providers.filter((p) => p.tasks.includes(task)).map((p) => (
+                          <option key={p.name} value={p.name}>{p.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={route.model || ''}
+                        placeholder="Model (same as live)"
+                        onChange={(e) => setShadowRoute(task, { model: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <input
+                        type="text"
+                        value={route.promptTemplate || ''}
+                        placeholder="Prompt template (same as live)"
+                        onChange={(e) => setShadowRoute(task, { promptTemplate: e.target.value || null })}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  );
+                })}
+                <p className="text-sm text-gray-500">
+                  Blank fields reuse the live settings
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="pt-4 border-t">
+            <button
+              onClick={saveConfig}
+              disabled={saving}
+              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Configuration'}
+            </button>
+          </div>
+        </div>
+
+        <PromptTemplates />
+
+        <Experiments />
+
+        <ConfidenceCalibration />
+
+        <ShadowReport />
+
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h3 className="text-lg font-semibold mb-2">Training Data</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Suggestions agents edited, answered or rated, with the original AI draft, the final category and reply, as JSONL
+          </p>
+          <button
+            onClick={() => api.agent.exportSuggestions().catch((error) => console.error('Error exporting suggestions:', error))}
+            className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Export Feedback Dataset
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Fitted confidence calibrations per provider, model and prompt version and
+// the job that refits them
+function ConfidenceCalibration() {
+  const [calibration, setCalibration] = useState(null);
+  const [method, setMethod] = useState('isotonic');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.config.calibration()
+      .then(setCalibration)
+      .catch((error) => setError(error.message));
+  }, [reloadKey]);
+
+  const runCalibration = async () => {
+    try {
+      await api.config.calibrate({ method });
+      setMessage('Calibration queued; refresh in a moment to see the result');
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const pct = (value) => (value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+  const latestJob = calibration?.jobs[0];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-6">
+      <h3 className="text-lg font-semibold mb-2">Confidence Calibration</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Maps each provider's raw confidence to how often its triage turned out right: categories agents kept and auto-closed tickets that were not reopened
+      </p>
+
+      {error && <ErrorMessage message={error} onDismiss={() => setError('')} />}
+      {message && <SuccessMessage message={message} onDismiss={() => setMessage('')} />}
+
+      {calibration && calibration.calibrations.length === 0 && (
+        <p className="text-sm text-gray-500 mb-4">No calibration fitted yet; raw confidence is used.</p>
+      )}
+      {calibration && calibration.calibrations.length > 0 && (
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Provider</th>
+              <th className="py-1">Model</th>
+              <th className="py-1">Prompt</th>
+              <th className="py-1">Method</th>
+              <th className="py-1">Outcomes</th>
+              <th className="py-1">Calibration error</th>
+              <th className="py-1">Fitted</th>
+            </tr>
+          </thead>
+          <tbody>
+            {calibration.calibrations.map((item) => (
+              <tr key={item._id} className="border-t">
+                <td className="py-1">{item.provider}</td>
+                <td className="py-1">{item.model || 'n/a'}</td>
+                <td className="py-1">{item.promptVersion || 'n/a'}</td>
+                <td className="py-1">{item.method}</td>
+                <td className="py-1">{item.samples}</td>
+                <td className="py-1">{pct(item.metrics?.raw?.ece)} → {pct(item.metrics?.calibrated?.ece)}</td>
+                <td className="py-1">{new Date(item.createdAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {latestJob && (
+        <p className="text-sm text-gray-500 mb-4">
+          Last job: {latestJob.status}
+          {latestJob.result?.skipped?.length > 0 && ` (skipped ${latestJob.result.skipped.map((item) => item.provider).join(', ')}: not enough outcomes)`}
+          {latestJob.lastError && ` - ${latestJob.lastError}`}
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {(calibration?.methods || ['isotonic', 'platt']).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          onClick={runCalibration}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Refit Calibration
+        </button>
+        <button
+          onClick={() => setReloadKey((key) => key + 1)}
+          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Shadow variants compared with live triage and with what agents settled on
+function ShadowReport() {
+  const [report, setReport] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.agent.shadowReport()
+      .then(setReport)
+      .catch((error) => setError(error.message));
+  }, [reloadKey]);
+
+  const pct = (value) => (value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-6">
+      <h3 className="text-lg font-semibold mb-2">Shadow Mode Report</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        How often each shadow variant agreed with live triage, and how both compare with the category agents kept and the reply they sent
+      </p>
+
+      {error && <ErrorMessage message={error} onDismiss={() => setError('')} />}
+
+      {report && report.variants.length === 0 && (
+        <p className="text-sm text-gray-500 mb-4">No shadow triage recorded yet.</p>
+      )}
+      {report && report.variants.length > 0 && (
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">Variant</th>
+              <th className="py-1">Tickets</th>
+              <th className="py-1">Same category</th>
+              <th className="py-1">Same decision</th>
+              <th className="py-1">Auto-close (shadow / live)</th>
+              <th className="py-1">Category right (shadow / live)</th>
+              <th className="py-1">Reply similarity (shadow / live)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.variants.map((item) => (
+              <tr key={item.variant} className="border-t">
+                <td className="py-1">{item.variant}</td>
+                <td className="py-1">{item.runs}</td>
+                <td className="py-1">{pct(item.live.categoryAgreement)}</td>
+                <td className="py-1">{pct(item.live.decisionAgreement)}</td>
+                <td className="py-1">{pct(item.shadowAutoCloseRate)} / {pct(item.live.liveAutoCloseRate)}</td>
+                <td className="py-1">{pct(item.humans.categoryAccuracy.shadow)} / {pct(item.humans.categoryAccuracy.live)}</td>
+                <td className="py-1">{pct(item.humans.replySimilarity.shadow)} / {pct(item.humans.replySimilarity.live)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        onClick={() => setReloadKey((key) => key + 1)}
+        className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+      >
+        Refresh
+      </button>
+    </div>
+  );
+}
+
+const SAMPLE_PROMPT_VARIABLES = {
+  ticketText: 'Refund not received\nI was charged twice for my order and would like a refund.',
+  articles: '[1] Refund Policy\nRefunds are issued within 5-7 business days...'
+};
+
+// Admin editor for versioned LLM prompt templates
+function PromptTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.config.prompts.list()
+      .then((response) => setTemplates(response.templates))
+      .catch((error) => setError(error.message));
+  }, [reloadKey]);
+
+  const selectTemplate = async (name) => {
+    try {
+      const template = await api.config.prompts.get(name);
+      const active = template.versions.find((version) => version.version === template.activeVersion);
+      setSelected(template);
+      setDraft({ system: active.system, template: active.template, notes: '', activate: true });
+      setPreview(null);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const saveVersion = async () => {
+    try {
+      const template = await api.config.prompts.addVersion(selected.name, draft);
+      setSelected(template);
+      setDraft({ ...draft, notes: '' });
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const activate = async (version) => {
+    try {
+      setSelected(await api.config.prompts.update(selected.name, { activeVersion: version }));
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const renderPreview = async (version) => {
+    try {
+      setPreview(await api.config.prompts.render(selected.name, { version, variables: SAMPLE_PROMPT_VARIABLES }));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4 mt-6">
+      <h3 className="text-lg font-semibold">Prompt Templates</h3>
+      {error && <ErrorMessage message={error} onDismiss={() => setError('')} />}
+
+      <div className="flex flex-wrap gap-2">
+        {templates.map((template) => (
+          <button
+            key={template.name}
+            onClick={() => selectTemplate(template.name)}
+            className={`px-3 py-1 rounded-md border text-sm ${
+              selected?.name === template.name ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {template.name} <span className="opacity-75">v{template.activeVersion}/{template.latestVersion}</span>
+          </button>
+        ))}
+      </div>
+
+      {selected && draft && (
+        <div className="space-y-4">
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Versions</div>
+            <ul className="text-sm divide-y border rounded-md">
+              {[...selected.versions].reverse().map((version) => (
+                <li key={version.version} className="flex items-center justify-between px-3 py-2">
+                  <span>
+                    v{version.version}
+                    {version.version === selected.activeVersion && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded bg-green-100 text-green-800">active</span>
+                    )}
+                    {version.notes && <span className="ml-2 text-gray-500">{version.notes}</span>}
+                  </span>
+                  <span className="space-x-3">
+                    <button onClick={() => renderPreview(version.version)} className="text-blue-600 hover:underline">
+                      Preview
+                    </button>
+                    {version.version !== selected.activeVersion && (
+                      <button onClick={() => activate(version.version)} className="text-blue-600 hover:underline">
+                        Activate
+                      </button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {preview && (
+            <div className="bg-gray-50 border rounded-md p-3 text-sm">
+              <div className="font-medium mb-1">{preview.promptVersion}</div>
+              <pre className="whitespace-pre-wrap text-gray-600 mb-2">{preview.system}</pre>
+              <pre className="whitespace-pre-wrap">{preview.prompt}</pre>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">System Message</label>
+            <textarea
+              rows={2}
+              value={draft.system}
+              onChange={(e) => setDraft({ ...draft, system: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+            <textarea
+              rows={10}
+              value={draft.template}
+              onChange={(e) => setDraft({ ...draft, template: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+            />
+            <p className="text-sm text-gray-500 mt-1">
+              Use {'{{ticketText}}'}{selected.task === 'draft' && <> and {'{{articles}}'}</>} as placeholders
+            </p>
+          </div>
+          <div className="flex items-center gap-4">
+            <input
+              type="text"
+              placeholder="What changed?"
+              value={draft.notes}
+              onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={draft.activate}
+                onChange={(e) => setDraft({ ...draft, activate: e.target.checked })}
+                className="mr-2"
+              />
+              Activate
+            </label>
+            <button
+              onClick={saveVersion}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Save as New Version
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_VARIANT = { name: '', weight: 1, promptTemplate: '', promptVersion: '', model: '', temperature: '' };
+
+// Prompt / model A/B experiments; results are on the dashboard
+function Experiments() {
+  const [experiments, setExperiments] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.config.experiments.list()
+      .then((response) => setExperiments(response.experiments))
+      .catch((error) => setError(error.message));
+  }, [reloadKey]);
+
+  const newExperiment = () => setDraft({
+    name: '',
+    task: 'draft',
+    description: '',
+    variants: [{ ...EMPTY_VARIANT, name: 'control' }, { ...EMPTY_VARIANT, name: 'treatment' }]
+  });
+
+  const setVariant = (index, field, value) => setDraft({
+    ...draft,
+    variants: draft.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant))
+  });
+
+  const createExperiment = async () => {
+    try {
+      await api.config.experiments.create({
+        ...draft,
+        // Blank fields keep the task's live routing
+        variants: draft.variants.map((variant) => ({
+          name: variant.name,
+          weight: parseInt(variant.weight, 10) || 1,
+          promptTemplate: variant.promptTemplate || null,
+          promptVersion: variant.promptVersion === '' ? null : parseInt(variant.promptVersion, 10),
+          model: variant.model || null,
+          temperature: variant.temperature === '' ? null : parseFloat(variant.temperature)
+        }))
+      });
+      setDraft(null);
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const setStatus = async (name, status) => {
+    try {
+      await api.config.experiments.update(name, { status });
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const describeVariant = (variant) => [
+    variant.promptTemplate,
+    variant.promptVersion && `v${variant.promptVersion}`,
+    variant.model,
+    variant.temperature !== null && `t=${variant.temperature}`
+  ].filter(Boolean).join(' ') || 'live settings';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4 mt-6">
+      <h3 className="text-lg font-semibold">Experiments</h3>
+      <p className="text-sm text-gray-500">
+        Tickets are split between variants by a hash of the ticket id; one experiment per task can run at a time
+      </p>
+      {error && <ErrorMessage message={error} onDismiss={() => setError('')} />}
+
+      {experiments.length > 0 && (
+        <ul className="text-sm divide-y border rounded-md">
+          {experiments.map((experiment) => (
+            <li key={experiment._id} className="flex items-center justify-between px-3 py-2">
+              <span>
+                {experiment.name}
+                <span className="ml-2 text-gray-500">{LLM_TASK_LABELS[experiment.task]}</span>
+                <span className="ml-2 text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-800">{experiment.status}</span>
+                <span className="ml-2 text-gray-500">
+                  {experiment.variants.map((variant) => `${variant.name} ×${variant.weight}: ${describeVariant(variant)}`).join(' | ')}
+                </span>
+              </span>
+              {experiment.status === 'draft' && (
+                <button onClick={() => setStatus(experiment.name, 'running')} className="text-blue-600 hover:underline">
+                  Start
+                </button>
+              )}
+              {experiment.status === 'running' && (
+                <button onClick={() => setStatus(experiment.name, 'stopped')} className="text-red-600 hover:underline">
+                  Stop
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!draft && (
+        <button
+          onClick={newExperiment}
+          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          New Experiment
+        </button>
+      )}
+
+      {draft && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              placeholder="Name"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <select
+              value={draft.task}
+              onChange={(e) => setDraft({ ...draft, task: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            >
+              {Object.entries(LLM_TASK_LABELS).map(([task, label]) => (
+                <option key={task} value={task}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Description"
+              value={draft.description}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+
+          <div className="grid grid-cols-6 gap-2 text-sm text-gray-500">
+            <span>Variant</span>
+            <span>Weight</span>
+            <span>Prompt template</span>
+            <span>Prompt version</span>
+            <span>Model</span>
+            <span>Temperature</span>
+          </div>
+          {draft.variants.map((variant, index) => (
+            <div key={index} className="grid grid-cols-6 gap-2">
+              {['name', 'weight', 'promptTemplate', 'promptVersion', 'model', 'temperature'].map((field) => (
+                <input
+                  key={field}
+                  type={['weight', 'promptVersion', 'temperature'].includes(field) ? 'number' : 'text'}
+                  step={field === 'temperature' ? '0.1' : '1'}
+                  value={variant[field]}
+                  onChange={(e) => setVariant(index, field, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                />
+              ))}
+            </div>
+          ))}
+          <p className="text-sm text-gray-500">
+            Blank fields keep the live settings; a version without a template is a version of the task's routed template
+          </p>
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => setDraft({ ...draft, variants: [...draft.variants, { ...EMPTY_VARIANT }] })}
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Add Variant
+            </button>
+            <button
+              onClick={createExperiment}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Create Experiment
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }